@@ -0,0 +1,55 @@
+-- Body Metrics SQL Schema
+-- Run this in your Supabase SQL editor after schema.sql and weight-units.sql
+
+-- Body Metrics table (timestamped bodyweight, body-fat and tape measurement entries)
+-- Bodyweight is stored in kg and measurements in cm; any metric may be left out of an entry.
+CREATE TABLE body_metrics (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  measured_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  bodyweight DECIMAL(6,2) CHECK (bodyweight > 0),
+  body_fat_percent DECIMAL(4,1) CHECK (body_fat_percent > 0 AND body_fat_percent < 100),
+  neck_cm DECIMAL(5,1) CHECK (neck_cm > 0),
+  chest_cm DECIMAL(5,1) CHECK (chest_cm > 0),
+  waist_cm DECIMAL(5,1) CHECK (waist_cm > 0),
+  hips_cm DECIMAL(5,1) CHECK (hips_cm > 0),
+  arm_cm DECIMAL(5,1) CHECK (arm_cm > 0),
+  forearm_cm DECIMAL(5,1) CHECK (forearm_cm > 0),
+  thigh_cm DECIMAL(5,1) CHECK (thigh_cm > 0),
+  calf_cm DECIMAL(5,1) CHECK (calf_cm > 0),
+  notes TEXT,
+  recorded_unit TEXT NOT NULL DEFAULT 'kg' CHECK (recorded_unit IN ('kg', 'lb')), -- Unit the bodyweight was entered in
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+
+  -- Every entry records at least one metric
+  CHECK (num_nonnulls(
+    bodyweight, body_fat_percent, neck_cm, chest_cm, waist_cm, hips_cm, arm_cm, forearm_cm, thigh_cm, calf_cm
+  ) > 0)
+);
+
+-- Create indexes for better performance
+CREATE INDEX idx_body_metrics_user_measured_at ON body_metrics(user_id, measured_at DESC);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE body_metrics ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies for body_metrics table
+-- Users can only see/modify their own entries
+CREATE POLICY "Users can view own body metrics" ON body_metrics
+    FOR SELECT USING (user_id = auth.uid());
+
+CREATE POLICY "Users can insert own body metrics" ON body_metrics
+    FOR INSERT WITH CHECK (user_id = auth.uid());
+
+CREATE POLICY "Users can update own body metrics" ON body_metrics
+    FOR UPDATE USING (user_id = auth.uid());
+
+CREATE POLICY "Users can delete own body metrics" ON body_metrics
+    FOR DELETE USING (user_id = auth.uid());
+
+-- Create trigger to automatically update updated_at column
+CREATE TRIGGER update_body_metrics_updated_at
+    BEFORE UPDATE ON body_metrics
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,60 @@
+-- Cardio Logging SQL Schema
+-- Run this in your Supabase SQL editor after gym-log-analytics.sql and gym-log-sets.sql
+--
+-- Cardio, endurance and mobility exercises are logged with a duration instead of sets, reps and weight.
+-- Strength logs keep their sets; timed logs have no gym_log_sets rows and NULL sets/reps/weight columns.
+
+ALTER TABLE gym_logs
+  ADD COLUMN duration_seconds INTEGER CHECK (duration_seconds > 0 AND duration_seconds <= 86400),
+  ADD COLUMN distance_km DECIMAL(8,3) CHECK (distance_km >= 0),
+  ADD COLUMN average_heart_rate INTEGER CHECK (average_heart_rate BETWEEN 30 AND 250),
+  ADD COLUMN calories INTEGER CHECK (calories >= 0),
+  ADD COLUMN incline_percent DECIMAL(4,1) CHECK (incline_percent BETWEEN -10 AND 40);
+
+-- sets, reps and weight become optional; their range checks (named by Postgres) are recreated to allow NULL
+ALTER TABLE gym_logs
+  ALTER COLUMN sets DROP NOT NULL,
+  ALTER COLUMN reps DROP NOT NULL,
+  ALTER COLUMN weight DROP NOT NULL,
+  DROP CONSTRAINT IF EXISTS gym_logs_sets_check,
+  DROP CONSTRAINT IF EXISTS gym_logs_reps_check,
+  DROP CONSTRAINT IF EXISTS gym_logs_weight_check;
+
+ALTER TABLE gym_logs
+  ADD CONSTRAINT gym_logs_sets_check CHECK (sets > 0),
+  ADD CONSTRAINT gym_logs_reps_check CHECK (reps > 0),
+  ADD CONSTRAINT gym_logs_weight_check CHECK (weight >= 0),
+  -- Every log is either a strength log or a timed log
+  ADD CONSTRAINT gym_logs_shape_check CHECK (
+    (sets IS NOT NULL AND reps IS NOT NULL AND weight IS NOT NULL) OR duration_seconds IS NOT NULL
+  );
+
+-- Cardio totals of one user in a period. Heart rate is averaged over logs that have one, weighted by duration.
+CREATE OR REPLACE FUNCTION get_cardio_stats(
+  p_user_id UUID,
+  p_from TIMESTAMP,
+  p_to TIMESTAMP
+)
+RETURNS JSON AS $$
+DECLARE
+  result JSON;
+BEGIN
+  SELECT json_build_object(
+    'logs', COUNT(*),
+    'durationSeconds', COALESCE(SUM(duration_seconds), 0),
+    'distanceKm', COALESCE(SUM(distance_km), 0),
+    'calories', COALESCE(SUM(calories), 0),
+    'averageHeartRate', ROUND(
+      SUM((average_heart_rate * duration_seconds)::NUMERIC) FILTER (WHERE average_heart_rate IS NOT NULL)
+      / NULLIF(SUM(duration_seconds) FILTER (WHERE average_heart_rate IS NOT NULL), 0)
+    )
+  ) INTO result
+  FROM gym_logs
+  WHERE user_id = p_user_id
+    AND duration_seconds IS NOT NULL
+    AND created_at >= p_from
+    AND created_at <= p_to;
+
+  RETURN result;
+END;
+$$ LANGUAGE plpgsql STABLE;
@@ -0,0 +1,79 @@
+-- Exercise Groups SQL Schema
+-- Run this in your Supabase SQL editor after workout-plans.sql
+--
+-- The exercises of a workout plan can be grouped into straight sets, supersets, giant sets and circuits.
+-- A group is done for a number of rounds with a rest between rounds; each round is `sets` of every
+-- exercise in the group. Exercises without a group are straight sets on their own.
+
+CREATE TABLE workout_plan_exercise_groups (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  workout_plan_id UUID NOT NULL REFERENCES workout_plans(id) ON DELETE CASCADE,
+  group_type TEXT NOT NULL DEFAULT 'straight_sets'
+    CHECK (group_type IN ('straight_sets', 'superset', 'giant_set', 'circuit')),
+  rounds INTEGER NOT NULL DEFAULT 1 CHECK (rounds BETWEEN 1 AND 50),
+  rest_between_rounds INTEGER CHECK (rest_between_rounds BETWEEN 0 AND 3600), -- Seconds
+  notes TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+
+  CHECK (group_type <> 'straight_sets' OR rounds = 1),
+  -- Lets plan exercises only point to groups of their own plan
+  UNIQUE(id, workout_plan_id)
+);
+
+-- Group of each plan exercise, NULL for an exercise on its own. Groups are ordered by their first exercise.
+ALTER TABLE workout_plan_exercises
+  ADD COLUMN group_id UUID,
+  ADD CONSTRAINT workout_plan_exercises_group_fkey FOREIGN KEY (group_id, workout_plan_id)
+    REFERENCES workout_plan_exercise_groups(id, workout_plan_id) ON DELETE SET NULL (group_id);
+
+-- Create indexes for better performance
+CREATE INDEX idx_workout_plan_exercise_groups_plan_id ON workout_plan_exercise_groups(workout_plan_id);
+CREATE INDEX idx_workout_plan_exercises_group_id ON workout_plan_exercises(group_id) WHERE group_id IS NOT NULL;
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE workout_plan_exercise_groups ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies for workout_plan_exercise_groups table
+-- Groups are visible with their plan and only changed by its creator
+CREATE POLICY "Users can view workout plan exercise groups" ON workout_plan_exercise_groups
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM workout_plans
+            WHERE workout_plans.id = workout_plan_exercise_groups.workout_plan_id
+            AND (workout_plans.created_by = auth.uid() OR workout_plans.is_public = true)
+        )
+    );
+
+CREATE POLICY "Users can add exercise groups to own workout plans" ON workout_plan_exercise_groups
+    FOR INSERT WITH CHECK (
+        EXISTS (
+            SELECT 1 FROM workout_plans
+            WHERE workout_plans.id = workout_plan_exercise_groups.workout_plan_id
+            AND workout_plans.created_by = auth.uid()
+        )
+    );
+
+CREATE POLICY "Users can update exercise groups in own workout plans" ON workout_plan_exercise_groups
+    FOR UPDATE USING (
+        EXISTS (
+            SELECT 1 FROM workout_plans
+            WHERE workout_plans.id = workout_plan_exercise_groups.workout_plan_id
+            AND workout_plans.created_by = auth.uid()
+        )
+    );
+
+CREATE POLICY "Users can delete exercise groups from own workout plans" ON workout_plan_exercise_groups
+    FOR DELETE USING (
+        EXISTS (
+            SELECT 1 FROM workout_plans
+            WHERE workout_plans.id = workout_plan_exercise_groups.workout_plan_id
+            AND workout_plans.created_by = auth.uid()
+        )
+    );
+
+-- Create trigger to automatically update updated_at column
+CREATE TRIGGER update_workout_plan_exercise_groups_updated_at
+    BEFORE UPDATE ON workout_plan_exercise_groups
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
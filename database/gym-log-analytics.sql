@@ -0,0 +1,140 @@
+-- Gym Log Analytics SQL Functions
+-- Run this in your Supabase SQL editor after gym-log-exercise-link.sql
+
+-- Training statistics for one user, aggregated in the database.
+-- Volume excludes warm-up sets. Logs are joined to the exercise catalog through exercise_id.
+CREATE OR REPLACE FUNCTION get_gym_log_stats(
+  p_user_id UUID,
+  p_from TIMESTAMP,
+  p_to TIMESTAMP,
+  p_group_by TEXT DEFAULT 'day'
+)
+RETURNS JSON AS $$
+DECLARE
+  result JSON;
+BEGIN
+  IF p_group_by NOT IN ('day', 'week', 'month') THEN
+    RAISE EXCEPTION 'Invalid group_by: %', p_group_by;
+  END IF;
+
+  WITH user_sets AS (
+    SELECT
+      gl.id AS gym_log_id,
+      COALESCE(gl.exercise_id, LOWER(TRIM(gl.exercise))) AS exercise_key,
+      gl.exercise_id,
+      gl.created_at,
+      gls.id AS set_id,
+      CASE WHEN gls.set_type = 'warmup' THEN 0 ELSE gls.reps * gls.weight END AS volume
+    FROM gym_logs gl
+    LEFT JOIN gym_log_sets gls ON gls.gym_log_id = gl.id
+    WHERE gl.user_id = p_user_id
+  ),
+  period_sets AS (
+    SELECT
+      us.*,
+      COALESCE(e.body_part, 'unknown') AS body_part,
+      COALESCE(e.exercise_type, 'unknown') AS exercise_type
+    FROM user_sets us
+    LEFT JOIN exercises e ON e.id = us.exercise_id
+    WHERE us.created_at >= p_from AND us.created_at <= p_to
+  ),
+  period_training_days AS (
+    SELECT COUNT(DISTINCT created_at::date) AS training_days FROM period_sets
+  ),
+  period_sessions AS (
+    SELECT
+      COUNT(*) AS session_count,
+      ROUND(AVG(duration_seconds)) AS average_duration_seconds
+    FROM workout_sessions
+    WHERE user_id = p_user_id
+      AND started_at >= p_from
+      AND started_at <= p_to
+      AND duration_seconds IS NOT NULL
+  )
+  SELECT json_build_object(
+    'allTime', (
+      SELECT json_build_object(
+        'totalLogs', COUNT(DISTINCT gym_log_id),
+        'uniqueExercises', COUNT(DISTINCT exercise_key),
+        'recentLogs', COUNT(DISTINCT gym_log_id) FILTER (WHERE created_at >= NOW() - INTERVAL '7 days'),
+        'totalSets', COUNT(set_id),
+        'totalVolume', COALESCE(SUM(volume), 0)
+      )
+      FROM user_sets
+    ),
+    'periodTotals', (
+      SELECT json_build_object(
+        'logs', COUNT(DISTINCT gym_log_id),
+        'exercises', COUNT(DISTINCT exercise_key),
+        'sets', COUNT(set_id),
+        'volume', COALESCE(SUM(volume), 0)
+      )
+      FROM period_sets
+    ),
+    'volumeByPeriod', COALESCE((
+      SELECT json_agg(json_build_object(
+        'periodStart', buckets.period_start,
+        'logs', buckets.logs,
+        'sets', buckets.sets,
+        'volume', buckets.volume,
+        'trainingDays', buckets.training_days
+      ) ORDER BY buckets.period_start)
+      FROM (
+        SELECT
+          date_trunc(p_group_by, created_at) AS period_start,
+          COUNT(DISTINCT gym_log_id) AS logs,
+          COUNT(set_id) AS sets,
+          COALESCE(SUM(volume), 0) AS volume,
+          COUNT(DISTINCT created_at::date) AS training_days
+        FROM period_sets
+        GROUP BY 1
+      ) buckets
+    ), '[]'::JSON),
+    'byBodyPart', COALESCE((
+      SELECT json_agg(json_build_object(
+        'bodyPart', parts.body_part,
+        'logs', parts.logs,
+        'sets', parts.sets,
+        'volume', parts.volume
+      ) ORDER BY parts.volume DESC)
+      FROM (
+        SELECT body_part, COUNT(DISTINCT gym_log_id) AS logs, COUNT(set_id) AS sets, COALESCE(SUM(volume), 0) AS volume
+        FROM period_sets
+        GROUP BY body_part
+      ) parts
+    ), '[]'::JSON),
+    'byExerciseType', COALESCE((
+      SELECT json_agg(json_build_object(
+        'exerciseType', types.exercise_type,
+        'logs', types.logs,
+        'sets', types.sets,
+        'volume', types.volume
+      ) ORDER BY types.volume DESC)
+      FROM (
+        SELECT exercise_type, COUNT(DISTINCT gym_log_id) AS logs, COUNT(set_id) AS sets, COALESCE(SUM(volume), 0) AS volume
+        FROM period_sets
+        GROUP BY exercise_type
+      ) types
+    ), '[]'::JSON),
+    'frequency', (
+      SELECT json_build_object(
+        'trainingDays', training_days,
+        'trainingDaysPerWeek', ROUND(
+          training_days / GREATEST(EXTRACT(EPOCH FROM (p_to - p_from)) / 604800, 1)::NUMERIC,
+          2
+        )
+      )
+      FROM period_training_days
+    ),
+    'sessions', (
+      SELECT json_build_object(
+        'count', session_count,
+        'averageDurationSeconds', COALESCE(average_duration_seconds, 0)
+      )
+      FROM period_sessions
+    )
+  ) INTO result;
+
+  RETURN result;
+END;
+$$ LANGUAGE plpgsql STABLE;
@@ -0,0 +1,11 @@
+-- Gym Log Exercise Link SQL Schema
+-- Run this in your Supabase SQL editor after exercise.sql and personal-records.sql,
+-- then link existing free-text logs with: npm run migrate:link-exercises -- --dry-run
+
+-- Reference the exercise catalog from gym logs
+-- The exercise column keeps the display name (the catalog name for linked logs)
+ALTER TABLE gym_logs ADD COLUMN exercise_id TEXT REFERENCES exercises(id) ON DELETE SET NULL;
+
+-- Create indexes for better performance
+CREATE INDEX idx_gym_logs_exercise_id ON gym_logs(exercise_id);
+CREATE INDEX idx_gym_logs_unlinked ON gym_logs(exercise) WHERE exercise_id IS NULL;
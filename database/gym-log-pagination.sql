@@ -0,0 +1,8 @@
+-- Gym Log Pagination SQL Schema
+-- Run this in your Supabase SQL editor after workout-sessions.sql
+--
+-- Gym log listings page with cursors ordered by the sort column and then the id.
+-- These indexes cover the default orders of a user's logs and of a session's logs.
+
+CREATE INDEX IF NOT EXISTS idx_gym_logs_user_created_at_id ON gym_logs(user_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_gym_logs_session_order_id ON gym_logs(session_id, session_order, id);
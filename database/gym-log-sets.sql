@@ -0,0 +1,77 @@
+-- Gym Log Sets SQL Schema
+-- Run this in your Supabase SQL editor after schema.sql to enable per-set logging
+
+-- Gym Log Sets table (one row per performed set)
+CREATE TABLE gym_log_sets (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  gym_log_id UUID NOT NULL REFERENCES gym_logs(id) ON DELETE CASCADE,
+  set_number INTEGER NOT NULL CHECK (set_number > 0), -- Order of the set within the log
+  reps INTEGER NOT NULL CHECK (reps > 0),
+  weight DECIMAL(10,2) NOT NULL CHECK (weight >= 0),
+  set_type TEXT NOT NULL DEFAULT 'working' CHECK (set_type IN ('warmup', 'working', 'drop', 'failure')),
+  rpe DECIMAL(3,1) CHECK (rpe >= 1 AND rpe <= 10), -- Optional rating of perceived exertion
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+
+  -- Each set number appears once per log
+  UNIQUE(gym_log_id, set_number)
+);
+
+-- Create indexes for better performance
+CREATE INDEX idx_gym_log_sets_gym_log_id ON gym_log_sets(gym_log_id, set_number);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE gym_log_sets ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies for gym_log_sets table
+-- Access is controlled through ownership of the parent gym log
+CREATE POLICY "Users can view own gym log sets" ON gym_log_sets
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM gym_logs
+            WHERE gym_logs.id = gym_log_sets.gym_log_id
+            AND gym_logs.user_id = auth.uid()
+        )
+    );
+
+CREATE POLICY "Users can insert own gym log sets" ON gym_log_sets
+    FOR INSERT WITH CHECK (
+        EXISTS (
+            SELECT 1 FROM gym_logs
+            WHERE gym_logs.id = gym_log_sets.gym_log_id
+            AND gym_logs.user_id = auth.uid()
+        )
+    );
+
+CREATE POLICY "Users can update own gym log sets" ON gym_log_sets
+    FOR UPDATE USING (
+        EXISTS (
+            SELECT 1 FROM gym_logs
+            WHERE gym_logs.id = gym_log_sets.gym_log_id
+            AND gym_logs.user_id = auth.uid()
+        )
+    );
+
+CREATE POLICY "Users can delete own gym log sets" ON gym_log_sets
+    FOR DELETE USING (
+        EXISTS (
+            SELECT 1 FROM gym_logs
+            WHERE gym_logs.id = gym_log_sets.gym_log_id
+            AND gym_logs.user_id = auth.uid()
+        )
+    );
+
+-- Create trigger to automatically update updated_at column
+CREATE TRIGGER update_gym_log_sets_updated_at
+    BEFORE UPDATE ON gym_log_sets
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Backfill existing flat logs: expand sets x reps @ weight into individual working sets
+INSERT INTO gym_log_sets (gym_log_id, set_number, reps, weight, set_type)
+SELECT gl.id, series.set_number, gl.reps, gl.weight, 'working'
+FROM gym_logs gl
+CROSS JOIN LATERAL generate_series(1, gl.sets) AS series(set_number)
+WHERE NOT EXISTS (
+    SELECT 1 FROM gym_log_sets gls WHERE gls.gym_log_id = gl.id
+);
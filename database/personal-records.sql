@@ -0,0 +1,37 @@
+-- Personal Records SQL Schema
+-- Run this in your Supabase SQL editor after workout-sessions.sql
+
+-- Personal Records table (one row each time a record is set or beaten)
+CREATE TABLE personal_records (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  exercise VARCHAR(255) NOT NULL,
+  record_type TEXT NOT NULL CHECK (record_type IN ('max_weight', 'max_reps_at_weight', 'estimated_1rm', 'session_volume')),
+  value DECIMAL(12,2) NOT NULL, -- Weight, reps, estimated 1RM or volume depending on record_type
+  weight DECIMAL(10,2), -- Weight of the set that set the record
+  reps INTEGER, -- Reps of the set that set the record
+  previous_value DECIMAL(12,2), -- Value of the record that was beaten, NULL for the first record
+  gym_log_id UUID REFERENCES gym_logs(id) ON DELETE CASCADE,
+  session_id UUID REFERENCES workout_sessions(id) ON DELETE SET NULL,
+  achieved_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Create indexes for better performance
+CREATE INDEX idx_personal_records_user_exercise ON personal_records(user_id, exercise, record_type);
+CREATE INDEX idx_personal_records_achieved_at ON personal_records(achieved_at DESC);
+CREATE INDEX idx_personal_records_gym_log_id ON personal_records(gym_log_id);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE personal_records ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies for personal_records table
+-- Users can only see/modify their own records
+CREATE POLICY "Users can view own personal records" ON personal_records
+    FOR SELECT USING (user_id = auth.uid());
+
+CREATE POLICY "Users can insert own personal records" ON personal_records
+    FOR INSERT WITH CHECK (user_id = auth.uid());
+
+CREATE POLICY "Users can delete own personal records" ON personal_records
+    FOR DELETE USING (user_id = auth.uid());
@@ -0,0 +1,90 @@
+-- Plan Adherence SQL Schema
+-- Run this in your Supabase SQL editor after workout-sessions.sql, workout-plans.sql and gym-log-exercise-link.sql
+--
+-- A workout started from a plan keeps a copy of the plan's targets, so later changes to the plan
+-- do not change what the session was planned to be. Gym logs recorded in the session are linked to the
+-- planned exercise of the same catalog exercise.
+
+-- Plan a session was started from
+ALTER TABLE workout_sessions ADD COLUMN workout_plan_id UUID REFERENCES workout_plans(id) ON DELETE SET NULL;
+
+-- Planned exercises of a session, copied from the plan when the session starts
+CREATE TABLE session_planned_exercises (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  session_id UUID NOT NULL REFERENCES workout_sessions(id) ON DELETE CASCADE,
+  workout_plan_exercise_id UUID REFERENCES workout_plan_exercises(id) ON DELETE SET NULL,
+  exercise_id TEXT NOT NULL REFERENCES exercises(id) ON DELETE CASCADE,
+  sets INTEGER NOT NULL CHECK (sets > 0),
+  reps INTEGER NOT NULL CHECK (reps > 0),
+  weight DECIMAL(10,2) CHECK (weight >= 0), -- kg
+  rest_time INTEGER, -- Rest time in seconds
+  notes TEXT,
+  order_index INTEGER NOT NULL DEFAULT 1,
+  created_at TIMESTAMP DEFAULT NOW(),
+
+  UNIQUE(session_id, exercise_id)
+);
+
+-- Planned exercise a gym log was performed for, NULL for logs outside the plan
+ALTER TABLE gym_logs ADD COLUMN planned_exercise_id UUID REFERENCES session_planned_exercises(id) ON DELETE SET NULL;
+
+-- Create indexes for better performance
+CREATE INDEX idx_workout_sessions_workout_plan_id ON workout_sessions(workout_plan_id) WHERE workout_plan_id IS NOT NULL;
+CREATE INDEX idx_session_planned_exercises_session_id ON session_planned_exercises(session_id, order_index);
+CREATE INDEX idx_gym_logs_planned_exercise_id ON gym_logs(planned_exercise_id) WHERE planned_exercise_id IS NOT NULL;
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE session_planned_exercises ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies for session_planned_exercises table
+-- Access follows the ownership of the session
+CREATE POLICY "Users can view own session planned exercises" ON session_planned_exercises
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM workout_sessions
+            WHERE workout_sessions.id = session_planned_exercises.session_id
+            AND workout_sessions.user_id = auth.uid()
+        )
+    );
+
+CREATE POLICY "Users can add planned exercises to own sessions" ON session_planned_exercises
+    FOR INSERT WITH CHECK (
+        EXISTS (
+            SELECT 1 FROM workout_sessions
+            WHERE workout_sessions.id = session_planned_exercises.session_id
+            AND workout_sessions.user_id = auth.uid()
+        )
+    );
+
+CREATE POLICY "Users can delete planned exercises of own sessions" ON session_planned_exercises
+    FOR DELETE USING (
+        EXISTS (
+            SELECT 1 FROM workout_sessions
+            WHERE workout_sessions.id = session_planned_exercises.session_id
+            AND workout_sessions.user_id = auth.uid()
+        )
+    );
+
+-- Link a gym log to the planned exercise of its session whenever its session or exercise changes,
+-- so logs recorded live, synced or edited later are all measured against the plan
+CREATE OR REPLACE FUNCTION link_gym_log_to_planned_exercise()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.session_id IS NULL OR NEW.exercise_id IS NULL THEN
+    NEW.planned_exercise_id := NULL;
+    RETURN NEW;
+  END IF;
+
+  SELECT spe.id INTO NEW.planned_exercise_id
+  FROM session_planned_exercises spe
+  WHERE spe.session_id = NEW.session_id
+    AND spe.exercise_id = NEW.exercise_id;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER link_gym_log_to_planned_exercise
+    BEFORE INSERT OR UPDATE OF session_id, exercise_id ON gym_logs
+    FOR EACH ROW
+    EXECUTE FUNCTION link_gym_log_to_planned_exercise();
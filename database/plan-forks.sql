@@ -0,0 +1,60 @@
+-- Plan Forks SQL Schema
+-- Run this in your Supabase SQL editor after workout-plans.sql and sync.sql
+--
+-- Forking deep-copies a plan and its exercises into the user's account. The copy keeps a reference
+-- to the plan it was forked from, and the original counts its forks.
+
+ALTER TABLE workout_plans
+  ADD COLUMN forked_from UUID REFERENCES workout_plans(id) ON DELETE SET NULL, -- NULL: not a fork, or the original was deleted
+  ADD COLUMN fork_count INTEGER NOT NULL DEFAULT 0 CHECK (fork_count >= 0);
+
+CREATE INDEX idx_workout_plans_forked_from ON workout_plans(forked_from) WHERE forked_from IS NOT NULL;
+
+-- Keep fork_count of the original plan in step with its forks. Forks belong to other users,
+-- so the function runs with its owner's rights to update plans the forking user cannot.
+CREATE OR REPLACE FUNCTION update_workout_plan_fork_count()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP IN ('UPDATE', 'DELETE') AND OLD.forked_from IS NOT NULL THEN
+    UPDATE workout_plans
+    SET fork_count = GREATEST(fork_count - 1, 0)
+    WHERE id = OLD.forked_from;
+  END IF;
+
+  IF TG_OP IN ('INSERT', 'UPDATE') AND NEW.forked_from IS NOT NULL THEN
+    UPDATE workout_plans
+    SET fork_count = fork_count + 1
+    WHERE id = NEW.forked_from;
+  END IF;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE TRIGGER update_workout_plan_fork_count_on_insert_delete
+    AFTER INSERT OR DELETE ON workout_plans
+    FOR EACH ROW
+    EXECUTE FUNCTION update_workout_plan_fork_count();
+
+CREATE TRIGGER update_workout_plan_fork_count_on_update
+    AFTER UPDATE OF forked_from ON workout_plans
+    FOR EACH ROW
+    WHEN (OLD.forked_from IS DISTINCT FROM NEW.forked_from)
+    EXECUTE FUNCTION update_workout_plan_fork_count();
+
+-- A new fork count is not an edit of the plan: keep updated_at when only fork_count changes,
+-- so forks do not win sync conflicts against the owner's offline edits
+CREATE OR REPLACE FUNCTION update_workout_plans_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.fork_count IS DISTINCT FROM OLD.fork_count
+       AND to_jsonb(NEW) - ARRAY['fork_count', 'updated_at', 'synced_at'] = to_jsonb(OLD) - ARRAY['fork_count', 'updated_at', 'synced_at'] THEN
+        RETURN NEW;
+    END IF;
+
+    IF NEW.updated_at IS NOT DISTINCT FROM OLD.updated_at THEN
+        NEW.updated_at = NOW();
+    END IF;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
@@ -0,0 +1,162 @@
+-- Workout Plan Ratings SQL Schema
+-- Run this in your Supabase SQL editor after workout-plans.sql, sync.sql and plan-forks.sql
+--
+-- Users rate public plans from 1 to 5 with an optional review, one rating per user and plan,
+-- and favorite plans into a personal library. Plans keep their rating and favorite counts for sorting.
+
+CREATE TABLE workout_plan_ratings (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  workout_plan_id UUID NOT NULL REFERENCES workout_plans(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  rating INTEGER NOT NULL CHECK (rating BETWEEN 1 AND 5),
+  review TEXT CHECK (char_length(review) <= 1000),
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+
+  UNIQUE(workout_plan_id, user_id)
+);
+
+CREATE TABLE workout_plan_favorites (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  workout_plan_id UUID NOT NULL REFERENCES workout_plans(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMP DEFAULT NOW(),
+
+  UNIQUE(workout_plan_id, user_id)
+);
+
+-- Rating and favorite counts of each plan, kept by the triggers below
+ALTER TABLE workout_plans
+  ADD COLUMN average_rating DECIMAL(3,2), -- NULL until the plan is rated
+  ADD COLUMN rating_count INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN favorite_count INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN popularity INTEGER GENERATED ALWAYS AS (rating_count + favorite_count + fork_count) STORED;
+
+-- Create indexes for better performance
+CREATE INDEX idx_workout_plan_ratings_plan_id ON workout_plan_ratings(workout_plan_id, created_at DESC);
+CREATE INDEX idx_workout_plan_favorites_user_id ON workout_plan_favorites(user_id, created_at DESC);
+CREATE INDEX idx_workout_plans_average_rating ON workout_plans(average_rating DESC NULLS LAST, rating_count DESC) WHERE is_public = true;
+CREATE INDEX idx_workout_plans_popularity ON workout_plans(popularity DESC) WHERE is_public = true;
+CREATE INDEX idx_workout_plans_favorite_count ON workout_plans(favorite_count DESC) WHERE is_public = true;
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE workout_plan_ratings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE workout_plan_favorites ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies for workout_plan_ratings table
+-- Ratings of public plans are visible to everyone; users only write their own
+CREATE POLICY "Users can view ratings of visible workout plans" ON workout_plan_ratings
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM workout_plans
+            WHERE workout_plans.id = workout_plan_ratings.workout_plan_id
+            AND (workout_plans.created_by = auth.uid() OR workout_plans.is_public = true)
+        )
+    );
+
+CREATE POLICY "Users can rate public workout plans of others" ON workout_plan_ratings
+    FOR INSERT WITH CHECK (
+        user_id = auth.uid()
+        AND EXISTS (
+            SELECT 1 FROM workout_plans
+            WHERE workout_plans.id = workout_plan_ratings.workout_plan_id
+            AND workout_plans.is_public = true
+            AND workout_plans.created_by <> auth.uid()
+        )
+    );
+
+CREATE POLICY "Users can update own ratings" ON workout_plan_ratings
+    FOR UPDATE USING (user_id = auth.uid());
+
+CREATE POLICY "Users can delete own ratings" ON workout_plan_ratings
+    FOR DELETE USING (user_id = auth.uid());
+
+-- RLS Policies for workout_plan_favorites table
+-- Users can only see/modify their own favorites
+CREATE POLICY "Users can view own favorites" ON workout_plan_favorites
+    FOR SELECT USING (user_id = auth.uid());
+
+CREATE POLICY "Users can favorite visible workout plans" ON workout_plan_favorites
+    FOR INSERT WITH CHECK (
+        user_id = auth.uid()
+        AND EXISTS (
+            SELECT 1 FROM workout_plans
+            WHERE workout_plans.id = workout_plan_favorites.workout_plan_id
+            AND (workout_plans.created_by = auth.uid() OR workout_plans.is_public = true)
+        )
+    );
+
+CREATE POLICY "Users can delete own favorites" ON workout_plan_favorites
+    FOR DELETE USING (user_id = auth.uid());
+
+-- Recount a plan's ratings. Ratings belong to other users than the plan's creator,
+-- so the functions run with their owner's rights to update plans the rating user cannot.
+CREATE OR REPLACE FUNCTION update_workout_plan_rating_stats()
+RETURNS TRIGGER AS $$
+DECLARE
+  plan_id UUID := COALESCE(NEW.workout_plan_id, OLD.workout_plan_id);
+BEGIN
+  UPDATE workout_plans
+  SET average_rating = stats.average_rating,
+      rating_count = stats.rating_count
+  FROM (
+    SELECT ROUND(AVG(rating)::numeric, 2) AS average_rating, COUNT(*) AS rating_count
+    FROM workout_plan_ratings
+    WHERE workout_plan_id = plan_id
+  ) AS stats
+  WHERE workout_plans.id = plan_id;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE TRIGGER update_workout_plan_rating_stats
+    AFTER INSERT OR UPDATE OF rating OR DELETE ON workout_plan_ratings
+    FOR EACH ROW
+    EXECUTE FUNCTION update_workout_plan_rating_stats();
+
+-- Recount a plan's favorites
+CREATE OR REPLACE FUNCTION update_workout_plan_favorite_count()
+RETURNS TRIGGER AS $$
+DECLARE
+  plan_id UUID := COALESCE(NEW.workout_plan_id, OLD.workout_plan_id);
+BEGIN
+  UPDATE workout_plans
+  SET favorite_count = (SELECT COUNT(*) FROM workout_plan_favorites WHERE workout_plan_id = plan_id)
+  WHERE id = plan_id;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE TRIGGER update_workout_plan_favorite_count
+    AFTER INSERT OR DELETE ON workout_plan_favorites
+    FOR EACH ROW
+    EXECUTE FUNCTION update_workout_plan_favorite_count();
+
+-- Create trigger to automatically update updated_at column
+CREATE TRIGGER update_workout_plan_ratings_updated_at
+    BEFORE UPDATE ON workout_plan_ratings
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- New counts are not edits of the plan: keep updated_at when only the counts change,
+-- so ratings, favorites and forks do not win sync conflicts against the owner's offline edits.
+-- Replaces the version from plan-forks.sql, which only covered fork_count.
+CREATE OR REPLACE FUNCTION update_workout_plans_updated_at()
+RETURNS TRIGGER AS $$
+DECLARE
+  ignored TEXT[] := ARRAY['fork_count', 'average_rating', 'rating_count', 'favorite_count', 'popularity', 'updated_at', 'synced_at'];
+BEGIN
+    IF jsonb_build_array(NEW.fork_count, NEW.average_rating, NEW.rating_count, NEW.favorite_count)
+         IS DISTINCT FROM jsonb_build_array(OLD.fork_count, OLD.average_rating, OLD.rating_count, OLD.favorite_count)
+       AND to_jsonb(NEW) - ignored = to_jsonb(OLD) - ignored THEN
+        RETURN NEW;
+    END IF;
+
+    IF NEW.updated_at IS NOT DISTINCT FROM OLD.updated_at THEN
+        NEW.updated_at = NOW();
+    END IF;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
@@ -0,0 +1,94 @@
+-- Workout Plan Versions SQL Schema
+-- Run this in your Supabase SQL editor after workout-plans.sql, progression-rules.sql and plan-adherence.sql
+--
+-- Every change to a plan saves an immutable version holding a snapshot of the plan and its exercises,
+-- so earlier versions can be compared and restored. Sessions started from a plan point to the version used.
+
+CREATE TABLE workout_plan_versions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  workout_plan_id UUID NOT NULL REFERENCES workout_plans(id) ON DELETE CASCADE,
+  version_number INTEGER NOT NULL CHECK (version_number > 0),
+  snapshot JSONB NOT NULL, -- Plan fields and exercises, weights in kg
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL, -- User who made the change
+  restored_from_version INTEGER, -- Version number this version restored, NULL for other changes
+  created_at TIMESTAMP DEFAULT NOW(),
+
+  UNIQUE(workout_plan_id, version_number)
+);
+
+-- Version of the plan a session was started from
+ALTER TABLE workout_sessions ADD COLUMN workout_plan_version_id UUID REFERENCES workout_plan_versions(id) ON DELETE SET NULL;
+
+-- Create indexes for better performance
+CREATE INDEX idx_workout_plan_versions_plan_id ON workout_plan_versions(workout_plan_id, version_number DESC);
+CREATE INDEX idx_workout_sessions_workout_plan_version_id ON workout_sessions(workout_plan_version_id) WHERE workout_plan_version_id IS NOT NULL;
+
+-- Versions are never changed once saved
+CREATE OR REPLACE FUNCTION prevent_workout_plan_version_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'Workout plan versions cannot be changed';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER prevent_workout_plan_version_update
+    BEFORE UPDATE ON workout_plan_versions
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_workout_plan_version_update();
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE workout_plan_versions ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies for workout_plan_versions table
+-- Versions are visible with their plan and only saved by its creator; there are no update or delete policies
+CREATE POLICY "Users can view versions of own or public workout plans" ON workout_plan_versions
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM workout_plans
+            WHERE workout_plans.id = workout_plan_versions.workout_plan_id
+            AND (workout_plans.created_by = auth.uid() OR workout_plans.is_public = true)
+        )
+    );
+
+CREATE POLICY "Users can save versions of own workout plans" ON workout_plan_versions
+    FOR INSERT WITH CHECK (
+        EXISTS (
+            SELECT 1 FROM workout_plans
+            WHERE workout_plans.id = workout_plan_versions.workout_plan_id
+            AND workout_plans.created_by = auth.uid()
+        )
+    );
+
+-- Save the current state of existing plans as their first version
+INSERT INTO workout_plan_versions (workout_plan_id, version_number, snapshot, created_by, created_at)
+SELECT
+  wp.id,
+  1,
+  jsonb_build_object(
+    'name', wp.name,
+    'description', wp.description,
+    'muscle_types', to_jsonb(wp.muscle_types),
+    'difficulty_level', wp.difficulty_level,
+    'estimated_duration', wp.estimated_duration,
+    'progression_rule', wp.progression_rule,
+    'weight_increment', wp.weight_increment,
+    'exercises', COALESCE((
+      SELECT jsonb_agg(jsonb_build_object(
+        'exercise_id', wpe.exercise_id,
+        'sets', wpe.sets,
+        'reps', wpe.reps,
+        'max_reps', wpe.max_reps,
+        'weight', wpe.weight,
+        'rest_time', wpe.rest_time,
+        'notes', wpe.notes,
+        'order_index', wpe.order_index,
+        'progression_rule', wpe.progression_rule,
+        'weight_increment', wpe.weight_increment
+      ) ORDER BY wpe.order_index)
+      FROM workout_plan_exercises wpe
+      WHERE wpe.workout_plan_id = wp.id
+    ), '[]'::jsonb)
+  ),
+  wp.created_by,
+  COALESCE(wp.updated_at, NOW())
+FROM workout_plans wp;
@@ -0,0 +1,18 @@
+-- Progression Rules SQL Schema
+-- Run this in your Supabase SQL editor after workout-plans.sql and weight-units.sql
+--
+-- Workout plans suggest each exercise's weight and reps for the next session from the user's recent gym logs.
+-- A plan sets the default rule and weight increment; each plan exercise can override them.
+
+ALTER TABLE workout_plans
+  ADD COLUMN progression_rule TEXT NOT NULL DEFAULT 'double_progression'
+    CHECK (progression_rule IN ('double_progression', 'linear', 'none')),
+  ADD COLUMN weight_increment DECIMAL(6,2) NOT NULL DEFAULT 2.5 CHECK (weight_increment > 0); -- kg
+
+ALTER TABLE workout_plan_exercises
+  ADD COLUMN progression_rule TEXT CHECK (progression_rule IN ('double_progression', 'linear', 'none')), -- NULL: the plan's rule
+  ADD COLUMN weight_increment DECIMAL(6,2) CHECK (weight_increment > 0), -- kg, NULL: the plan's increment
+  ADD COLUMN max_reps INTEGER CHECK (max_reps >= reps); -- Top of the rep range for double progression
+
+-- Suggestions read a user's recent logs of the plan's exercises
+CREATE INDEX IF NOT EXISTS idx_gym_logs_user_exercise_created_at ON gym_logs(user_id, exercise_id, created_at DESC);
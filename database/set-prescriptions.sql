@@ -0,0 +1,23 @@
+-- Set Prescriptions SQL Schema
+-- Run this in your Supabase SQL editor after exercise-groups.sql
+--
+-- Plan exercises can prescribe more than a fixed sets x reps x weight: a rep range (reps to max_reps),
+-- an RPE or RIR target, a load as a percentage of the user's estimated one-rep max, a tempo, and
+-- different targets for each set.
+
+ALTER TABLE workout_plan_exercises
+  -- Effort target: RPE 1-10 in half points, or reps in reserve
+  ADD COLUMN target_rpe DECIMAL(3,1) CHECK (target_rpe BETWEEN 1 AND 10 AND target_rpe * 2 = FLOOR(target_rpe * 2)),
+  ADD COLUMN target_rir INTEGER CHECK (target_rir BETWEEN 0 AND 10),
+  -- Load as a percentage of the estimated one-rep max, instead of weight
+  ADD COLUMN percent_1rm DECIMAL(5,2) CHECK (percent_1rm > 0 AND percent_1rm <= 100),
+  -- Seconds per phase: eccentric-pause-concentric-pause, X for explosive (e.g. 3-1-X-0)
+  ADD COLUMN tempo TEXT CHECK (tempo ~ '^([0-9]{1,2}|X)(-([0-9]{1,2}|X)){3}$'),
+  -- One entry per set with any of reps, max_reps, weight (kg), percent_1rm, target_rpe and target_rir;
+  -- fields left out follow the plan exercise
+  ADD COLUMN set_prescriptions JSONB CHECK (
+    set_prescriptions IS NULL
+    OR (jsonb_typeof(set_prescriptions) = 'array' AND jsonb_array_length(set_prescriptions) = sets)
+  ),
+  ADD CONSTRAINT workout_plan_exercises_effort_target_check CHECK (target_rpe IS NULL OR target_rir IS NULL),
+  ADD CONSTRAINT workout_plan_exercises_load_check CHECK (weight IS NULL OR percent_1rm IS NULL);
@@ -0,0 +1,133 @@
+-- Offline Sync SQL Schema
+-- Run this in your Supabase SQL editor after workout-sessions.sql, workout-plans.sql and weight-units.sql
+--
+-- Synced records keep two times:
+--   updated_at - when the record was last changed, on the device that changed it (used to resolve conflicts)
+--   synced_at  - when the change reached the server (used to find changes since a sync token)
+-- Deleted records leave a tombstone so other devices learn about the delete.
+
+-- Keep an explicitly written updated_at: synced changes carry the time they were made on the device.
+-- Updates that leave updated_at unchanged still get the current time.
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.updated_at IS NOT DISTINCT FROM OLD.updated_at THEN
+        NEW.updated_at = NOW();
+    END IF;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+CREATE OR REPLACE FUNCTION update_workout_plans_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.updated_at IS NOT DISTINCT FROM OLD.updated_at THEN
+        NEW.updated_at = NOW();
+    END IF;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+-- Server time of the last change of each synced record
+ALTER TABLE gym_logs ADD COLUMN synced_at TIMESTAMP NOT NULL DEFAULT NOW();
+ALTER TABLE workout_sessions ADD COLUMN synced_at TIMESTAMP NOT NULL DEFAULT NOW();
+ALTER TABLE workout_plans ADD COLUMN synced_at TIMESTAMP NOT NULL DEFAULT NOW();
+
+-- NOW() is the start of the writing transaction, so a row can commit after rows with a later synced_at.
+-- Pulls re-read a safety window before the sync token (SYNC_SAFETY_WINDOW_SECONDS) to pick such rows up.
+CREATE OR REPLACE FUNCTION set_synced_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.synced_at = NOW();
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER set_gym_logs_synced_at
+    BEFORE INSERT OR UPDATE ON gym_logs
+    FOR EACH ROW
+    EXECUTE FUNCTION set_synced_at();
+
+CREATE TRIGGER set_workout_sessions_synced_at
+    BEFORE INSERT OR UPDATE ON workout_sessions
+    FOR EACH ROW
+    EXECUTE FUNCTION set_synced_at();
+
+CREATE TRIGGER set_workout_plans_synced_at
+    BEFORE INSERT OR UPDATE ON workout_plans
+    FOR EACH ROW
+    EXECUTE FUNCTION set_synced_at();
+
+-- Sync Tombstones table (one row per deleted synced record)
+CREATE TABLE sync_tombstones (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  entity_type TEXT NOT NULL CHECK (entity_type IN ('gym_logs', 'workout_sessions', 'workout_plans')),
+  entity_id UUID NOT NULL,
+  deleted_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  synced_at TIMESTAMP NOT NULL DEFAULT NOW(),
+
+  UNIQUE (entity_type, entity_id)
+);
+
+-- Record a tombstone for every deleted record, whichever endpoint deleted it.
+-- Records deleted together with their user are skipped.
+CREATE OR REPLACE FUNCTION record_sync_tombstone()
+RETURNS TRIGGER AS $$
+DECLARE
+    owner_id UUID;
+BEGIN
+    IF TG_TABLE_NAME = 'workout_plans' THEN
+        owner_id := OLD.created_by;
+    ELSE
+        owner_id := OLD.user_id;
+    END IF;
+
+    IF owner_id IS NOT NULL AND EXISTS (SELECT 1 FROM users WHERE id = owner_id) THEN
+        INSERT INTO sync_tombstones (user_id, entity_type, entity_id, deleted_at, synced_at)
+        VALUES (owner_id, TG_TABLE_NAME, OLD.id, NOW(), NOW())
+        ON CONFLICT (entity_type, entity_id)
+        DO UPDATE SET user_id = EXCLUDED.user_id, deleted_at = NOW(), synced_at = NOW();
+    END IF;
+
+    RETURN OLD;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER record_gym_logs_tombstone
+    AFTER DELETE ON gym_logs
+    FOR EACH ROW
+    EXECUTE FUNCTION record_sync_tombstone();
+
+CREATE TRIGGER record_workout_sessions_tombstone
+    AFTER DELETE ON workout_sessions
+    FOR EACH ROW
+    EXECUTE FUNCTION record_sync_tombstone();
+
+CREATE TRIGGER record_workout_plans_tombstone
+    AFTER DELETE ON workout_plans
+    FOR EACH ROW
+    EXECUTE FUNCTION record_sync_tombstone();
+
+-- Create indexes for better performance
+CREATE INDEX idx_gym_logs_user_synced_at ON gym_logs(user_id, synced_at, id);
+CREATE INDEX idx_workout_sessions_user_synced_at ON workout_sessions(user_id, synced_at, id);
+CREATE INDEX idx_workout_plans_created_by_synced_at ON workout_plans(created_by, synced_at, id);
+CREATE INDEX idx_sync_tombstones_user_synced_at ON sync_tombstones(user_id, synced_at, id);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE sync_tombstones ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies for sync_tombstones table
+-- Users can only see/modify their own tombstones
+CREATE POLICY "Users can view own sync tombstones" ON sync_tombstones
+    FOR SELECT USING (user_id = auth.uid());
+
+CREATE POLICY "Users can insert own sync tombstones" ON sync_tombstones
+    FOR INSERT WITH CHECK (user_id = auth.uid());
+
+CREATE POLICY "Users can update own sync tombstones" ON sync_tombstones
+    FOR UPDATE USING (user_id = auth.uid());
+
+CREATE POLICY "Users can delete own sync tombstones" ON sync_tombstones
+    FOR DELETE USING (user_id = auth.uid());
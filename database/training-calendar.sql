@@ -0,0 +1,83 @@
+-- Training Calendar SQL Schema
+-- Run this in your Supabase SQL editor after gym-log-analytics.sql and weight-units.sql
+
+-- Training days per week a user aims for; weeks reaching it count towards streaks
+ALTER TABLE users ADD COLUMN weekly_training_goal INTEGER NOT NULL DEFAULT 3
+  CHECK (weekly_training_goal BETWEEN 1 AND 7);
+
+-- Per-day training activity of one user in a date range, and training days per week over all time.
+-- Days are calendar days in UTC; weeks start on Monday. Volume excludes warm-up sets.
+CREATE OR REPLACE FUNCTION get_training_calendar(
+  p_user_id UUID,
+  p_from TIMESTAMP,
+  p_to TIMESTAMP
+)
+RETURNS JSON AS $$
+DECLARE
+  result JSON;
+BEGIN
+  WITH period_logs AS (
+    SELECT
+      gl.id,
+      gl.created_at::date AS day,
+      e.body_part
+    FROM gym_logs gl
+    LEFT JOIN exercises e ON e.id = gl.exercise_id
+    WHERE gl.user_id = p_user_id
+      AND gl.created_at >= p_from
+      AND gl.created_at < p_to
+  ),
+  log_volumes AS (
+    SELECT
+      gls.gym_log_id,
+      COUNT(gls.id) AS sets,
+      COALESCE(SUM(CASE WHEN gls.set_type = 'warmup' THEN 0 ELSE gls.reps * gls.weight END), 0) AS volume
+    FROM gym_log_sets gls
+    WHERE gls.gym_log_id IN (SELECT id FROM period_logs)
+    GROUP BY gls.gym_log_id
+  ),
+  training_days AS (
+    SELECT DISTINCT gl.created_at::date AS day
+    FROM gym_logs gl
+    WHERE gl.user_id = p_user_id
+  )
+  SELECT json_build_object(
+    'days', COALESCE((
+      SELECT json_agg(json_build_object(
+        'date', days.day,
+        'logs', days.logs,
+        'sets', days.sets,
+        'volume', days.volume,
+        'bodyParts', days.body_parts
+      ) ORDER BY days.day)
+      FROM (
+        SELECT
+          pl.day,
+          COUNT(pl.id) AS logs,
+          COALESCE(SUM(lv.sets), 0) AS sets,
+          COALESCE(SUM(lv.volume), 0) AS volume,
+          COALESCE(
+            array_agg(DISTINCT pl.body_part ORDER BY pl.body_part) FILTER (WHERE pl.body_part IS NOT NULL),
+            '{}'
+          ) AS body_parts
+        FROM period_logs pl
+        LEFT JOIN log_volumes lv ON lv.gym_log_id = pl.id
+        GROUP BY pl.day
+      ) days
+    ), '[]'::JSON),
+    'weeks', COALESCE((
+      SELECT json_agg(json_build_object(
+        'weekStart', weeks.week_start,
+        'trainingDays', weeks.training_days
+      ) ORDER BY weeks.week_start)
+      FROM (
+        SELECT date_trunc('week', day)::date AS week_start, COUNT(*) AS training_days
+        FROM training_days
+        GROUP BY 1
+      ) weeks
+    ), '[]'::JSON)
+  ) INTO result;
+
+  RETURN result;
+END;
+$$ LANGUAGE plpgsql STABLE;
@@ -0,0 +1,142 @@
+-- Training Programs SQL Schema
+-- Run this in your Supabase SQL editor after workout-plans.sql
+--
+-- A program is an ordered set of weeks; each week has up to seven days, each pointing at a workout plan.
+-- Days without an entry are rest days. Week modifiers scale the targets of the week's plans.
+
+CREATE TABLE training_programs (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  difficulty_level TEXT CHECK (difficulty_level IN ('beginner', 'intermediate', 'advanced')),
+  created_by UUID REFERENCES users(id) ON DELETE CASCADE,
+  is_public BOOLEAN DEFAULT false,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE training_program_weeks (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  program_id UUID NOT NULL REFERENCES training_programs(id) ON DELETE CASCADE,
+  week_number INTEGER NOT NULL CHECK (week_number BETWEEN 1 AND 52),
+  name VARCHAR(255),
+  is_deload BOOLEAN NOT NULL DEFAULT false,
+  weight_percent DECIMAL(5,2) NOT NULL DEFAULT 100 CHECK (weight_percent BETWEEN 10 AND 200), -- Percent of the plans' weights
+  sets_percent DECIMAL(5,2) NOT NULL DEFAULT 100 CHECK (sets_percent BETWEEN 10 AND 200), -- Percent of the plans' sets
+  reps_adjustment INTEGER NOT NULL DEFAULT 0 CHECK (reps_adjustment BETWEEN -20 AND 20), -- Added to the plans' reps
+
+  UNIQUE(program_id, week_number)
+);
+
+CREATE TABLE training_program_days (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  week_id UUID NOT NULL REFERENCES training_program_weeks(id) ON DELETE CASCADE,
+  day_number INTEGER NOT NULL CHECK (day_number BETWEEN 1 AND 7), -- Day of the week, counted from the enrollment's start date
+  workout_plan_id UUID NOT NULL REFERENCES workout_plans(id) ON DELETE CASCADE,
+  name VARCHAR(255),
+
+  UNIQUE(week_id, day_number)
+);
+
+-- Users following a program from a start date
+CREATE TABLE program_enrollments (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  program_id UUID NOT NULL REFERENCES training_programs(id) ON DELETE CASCADE,
+  start_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'completed', 'cancelled')),
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Create indexes for better performance
+CREATE INDEX idx_training_programs_created_by ON training_programs(created_by);
+CREATE INDEX idx_training_programs_public ON training_programs(is_public);
+CREATE INDEX idx_training_program_weeks_program_id ON training_program_weeks(program_id, week_number);
+CREATE INDEX idx_training_program_days_week_id ON training_program_days(week_id, day_number);
+CREATE INDEX idx_training_program_days_workout_plan_id ON training_program_days(workout_plan_id);
+CREATE INDEX idx_program_enrollments_user_id ON program_enrollments(user_id);
+CREATE UNIQUE INDEX idx_program_enrollments_one_active ON program_enrollments(user_id) WHERE status = 'active';
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE training_programs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE training_program_weeks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE training_program_days ENABLE ROW LEVEL SECURITY;
+ALTER TABLE program_enrollments ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies for training_programs table
+-- Users can view their own programs and public programs
+CREATE POLICY "Users can view own and public training programs" ON training_programs
+    FOR SELECT USING (created_by = auth.uid() OR is_public = true);
+
+CREATE POLICY "Users can create training programs" ON training_programs
+    FOR INSERT WITH CHECK (created_by = auth.uid());
+
+CREATE POLICY "Users can update own training programs" ON training_programs
+    FOR UPDATE USING (created_by = auth.uid());
+
+CREATE POLICY "Users can delete own training programs" ON training_programs
+    FOR DELETE USING (created_by = auth.uid());
+
+-- RLS Policies for training_program_weeks table
+-- Weeks are visible with their program and modified by its creator
+CREATE POLICY "Users can view training program weeks" ON training_program_weeks
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM training_programs
+            WHERE training_programs.id = training_program_weeks.program_id
+            AND (training_programs.created_by = auth.uid() OR training_programs.is_public = true)
+        )
+    );
+
+CREATE POLICY "Users can modify weeks of own training programs" ON training_program_weeks
+    FOR ALL USING (
+        EXISTS (
+            SELECT 1 FROM training_programs
+            WHERE training_programs.id = training_program_weeks.program_id
+            AND training_programs.created_by = auth.uid()
+        )
+    );
+
+-- RLS Policies for training_program_days table
+CREATE POLICY "Users can view training program days" ON training_program_days
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM training_program_weeks
+            JOIN training_programs ON training_programs.id = training_program_weeks.program_id
+            WHERE training_program_weeks.id = training_program_days.week_id
+            AND (training_programs.created_by = auth.uid() OR training_programs.is_public = true)
+        )
+    );
+
+CREATE POLICY "Users can modify days of own training programs" ON training_program_days
+    FOR ALL USING (
+        EXISTS (
+            SELECT 1 FROM training_program_weeks
+            JOIN training_programs ON training_programs.id = training_program_weeks.program_id
+            WHERE training_program_weeks.id = training_program_days.week_id
+            AND training_programs.created_by = auth.uid()
+        )
+    );
+
+-- RLS Policies for program_enrollments table
+-- Users can only see/modify their own enrollments
+CREATE POLICY "Users can view own program enrollments" ON program_enrollments
+    FOR SELECT USING (user_id = auth.uid());
+
+CREATE POLICY "Users can enroll in programs" ON program_enrollments
+    FOR INSERT WITH CHECK (user_id = auth.uid());
+
+CREATE POLICY "Users can update own program enrollments" ON program_enrollments
+    FOR UPDATE USING (user_id = auth.uid());
+
+-- Create triggers to automatically update updated_at columns
+CREATE TRIGGER update_training_programs_updated_at
+    BEFORE UPDATE ON training_programs
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_program_enrollments_updated_at
+    BEFORE UPDATE ON program_enrollments
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,11 @@
+-- Weight Units SQL Schema
+-- Run this in your Supabase SQL editor after workout-plans.sql and gym-log-exercise-link.sql
+--
+-- All weights (gym_logs, gym_log_sets, personal_records, workout_plan_exercises) are stored in kg.
+-- Existing rows are treated as kg. The API converts weights from and to each user's preferred unit.
+
+-- Preferred weight unit of each user
+ALTER TABLE users ADD COLUMN weight_unit TEXT NOT NULL DEFAULT 'kg' CHECK (weight_unit IN ('kg', 'lb'));
+
+-- Unit a gym log was entered in (its weights are stored converted to kg)
+ALTER TABLE gym_logs ADD COLUMN recorded_unit TEXT NOT NULL DEFAULT 'kg' CHECK (recorded_unit IN ('kg', 'lb'));
@@ -0,0 +1,52 @@
+-- Workout Schedules SQL Schema
+-- Run this in your Supabase SQL editor after workout-plans.sql and plan-adherence.sql
+--
+-- A schedule puts a workout plan on a date, or on weekdays from a start date. Occurrences count as
+-- completed when a session was started from the plan that day.
+
+CREATE TABLE workout_schedules (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  workout_plan_id UUID NOT NULL REFERENCES workout_plans(id) ON DELETE CASCADE,
+  start_date DATE NOT NULL, -- The date of a one-off workout, or the first day of a recurring one
+  end_date DATE, -- Last day of a recurring workout, NULL for no end
+  weekdays INTEGER[] NOT NULL DEFAULT '{}' CHECK (weekdays <@ ARRAY[1, 2, 3, 4, 5, 6, 7]), -- ISO weekdays, empty for a one-off workout
+  start_time TIME, -- Local time of day, NULL for an all-day workout
+  duration_minutes INTEGER CHECK (duration_minutes BETWEEN 5 AND 600),
+  notes TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+
+  CHECK (end_date IS NULL OR end_date >= start_date)
+);
+
+-- SHA-256 hash of the user's calendar feed token; the token itself is only shown when it is created
+ALTER TABLE users ADD COLUMN calendar_token_hash TEXT UNIQUE;
+
+-- Create indexes for better performance
+CREATE INDEX idx_workout_schedules_user_id ON workout_schedules(user_id);
+CREATE INDEX idx_workout_schedules_workout_plan_id ON workout_schedules(workout_plan_id);
+CREATE INDEX idx_workout_sessions_user_plan_started_at ON workout_sessions(user_id, workout_plan_id, started_at);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE workout_schedules ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies for workout_schedules table
+-- Users can only see/modify their own schedules
+CREATE POLICY "Users can view own workout schedules" ON workout_schedules
+    FOR SELECT USING (user_id = auth.uid());
+
+CREATE POLICY "Users can insert own workout schedules" ON workout_schedules
+    FOR INSERT WITH CHECK (user_id = auth.uid());
+
+CREATE POLICY "Users can update own workout schedules" ON workout_schedules
+    FOR UPDATE USING (user_id = auth.uid());
+
+CREATE POLICY "Users can delete own workout schedules" ON workout_schedules
+    FOR DELETE USING (user_id = auth.uid());
+
+-- Create trigger to automatically update updated_at column
+CREATE TRIGGER update_workout_schedules_updated_at
+    BEFORE UPDATE ON workout_schedules
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,50 @@
+-- Workout Sessions SQL Schema
+-- Run this in your Supabase SQL editor after schema.sql and gym-log-sets.sql
+
+-- Workout Sessions table (groups the gym logs of one workout)
+CREATE TABLE workout_sessions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  title VARCHAR(255),
+  notes TEXT,
+  started_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  ended_at TIMESTAMP, -- NULL while the session is in progress
+  duration_seconds INTEGER CHECK (duration_seconds >= 0), -- Set when the session is finished
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+
+  CHECK (ended_at IS NULL OR ended_at >= started_at)
+);
+
+-- Link gym logs to sessions
+ALTER TABLE gym_logs ADD COLUMN session_id UUID REFERENCES workout_sessions(id) ON DELETE SET NULL;
+ALTER TABLE gym_logs ADD COLUMN session_order INTEGER CHECK (session_order > 0); -- Order of the log within its session
+
+-- Create indexes for better performance
+CREATE INDEX idx_workout_sessions_user_id ON workout_sessions(user_id);
+CREATE INDEX idx_workout_sessions_started_at ON workout_sessions(started_at DESC);
+CREATE INDEX idx_workout_sessions_active ON workout_sessions(user_id) WHERE ended_at IS NULL;
+CREATE INDEX idx_gym_logs_session_id ON gym_logs(session_id, session_order);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE workout_sessions ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies for workout_sessions table
+-- Users can only see/modify their own sessions
+CREATE POLICY "Users can view own workout sessions" ON workout_sessions
+    FOR SELECT USING (user_id = auth.uid());
+
+CREATE POLICY "Users can insert own workout sessions" ON workout_sessions
+    FOR INSERT WITH CHECK (user_id = auth.uid());
+
+CREATE POLICY "Users can update own workout sessions" ON workout_sessions
+    FOR UPDATE USING (user_id = auth.uid());
+
+CREATE POLICY "Users can delete own workout sessions" ON workout_sessions
+    FOR DELETE USING (user_id = auth.uid());
+
+-- Create trigger to automatically update updated_at column
+CREATE TRIGGER update_workout_sessions_updated_at
+    BEFORE UPDATE ON workout_sessions
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,139 @@
+// Link free-text gym logs to the exercise catalog
+//
+// Usage:
+//   npm run migrate:link-exercises -- [--dry-run] [--threshold=0.8] [--json]
+//
+// Every distinct exercise name on gym logs without an exercise_id is fuzzy-matched
+// against the exercises table. Matched logs get the catalog id and name, and personal
+// records are renamed to match. Names without a confident match are reported and left as-is.
+// Requires SUPABASE_SERVICE_ROLE_KEY so the update is not limited by Row Level Security.
+
+require('dotenv').config();
+
+const { supabaseAdmin } = require('../src/config/database');
+const ExerciseMatcher = require('../src/utils/exerciseMatcher');
+
+const PAGE_SIZE = 1000;
+
+const parseArgs = (argv) => {
+  const thresholdArg = argv.find(arg => arg.startsWith('--threshold='));
+
+  return {
+    dryRun: argv.includes('--dry-run'),
+    json: argv.includes('--json'),
+    threshold: thresholdArg ? parseFloat(thresholdArg.split('=')[1]) : 0.8
+  };
+};
+
+// Count unlinked gym logs by their exact free-text exercise name
+const fetchUnlinkedNames = async () => {
+  const counts = new Map();
+  let offset = 0;
+
+  for (;;) {
+    const { data, error } = await supabaseAdmin
+      .from('gym_logs')
+      .select('id, exercise')
+      .is('exercise_id', null)
+      .order('id', { ascending: true })
+      .range(offset, offset + PAGE_SIZE - 1);
+
+    if (error) {
+      throw error;
+    }
+
+    data.forEach(log => counts.set(log.exercise, (counts.get(log.exercise) || 0) + 1));
+
+    if (data.length < PAGE_SIZE) {
+      return counts;
+    }
+
+    offset += PAGE_SIZE;
+  }
+};
+
+const linkName = async (name, exercise) => {
+  const { error: logError } = await supabaseAdmin
+    .from('gym_logs')
+    .update({ exercise_id: exercise.id, exercise: exercise.name })
+    .eq('exercise', name)
+    .is('exercise_id', null);
+
+  if (logError) {
+    throw logError;
+  }
+
+  const { error: recordError } = await supabaseAdmin
+    .from('personal_records')
+    .update({ exercise: exercise.name })
+    .eq('exercise', name);
+
+  if (recordError) {
+    throw recordError;
+  }
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!supabaseAdmin) {
+    console.error('❌ SUPABASE_SERVICE_ROLE_KEY is required to link gym logs');
+    process.exit(1);
+  }
+
+  const { data: catalog, error } = await supabaseAdmin
+    .from('exercises')
+    .select('id, name');
+
+  if (error) {
+    throw error;
+  }
+
+  const names = await fetchUnlinkedNames();
+  const matched = [];
+  const unmatched = [];
+
+  for (const [name, logCount] of names) {
+    const result = ExerciseMatcher.match(name, catalog, { threshold: options.threshold });
+
+    if (result.exercise) {
+      matched.push({ name, log_count: logCount, exercise_id: result.exercise.id, exercise: result.exercise.name, score: result.score });
+
+      if (!options.dryRun) {
+        await linkName(name, result.exercise);
+      }
+    } else {
+      unmatched.push({ name, log_count: logCount, suggestions: result.suggestions });
+    }
+  }
+
+  const report = {
+    dry_run: options.dryRun,
+    threshold: options.threshold,
+    matched,
+    unmatched
+  };
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  console.log(options.dryRun ? '📋 Dry run - no gym logs were changed\n' : '✅ Gym logs linked to the exercise catalog\n');
+
+  console.log(`Matched ${matched.length} name(s):`);
+  matched.forEach(item => {
+    console.log(`  - "${item.name}" -> ${item.exercise} (${item.exercise_id}), score ${item.score}, ${item.log_count} log(s)`);
+  });
+
+  console.log(`\nUnmatched ${unmatched.length} name(s):`);
+  unmatched.forEach(item => {
+    const suggestions = item.suggestions.map(suggestion => `${suggestion.name} (${suggestion.score})`).join(', ');
+    console.log(`  - "${item.name}", ${item.log_count} log(s)${suggestions ? `, closest: ${suggestions}` : ''}`);
+  });
+};
+
+main().catch(error => {
+  console.error('❌ Linking gym logs failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,49 @@
+// Body Metric Constants
+// These constants define the body metrics users can record and how their trends are calculated
+
+// Tape measurements, stored in cm
+const BODY_MEASUREMENT_FIELDS = [
+  'neck_cm',
+  'chest_cm',
+  'waist_cm',
+  'hips_cm',
+  'arm_cm',
+  'forearm_cm',
+  'thigh_cm',
+  'calf_cm'
+];
+
+// Every metric an entry can record; bodyweight is stored in kg
+const BODY_METRICS = [
+  'bodyweight',
+  'body_fat_percent',
+  ...BODY_MEASUREMENT_FIELDS
+];
+
+const DEFAULT_BODY_METRIC = 'bodyweight';
+
+// Days covered by each moving-average point (trailing, including the day itself)
+const DEFAULT_MOVING_AVERAGE_DAYS = 7;
+const MIN_MOVING_AVERAGE_DAYS = 2;
+const MAX_MOVING_AVERAGE_DAYS = 90;
+
+// Exercise types lifted with the user's own bodyweight, plus any added weight
+const BODYWEIGHT_EXERCISE_TYPES = [
+  'calisthenics'
+];
+
+// Validation helpers
+const isValidBodyMetric = (metric) => BODY_METRICS.includes(metric);
+const isBodyweightExerciseType = (exerciseType) => BODYWEIGHT_EXERCISE_TYPES.includes(exerciseType);
+
+module.exports = {
+  BODY_MEASUREMENT_FIELDS,
+  BODY_METRICS,
+  DEFAULT_BODY_METRIC,
+  DEFAULT_MOVING_AVERAGE_DAYS,
+  MIN_MOVING_AVERAGE_DAYS,
+  MAX_MOVING_AVERAGE_DAYS,
+  BODYWEIGHT_EXERCISE_TYPES,
+  isValidBodyMetric,
+  isBodyweightExerciseType
+};
@@ -0,0 +1,49 @@
+// Exercise Group Constants
+// These constants define how the exercises of a workout plan are grouped into straight sets, supersets and circuits
+
+// Group types
+// - straight_sets: all sets of each exercise before moving on to the next
+// - superset: two exercises done back to back (A1/A2), then the rest between rounds
+// - giant_set: three or more exercises done back to back
+// - circuit: two or more exercises done one after another for a number of rounds
+const EXERCISE_GROUP_TYPES = [
+  'straight_sets',
+  'superset',
+  'giant_set',
+  'circuit'
+];
+
+const DEFAULT_EXERCISE_GROUP_TYPE = 'straight_sets';
+
+// Number of exercises each group type holds; no max means any number
+const EXERCISE_GROUP_SIZES = {
+  straight_sets: { min: 1 },
+  superset: { min: 2, max: 2 },
+  giant_set: { min: 3 },
+  circuit: { min: 2 }
+};
+
+// Rounds of a group. Each round is `sets` of every exercise in the group, usually one;
+// straight sets are always done in one round.
+const MAX_GROUP_ROUNDS = 50;
+
+// Most rest between rounds, in seconds
+const MAX_GROUP_REST = 3600;
+
+// Validation helpers
+const isValidExerciseGroupType = (type) => EXERCISE_GROUP_TYPES.includes(type);
+
+const isValidExerciseGroupSize = (type, size) => {
+  const { min, max = Infinity } = EXERCISE_GROUP_SIZES[type];
+  return size >= min && size <= max;
+};
+
+module.exports = {
+  EXERCISE_GROUP_TYPES,
+  DEFAULT_EXERCISE_GROUP_TYPE,
+  EXERCISE_GROUP_SIZES,
+  MAX_GROUP_ROUNDS,
+  MAX_GROUP_REST,
+  isValidExerciseGroupType,
+  isValidExerciseGroupSize
+};
@@ -0,0 +1,152 @@
+// Gym Log Constants
+// These constants define the valid values for gym log and set properties
+
+const SET_TYPES = [
+  'warmup',
+  'working',
+  'drop',
+  'failure'
+];
+
+// Set type used when a flat sets/reps/weight entry is expanded into individual sets
+const DEFAULT_SET_TYPE = 'working';
+
+// Rating of perceived exertion bounds
+const RPE_MIN = 1;
+const RPE_MAX = 10;
+
+// Exercise types logged with a duration (and optionally distance, heart rate, calories and incline)
+// instead of sets, reps and weight
+const TIMED_EXERCISE_TYPES = [
+  'cardio',
+  'endurance',
+  'mobility'
+];
+
+// Fields of a timed gym log; distance is in km and pace is derived from duration and distance
+const TIMED_LOG_FIELDS = [
+  'duration_seconds',
+  'distance_km',
+  'average_heart_rate',
+  'calories',
+  'incline_percent'
+];
+
+// Fields of a strength gym log
+const STRENGTH_LOG_FIELDS = [
+  'sets',
+  'reps',
+  'weight'
+];
+
+// Personal record types detected per exercise
+const RECORD_TYPES = [
+  'max_weight',
+  'max_reps_at_weight',
+  'estimated_1rm',
+  'session_volume'
+];
+
+// Formulas available for estimating a one-rep max
+const ONE_REP_MAX_FORMULAS = [
+  'epley',
+  'brzycki',
+  'lombardi'
+];
+
+const DEFAULT_ONE_REP_MAX_FORMULA = 'epley';
+
+// Statistics periods and the bucket size used for each by default
+const STATS_PERIODS = [
+  'week',
+  'month',
+  'year',
+  'custom'
+];
+
+const STATS_GROUP_BY = [
+  'day',
+  'week',
+  'month'
+];
+
+// Columns gym log listings can be sorted by (session_order only within a session)
+const GYM_LOG_SORT_FIELDS = [
+  'created_at',
+  'exercise',
+  'sets',
+  'reps',
+  'weight',
+  'session_order'
+];
+
+const SORT_ORDERS = [
+  'asc',
+  'desc'
+];
+
+// Largest page size for gym log listings
+const MAX_PAGE_LIMIT = 100;
+
+// Training history export formats and the number of logs read per query while streaming
+const EXPORT_FORMATS = [
+  'csv',
+  'json'
+];
+
+const EXPORT_BATCH_SIZE = 500;
+
+// Apps whose CSV exports can be imported, and the most rows accepted per import
+const IMPORT_SOURCES = [
+  'strong',
+  'hevy',
+  'generic'
+];
+
+const MAX_IMPORT_ROWS = 10000;
+
+// Number of gym logs written per query by bulk inserts
+const BULK_INSERT_BATCH_SIZE = 500;
+
+// Most gym logs accepted by one bulk create request
+const MAX_BULK_GYM_LOGS = 100;
+
+// Training days per week a user aims for; weeks reaching the goal extend the training streak
+const WEEKLY_TRAINING_GOAL_MIN = 1;
+const WEEKLY_TRAINING_GOAL_MAX = 7;
+const DEFAULT_WEEKLY_TRAINING_GOAL = 3;
+
+// Validation helpers
+const isValidSetType = (setType) => SET_TYPES.includes(setType);
+const isValidRecordType = (recordType) => RECORD_TYPES.includes(recordType);
+const isTimedExerciseType = (exerciseType) => TIMED_EXERCISE_TYPES.includes(exerciseType);
+
+module.exports = {
+  SET_TYPES,
+  DEFAULT_SET_TYPE,
+  RPE_MIN,
+  RPE_MAX,
+  TIMED_EXERCISE_TYPES,
+  TIMED_LOG_FIELDS,
+  STRENGTH_LOG_FIELDS,
+  RECORD_TYPES,
+  ONE_REP_MAX_FORMULAS,
+  DEFAULT_ONE_REP_MAX_FORMULA,
+  STATS_PERIODS,
+  STATS_GROUP_BY,
+  GYM_LOG_SORT_FIELDS,
+  SORT_ORDERS,
+  MAX_PAGE_LIMIT,
+  EXPORT_FORMATS,
+  EXPORT_BATCH_SIZE,
+  IMPORT_SOURCES,
+  MAX_IMPORT_ROWS,
+  BULK_INSERT_BATCH_SIZE,
+  MAX_BULK_GYM_LOGS,
+  WEEKLY_TRAINING_GOAL_MIN,
+  WEEKLY_TRAINING_GOAL_MAX,
+  DEFAULT_WEEKLY_TRAINING_GOAL,
+  isValidSetType,
+  isValidRecordType,
+  isTimedExerciseType
+};
@@ -0,0 +1,28 @@
+// Workout Plan Rating Constants
+// These constants drive ratings, reviews and favorites of workout plans, and the orders plans are listed in
+
+const RATING_MIN = 1;
+const RATING_MAX = 5;
+
+const MAX_REVIEW_LENGTH = 1000;
+
+// Orders workout plan listings can be sorted by, and the column each sorts on
+// - rating: average rating, ties broken by the number of ratings
+// - popularity: ratings + favorites + forks
+// - favorites: number of users who favorited the plan
+const WORKOUT_PLAN_SORT_COLUMNS = {
+  created_at: 'created_at',
+  rating: 'average_rating',
+  popularity: 'popularity',
+  favorites: 'favorite_count'
+};
+
+const WORKOUT_PLAN_SORT_FIELDS = Object.keys(WORKOUT_PLAN_SORT_COLUMNS);
+
+module.exports = {
+  RATING_MIN,
+  RATING_MAX,
+  MAX_REVIEW_LENGTH,
+  WORKOUT_PLAN_SORT_COLUMNS,
+  WORKOUT_PLAN_SORT_FIELDS
+};
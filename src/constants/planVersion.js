@@ -0,0 +1,55 @@
+// Workout Plan Version Constants
+// These constants define what a saved version of a workout plan holds
+
+// Plan fields kept in each version. Visibility (is_public) is a sharing setting, not part of the plan's content.
+const VERSIONED_PLAN_FIELDS = [
+  'name',
+  'description',
+  'muscle_types',
+  'difficulty_level',
+  'estimated_duration',
+  'progression_rule',
+  'weight_increment'
+];
+
+// Fields of each exercise group kept in each version. Groups are ordered by their first exercise.
+const VERSIONED_GROUP_FIELDS = [
+  'group_type',
+  'rounds',
+  'rest_between_rounds',
+  'notes'
+];
+
+// Fields of each plan exercise kept in each version, next to its exercise_id.
+// group_index is the position of the exercise's group in the version's groups, null for an exercise on its own.
+const VERSIONED_EXERCISE_FIELDS = [
+  'group_index',
+  'sets',
+  'reps',
+  'max_reps',
+  'weight',
+  'rest_time',
+  'notes',
+  'order_index',
+  'progression_rule',
+  'weight_increment',
+  'target_rpe',
+  'target_rir',
+  'percent_1rm',
+  'tempo',
+  'set_prescriptions'
+];
+
+// Versioned fields holding weights, stored in kg. The weights of set_prescriptions are in kg too.
+const VERSIONED_WEIGHT_FIELDS = ['weight', 'weight_increment'];
+
+// Other versioned decimal fields, which arrive from the database as strings
+const VERSIONED_DECIMAL_FIELDS = ['target_rpe', 'percent_1rm'];
+
+module.exports = {
+  VERSIONED_PLAN_FIELDS,
+  VERSIONED_GROUP_FIELDS,
+  VERSIONED_EXERCISE_FIELDS,
+  VERSIONED_WEIGHT_FIELDS,
+  VERSIONED_DECIMAL_FIELDS
+};
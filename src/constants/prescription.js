@@ -0,0 +1,35 @@
+// Set Prescription Constants
+// These constants define the targets a workout plan exercise can prescribe next to its sets, reps and weight
+
+// Effort targets: RPE (rate of perceived exertion, in half points) or RIR (reps in reserve), not both
+const TARGET_RPE_STEP = 0.5;
+const TARGET_RIR_MIN = 0;
+const TARGET_RIR_MAX = 10;
+
+// Loads given as a percentage of the user's estimated one-rep max, instead of a fixed weight
+const PERCENT_1RM_MIN = 1;
+const PERCENT_1RM_MAX = 100;
+
+// Tempo in seconds per phase: eccentric-pause-concentric-pause, X for explosive (e.g. 3-1-X-0).
+// A lowercase x is accepted and stored uppercase.
+const TEMPO_PATTERN = /^([0-9]{1,2}|X)(-([0-9]{1,2}|X)){3}$/i;
+
+// Percentage loads are rounded to what can be loaded on a bar, in each weight unit
+const LOAD_ROUNDING = {
+  kg: 2.5,
+  lb: 5
+};
+
+// Validation helpers
+const isValidTempo = (tempo) => TEMPO_PATTERN.test(tempo);
+
+module.exports = {
+  TARGET_RPE_STEP,
+  TARGET_RIR_MIN,
+  TARGET_RIR_MAX,
+  PERCENT_1RM_MIN,
+  PERCENT_1RM_MAX,
+  TEMPO_PATTERN,
+  LOAD_ROUNDING,
+  isValidTempo
+};
@@ -0,0 +1,37 @@
+// Training Program Constants
+// These constants drive multi-week training programs built from workout plans
+
+const DAYS_PER_WEEK = 7;
+const MAX_PROGRAM_WEEKS = 52;
+
+// Week modifiers scale the targets of a week's workout plans.
+// weight_percent and sets_percent are percentages of the plan's targets; reps_adjustment is added to its reps.
+const DEFAULT_WEIGHT_PERCENT = 100;
+const DEFAULT_SETS_PERCENT = 100;
+const DEFAULT_REPS_ADJUSTMENT = 0;
+const MIN_MODIFIER_PERCENT = 10;
+const MAX_MODIFIER_PERCENT = 200;
+
+// Modifiers of a deload week that does not set its own
+const DEFAULT_DELOAD_WEIGHT_PERCENT = 60;
+const DEFAULT_DELOAD_SETS_PERCENT = 50;
+
+// Enrollment statuses; a user follows one active program at a time
+const ENROLLMENT_STATUSES = [
+  'active',
+  'completed',
+  'cancelled'
+];
+
+module.exports = {
+  DAYS_PER_WEEK,
+  MAX_PROGRAM_WEEKS,
+  DEFAULT_WEIGHT_PERCENT,
+  DEFAULT_SETS_PERCENT,
+  DEFAULT_REPS_ADJUSTMENT,
+  MIN_MODIFIER_PERCENT,
+  MAX_MODIFIER_PERCENT,
+  DEFAULT_DELOAD_WEIGHT_PERCENT,
+  DEFAULT_DELOAD_SETS_PERCENT,
+  ENROLLMENT_STATUSES
+};
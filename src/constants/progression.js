@@ -0,0 +1,42 @@
+// Progression Constants
+// These constants drive the weight and reps suggested for each workout plan exercise
+
+// Progression rules a plan or plan exercise can follow
+// - double_progression: add reps up to max_reps on every set, then add weight and start again at reps
+// - linear: add weight every time all target sets and reps were completed
+// - none: always suggest the plan's weight and reps
+const PROGRESSION_RULES = [
+  'double_progression',
+  'linear',
+  'none'
+];
+
+const DEFAULT_PROGRESSION_RULE = 'double_progression';
+
+// Weight added when a rule progresses, in kg
+const DEFAULT_WEIGHT_INCREMENT = 2.5;
+
+// Reps above the target reps that double progression works up to when a plan exercise has no max_reps
+const DEFAULT_REP_RANGE = 4;
+
+// Sessions in a row that must miss the target at the same weight before the suggestion deloads,
+// and how much it deloads by
+const DELOAD_AFTER_MISSES = 3;
+const DELOAD_PERCENT = 10;
+
+// Days of training history considered for suggestions
+const PROGRESSION_LOOKBACK_DAYS = 90;
+
+// Validation helpers
+const isValidProgressionRule = (rule) => PROGRESSION_RULES.includes(rule);
+
+module.exports = {
+  PROGRESSION_RULES,
+  DEFAULT_PROGRESSION_RULE,
+  DEFAULT_WEIGHT_INCREMENT,
+  DEFAULT_REP_RANGE,
+  DELOAD_AFTER_MISSES,
+  DELOAD_PERCENT,
+  PROGRESSION_LOOKBACK_DAYS,
+  isValidProgressionRule
+};
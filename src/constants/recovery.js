@@ -0,0 +1,77 @@
+// Recovery Constants
+// These constants drive the muscle recovery estimate of each body part
+
+const { BODY_PARTS } = require('./exercise');
+
+// Body parts with a recovery status ("all" is a catalog filter, not a muscle)
+const RECOVERY_BODY_PARTS = BODY_PARTS.filter(bodyPart => bodyPart !== 'all');
+
+// Hours a body part takes to recover from a reference session (REFERENCE_SESSION_SETS hard sets).
+// Large muscle groups take longer than small ones.
+const RECOVERY_HOURS = {
+  chest: 60,
+  lowerback: 72,
+  back: 72,
+  shoulders: 48,
+  upperabs: 36,
+  sideabs: 36,
+  biceps: 48,
+  triceps: 48,
+  legs: 72,
+  middlequads: 72,
+  innerquads: 72,
+  hamstrings: 72,
+  glutes: 72,
+  core: 36,
+  calves: 36,
+  frontcalves: 36,
+  forearms: 36,
+  lats: 60,
+  traps: 48,
+  reardelts: 48,
+  'full-body': 72
+};
+
+// Working sets of one body part that make a hard session
+const REFERENCE_SESSION_SETS = 10;
+
+// Bounds of how much a session's size stretches or shortens its recovery time
+const MIN_RECOVERY_SCALE = 0.5;
+const MAX_RECOVERY_SCALE = 1.5;
+
+// RPE of a hard set; sets logged with RPE count proportionally, within the bounds below
+const REFERENCE_RPE = 8;
+const MIN_RPE_FACTOR = 0.5;
+const MAX_RPE_FACTOR = 1.25;
+
+// Share of a full-body exercise's fatigue applied to every other body part
+const FULL_BODY_SPILLOVER = 0.25;
+
+// Days of training history considered (longer than the slowest recovery)
+const RECOVERY_LOOKBACK_DAYS = 7;
+
+// Recovery percentages at which a body part is ready to train, or still fatigued below
+const RECOVERY_READY_PERCENT = 90;
+const RECOVERY_FATIGUED_PERCENT = 50;
+
+const RECOVERY_STATUSES = [
+  'ready',
+  'recovering',
+  'fatigued'
+];
+
+module.exports = {
+  RECOVERY_BODY_PARTS,
+  RECOVERY_HOURS,
+  REFERENCE_SESSION_SETS,
+  MIN_RECOVERY_SCALE,
+  MAX_RECOVERY_SCALE,
+  REFERENCE_RPE,
+  MIN_RPE_FACTOR,
+  MAX_RPE_FACTOR,
+  FULL_BODY_SPILLOVER,
+  RECOVERY_LOOKBACK_DAYS,
+  RECOVERY_READY_PERCENT,
+  RECOVERY_FATIGUED_PERCENT,
+  RECOVERY_STATUSES
+};
@@ -0,0 +1,37 @@
+// Workout Schedule Constants
+// These constants drive scheduled workouts, their occurrences and the iCalendar feed
+
+// ISO weekdays: 1 = Monday ... 7 = Sunday, with their iCalendar names
+const WEEKDAYS = [1, 2, 3, 4, 5, 6, 7];
+const ICS_WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+// Occurrences listed by default: this many days before and after today
+const DEFAULT_OCCURRENCE_DAYS = 14;
+const MAX_OCCURRENCE_RANGE_DAYS = 366;
+
+// Length of calendar events of schedules without a duration, when their plan has no estimated duration
+const DEFAULT_WORKOUT_DURATION_MINUTES = 60;
+
+// Random bytes of a calendar feed token; only its SHA-256 hash is stored
+const CALENDAR_TOKEN_BYTES = 32;
+
+// Occurrence statuses
+// - completed: a session was started from the plan that day
+// - missed: a past day without such a session
+// - today / upcoming: not trained yet
+const OCCURRENCE_STATUSES = [
+  'completed',
+  'missed',
+  'today',
+  'upcoming'
+];
+
+module.exports = {
+  WEEKDAYS,
+  ICS_WEEKDAYS,
+  DEFAULT_OCCURRENCE_DAYS,
+  MAX_OCCURRENCE_RANGE_DAYS,
+  DEFAULT_WORKOUT_DURATION_MINUTES,
+  CALENDAR_TOKEN_BYTES,
+  OCCURRENCE_STATUSES
+};
@@ -0,0 +1,37 @@
+// Sync Constants
+// These constants define which records the offline sync endpoint exchanges
+
+// Synced record types, named after their tables
+const SYNC_ENTITY_TYPES = [
+  'workout_sessions',
+  'gym_logs',
+  'workout_plans'
+];
+
+// Most changes a client can push in one request
+const MAX_SYNC_PUSH_CHANGES = 500;
+
+// Most changed records of each type returned by one request; clients sync again while has_more is true
+const SYNC_PAGE_SIZE = 500;
+
+// synced_at is stamped when a write starts, not when it commits, so a slow write can become visible with a
+// synced_at before a token's position. Pulls that were caught up re-read this many seconds before the token.
+const SYNC_SAFETY_WINDOW_SECONDS = 60;
+
+// Reasons a pushed change is not applied
+const SYNC_CONFLICT_REASONS = [
+  'server_newer',
+  'deleted_on_server'
+];
+
+// Validation helpers
+const isValidSyncEntityType = (type) => SYNC_ENTITY_TYPES.includes(type);
+
+module.exports = {
+  SYNC_ENTITY_TYPES,
+  MAX_SYNC_PUSH_CHANGES,
+  SYNC_PAGE_SIZE,
+  SYNC_SAFETY_WINDOW_SECONDS,
+  SYNC_CONFLICT_REASONS,
+  isValidSyncEntityType
+};
@@ -0,0 +1,23 @@
+// Unit Constants
+// These constants define the supported weight units and how they are stored
+
+const WEIGHT_UNITS = [
+  'kg',
+  'lb'
+];
+
+// All weights are stored in this unit and converted for each requester
+const CANONICAL_WEIGHT_UNIT = 'kg';
+
+// Exact international avoirdupois pound
+const KG_PER_LB = 0.45359237;
+
+// Validation helpers
+const isValidWeightUnit = (unit) => WEIGHT_UNITS.includes(unit);
+
+module.exports = {
+  WEIGHT_UNITS,
+  CANONICAL_WEIGHT_UNIT,
+  KG_PER_LB,
+  isValidWeightUnit
+};
@@ -0,0 +1,393 @@
+const { supabase } = require('../config/database');
+const BodyMetricUtils = require('../utils/bodyMetricUtils');
+const UnitUtils = require('../utils/unitUtils');
+const {
+  BODY_METRICS,
+  DEFAULT_BODY_METRIC,
+  DEFAULT_MOVING_AVERAGE_DAYS
+} = require('../constants/bodyMetrics');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class BodyMetricController {
+  // Record a body metric entry. Bodyweight is stored in kg.
+  static async createBodyMetric(req, res) {
+    try {
+      const { measured_at, notes } = req.body;
+      const unit = req.body.weight_unit || UnitUtils.getPreferredUnit(req.user);
+
+      const { data: entry, error } = await supabase
+        .from('body_metrics')
+        .insert([
+          {
+            user_id: req.user.id,
+            measured_at: measured_at ? new Date(measured_at).toISOString() : new Date().toISOString(),
+            ...Object.fromEntries(BODY_METRICS.map(metric => [
+              metric,
+              req.body[metric] !== undefined ? req.body[metric] : null
+            ])),
+            bodyweight: req.body.bodyweight !== undefined ? UnitUtils.toCanonical(req.body.bodyweight, unit) : null,
+            notes: notes || null,
+            recorded_unit: unit,
+            created_at: new Date().toISOString(),
+            updated_at: new Date().toISOString()
+          }
+        ])
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Body metric recorded successfully',
+        data: BodyMetricController.formatEntry(entry, unit)
+      });
+    } catch (error) {
+      console.error('Create body metric error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error recording body metric',
+        error: error.message
+      });
+    }
+  }
+
+  // Get the current user's body metric entries, newest first
+  static async getAllBodyMetrics(req, res) {
+    try {
+      const { page = 1, limit = 20, from, to } = req.query;
+      const itemsPerPage = parseInt(limit);
+      const offset = (parseInt(page) - 1) * itemsPerPage;
+      const unit = UnitUtils.getPreferredUnit(req.user);
+
+      let query = supabase
+        .from('body_metrics')
+        .select('*', { count: 'exact' })
+        .eq('user_id', req.user.id);
+
+      // Limit to a date range if provided
+      if (from) {
+        query = query.gte('measured_at', new Date(from).toISOString());
+      }
+
+      if (to) {
+        query = query.lte('measured_at', new Date(to).toISOString());
+      }
+
+      const { data, error, count } = await query
+        .order('measured_at', { ascending: false })
+        .range(offset, offset + itemsPerPage - 1);
+
+      if (error) {
+        throw error;
+      }
+
+      res.status(200).json({
+        success: true,
+        data: data.map(entry => BodyMetricController.formatEntry(entry, unit)),
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(count / limit)
+        }
+      });
+    } catch (error) {
+      console.error('Get body metrics error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching body metrics',
+        error: error.message
+      });
+    }
+  }
+
+  // Get body metric entry by ID
+  static async getBodyMetricById(req, res) {
+    try {
+      const entry = await BodyMetricController.findBodyMetric(req.params.id);
+
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          message: 'Body metric not found'
+        });
+      }
+
+      if (entry.user_id !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only view your own body metrics'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: BodyMetricController.formatEntry(entry, UnitUtils.getPreferredUnit(req.user))
+      });
+    } catch (error) {
+      console.error('Get body metric error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching body metric',
+        error: error.message
+      });
+    }
+  }
+
+  // Update a body metric entry. Metrics set to null are removed, but an entry keeps at least one.
+  static async updateBodyMetric(req, res) {
+    try {
+      const { id } = req.params;
+      const { measured_at, notes } = req.body;
+      const unit = req.body.weight_unit || UnitUtils.getPreferredUnit(req.user);
+
+      const existingEntry = await BodyMetricController.findBodyMetric(id);
+
+      if (!existingEntry) {
+        return res.status(404).json({
+          success: false,
+          message: 'Body metric not found'
+        });
+      }
+
+      if (existingEntry.user_id !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only update your own body metrics'
+        });
+      }
+
+      const updateData = {
+        updated_at: new Date().toISOString()
+      };
+
+      if (measured_at) updateData.measured_at = new Date(measured_at).toISOString();
+      if (notes !== undefined) updateData.notes = notes;
+
+      BODY_METRICS
+        .filter(metric => req.body[metric] !== undefined)
+        .forEach(metric => { updateData[metric] = req.body[metric]; });
+
+      if (req.body.bodyweight !== undefined && req.body.bodyweight !== null) {
+        updateData.bodyweight = UnitUtils.toCanonical(req.body.bodyweight, unit);
+        updateData.recorded_unit = unit;
+      }
+
+      const merged = { ...existingEntry, ...updateData };
+
+      if (BODY_METRICS.every(metric => merged[metric] === null || merged[metric] === undefined)) {
+        return res.status(400).json({
+          success: false,
+          message: 'A body metric entry must record at least one metric'
+        });
+      }
+
+      const { data: entry, error } = await supabase
+        .from('body_metrics')
+        .update(updateData)
+        .eq('id', id)
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Body metric updated successfully',
+        data: BodyMetricController.formatEntry(entry, unit)
+      });
+    } catch (error) {
+      console.error('Update body metric error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error updating body metric',
+        error: error.message
+      });
+    }
+  }
+
+  // Delete body metric entry
+  static async deleteBodyMetric(req, res) {
+    try {
+      const { id } = req.params;
+      const existingEntry = await BodyMetricController.findBodyMetric(id);
+
+      if (!existingEntry) {
+        return res.status(404).json({
+          success: false,
+          message: 'Body metric not found'
+        });
+      }
+
+      if (existingEntry.user_id !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only delete your own body metrics'
+        });
+      }
+
+      const { error } = await supabase
+        .from('body_metrics')
+        .delete()
+        .eq('id', id);
+
+      if (error) {
+        throw error;
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Body metric deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete body metric error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error deleting body metric',
+        error: error.message
+      });
+    }
+  }
+
+  // Get the trend of one metric over a date range: its daily series and a summary of how it changed
+  static async getBodyMetricTrend(req, res) {
+    try {
+      const { metric = DEFAULT_BODY_METRIC, from, to } = req.query;
+      const unit = UnitUtils.getPreferredUnit(req.user);
+
+      const entries = await BodyMetricController.getEntries(req.user.id, metric, { from, to });
+      const series = BodyMetricUtils.buildDailySeries(
+        entries.map(entry => BodyMetricController.formatEntry(entry, unit)),
+        metric
+      );
+
+      res.status(200).json({
+        success: true,
+        data: {
+          metric,
+          unit: BodyMetricUtils.getMetricUnit(metric, unit),
+          from: from || null,
+          to: to || null,
+          trend: BodyMetricUtils.calculateTrend(series),
+          series
+        }
+      });
+    } catch (error) {
+      console.error('Get body metric trend error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching body metric trend',
+        error: error.message
+      });
+    }
+  }
+
+  // Get the moving average of one metric over a date range.
+  // Entries up to window - 1 days before from are read too, so the first averages cover a full window.
+  static async getBodyMetricMovingAverage(req, res) {
+    try {
+      const { metric = DEFAULT_BODY_METRIC, from, to } = req.query;
+      const windowDays = req.query.window ? parseInt(req.query.window) : DEFAULT_MOVING_AVERAGE_DAYS;
+      const unit = UnitUtils.getPreferredUnit(req.user);
+
+      const entries = await BodyMetricController.getEntries(req.user.id, metric, {
+        from: from ? new Date(new Date(from).getTime() - (windowDays - 1) * DAY_MS) : undefined,
+        to
+      });
+      const series = BodyMetricUtils.buildDailySeries(
+        entries.map(entry => BodyMetricController.formatEntry(entry, unit)),
+        metric
+      );
+      const fromDate = from ? new Date(from).toISOString().slice(0, 10) : null;
+
+      res.status(200).json({
+        success: true,
+        data: {
+          metric,
+          unit: BodyMetricUtils.getMetricUnit(metric, unit),
+          window_days: windowDays,
+          from: from || null,
+          to: to || null,
+          points: BodyMetricUtils.calculateMovingAverage(series, windowDays)
+            .filter(point => !fromDate || point.date >= fromDate)
+        }
+      });
+    } catch (error) {
+      console.error('Get body metric moving average error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching body metric moving average',
+        error: error.message
+      });
+    }
+  }
+
+  // Helper method to find a body metric entry
+  static async findBodyMetric(entryId) {
+    const { data, error } = await supabase
+      .from('body_metrics')
+      .select('*')
+      .eq('id', entryId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null;
+      }
+      throw error;
+    }
+
+    return data;
+  }
+
+  // Helper method to get a user's entries recording a metric, oldest first
+  static async getEntries(userId, metric, { from, to } = {}) {
+    let query = supabase
+      .from('body_metrics')
+      .select(`id, measured_at, ${metric}`)
+      .eq('user_id', userId)
+      .not(metric, 'is', null);
+
+    if (from) {
+      query = query.gte('measured_at', new Date(from).toISOString());
+    }
+
+    if (to) {
+      query = query.lte('measured_at', new Date(to).toISOString());
+    }
+
+    const { data, error } = await query.order('measured_at', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  // Helper method to get a user's daily bodyweight series (kg) up to a date, for relative strength
+  static async getBodyweightSeries(userId, to) {
+    const entries = await BodyMetricController.getEntries(userId, 'bodyweight', { to });
+
+    return BodyMetricUtils.buildDailySeries(
+      entries.map(entry => BodyMetricUtils.formatBodyMetricResponse(entry)),
+      'bodyweight'
+    );
+  }
+
+  // Helper method to format an entry with its bodyweight in the given unit
+  static formatEntry(entry, unit) {
+    return {
+      ...UnitUtils.convertFields(BodyMetricUtils.formatBodyMetricResponse(entry), ['bodyweight'], unit),
+      weight_unit: unit
+    };
+  }
+}
+
+module.exports = BodyMetricController;
@@ -1,6 +1,7 @@
 const { supabase } = require('../config/database');
 const { BODY_PARTS, EXERCISE_TYPES, DIFFICULTY_LEVELS } = require('../constants/exercise');
 const ExerciseUtils = require('../utils/exerciseUtils');
+const ExerciseMatcher = require('../utils/exerciseMatcher');
 
 class ExerciseController {
   // Create a new exercise
@@ -372,6 +373,39 @@ class ExerciseController {
     }
   }
 
+  // Helper method to get the exercise catalog used for name matching
+  static async getExerciseCatalog() {
+    const { data, error } = await supabase
+      .from('exercises')
+      .select('id, name, body_part, exercise_type');
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  // Helper method to resolve an exercise id or free-text name against the catalog
+  static async resolveCatalogExercise({ exercise, exercise_id }) {
+    if (exercise_id) {
+      const { data, error } = await supabase
+        .from('exercises')
+        .select('id, name, body_part, exercise_type')
+        .eq('id', exercise_id)
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+
+      return { exercise: data, suggestions: [] };
+    }
+
+    const catalog = await ExerciseController.getExerciseCatalog();
+    return ExerciseMatcher.match(exercise, catalog);
+  }
+
   // Get exercise constants (for frontend forms and validation)
   static async getExerciseConstants(req, res) {
     try {
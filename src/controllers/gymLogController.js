@@ -1,30 +1,34 @@
 const { supabase } = require('../config/database');
+const GymLogUtils = require('../utils/gymLogUtils');
+const PersonalRecordUtils = require('../utils/personalRecordUtils');
+const StrengthUtils = require('../utils/strengthUtils');
+const AnalyticsUtils = require('../utils/analyticsUtils');
+const UnitUtils = require('../utils/unitUtils');
+const ExportUtils = require('../utils/exportUtils');
+const RecoveryUtils = require('../utils/recoveryUtils');
+const BodyMetricUtils = require('../utils/bodyMetricUtils');
+const BodyMetricController = require('./bodyMetricController');
+const {
+  DEFAULT_ONE_REP_MAX_FORMULA,
+  EXPORT_BATCH_SIZE,
+  BULK_INSERT_BATCH_SIZE,
+  DEFAULT_WEEKLY_TRAINING_GOAL,
+  TIMED_LOG_FIELDS,
+  isTimedExerciseType
+} = require('../constants/gymLog');
+const { CANONICAL_WEIGHT_UNIT } = require('../constants/units');
+const { RECOVERY_LOOKBACK_DAYS } = require('../constants/recovery');
+const { isBodyweightExerciseType } = require('../constants/bodyMetrics');
+const { getPaginationData, getCursorPaginationData, encodeCursor, decodeCursor } = require('../utils/validation');
 
 class GymLogController {
   // Create a new gym log entry
   static async createGymLog(req, res) {
     try {
-      const { exercise, sets, reps, weight, notes, user_id } = req.body;
-
-      const { data, error } = await supabase
-        .from('gym_logs')
-        .insert([
-          {
-            exercise,
-            sets,
-            reps,
-            weight,
-            notes,
-            user_id,
-            created_at: new Date().toISOString()
-          }
-        ])
-        .select()
-        .single();
-
-      if (error) {
-        throw error;
-      }
+      // Weights are submitted in the given unit, or the user's preferred unit
+      const unit = req.body.weight_unit || UnitUtils.getPreferredUnit(req.user);
+      const log = await GymLogController.insertGymLog({ ...req.body, weight_unit: unit });
+      const data = UnitUtils.convertGymLog(log, unit);
 
       res.status(201).json({
         success: true,
@@ -41,17 +45,292 @@ class GymLogController {
     }
   }
 
-  // Get all gym logs with pagination and filtering
+  // Create several gym logs in one request, all or none
+  static async createGymLogs(req, res) {
+    try {
+      const preferredUnit = UnitUtils.getPreferredUnit(req.user);
+      const units = req.body.logs.map(log => log.weight_unit || preferredUnit);
+      const startedAt = Date.now();
+
+      const logs = await GymLogController.insertGymLogs(req.body.logs.map((log, index) => ({
+        exercise: log.exercise,
+        exercise_id: log.exercise_id,
+        sets: UnitUtils.setsToCanonical(log.sets, units[index]),
+        reps: log.reps,
+        weight: UnitUtils.toCanonical(log.weight, units[index]),
+        ...Object.fromEntries(TIMED_LOG_FIELDS.map(field => [field, log[field]])),
+        notes: log.notes,
+        recorded_unit: units[index],
+        user_id: log.user_id,
+        // One millisecond apart, so listings keep the order of the request
+        created_at: new Date(startedAt + index).toISOString()
+      })));
+
+      res.status(201).json({
+        success: true,
+        message: `${logs.length} gym logs created successfully`,
+        data: logs.map((log, index) => UnitUtils.convertGymLog(log, units[index]))
+      });
+    } catch (error) {
+      console.error('Create gym logs error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error creating gym logs',
+        error: error.message
+      });
+    }
+  }
+
+  // Helper method to insert a gym log with its sets. Weights are stored in kg.
+  // Timed logs (no sets) store their duration and the other timed fields instead.
+  static async insertGymLog({
+    exercise,
+    exercise_id,
+    sets,
+    reps,
+    weight,
+    notes,
+    user_id,
+    session_id,
+    session_order,
+    weight_unit = CANONICAL_WEIGHT_UNIT,
+    ...timedFields
+  }) {
+    // Flat sets/reps/weight entries are stored as individual sets too
+    const setRows = GymLogUtils.buildSets({
+      sets: UnitUtils.setsToCanonical(sets, weight_unit),
+      reps,
+      weight: UnitUtils.toCanonical(weight, weight_unit)
+    });
+
+    const { data: gymLog, error } = await supabase
+      .from('gym_logs')
+      .insert([
+        {
+          exercise,
+          exercise_id: exercise_id || null,
+          ...GymLogUtils.buildLogColumns(setRows, timedFields),
+          notes,
+          recorded_unit: weight_unit,
+          user_id,
+          session_id: session_id || null,
+          session_order: session_order || null,
+          created_at: new Date().toISOString()
+        }
+      ])
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    if (setRows.length > 0) {
+      const { error: setsError } = await supabase
+        .from('gym_log_sets')
+        .insert(GymLogUtils.formatSetsForDatabase(gymLog.id, setRows));
+
+      if (setsError) {
+        // Rollback by deleting the created gym log
+        await supabase.from('gym_logs').delete().eq('id', gymLog.id);
+        throw setsError;
+      }
+    }
+
+    const log = await GymLogController.getGymLogWithSets(gymLog.id);
+    const personal_records = await GymLogController.detectPersonalRecords(log);
+
+    return {
+      ...log,
+      personal_records
+    };
+  }
+
+  // Helper method to insert many gym logs with their sets, all or none. Weights are stored in kg.
+  // Personal records are detected once every log is written, oldest log first.
+  static async insertGymLogs(logs) {
+    const insertedIds = [];
+    const inserted = [];
+
+    try {
+      for (let start = 0; start < logs.length; start += BULK_INSERT_BATCH_SIZE) {
+        const batch = logs.slice(start, start + BULK_INSERT_BATCH_SIZE);
+        const setRows = batch.map(({ sets, reps, weight }) => GymLogUtils.buildSets({ sets, reps, weight }));
+        const timestamp = new Date().toISOString();
+
+        const { data, error } = await supabase
+          .from('gym_logs')
+          .insert(batch.map((log, index) => ({
+            // Synced logs keep the id and change time assigned on the device
+            ...(log.id && { id: log.id }),
+            ...(log.updated_at && { updated_at: log.updated_at }),
+            exercise: log.exercise,
+            exercise_id: log.exercise_id || null,
+            ...GymLogUtils.buildLogColumns(setRows[index], log),
+            notes: log.notes,
+            recorded_unit: log.recorded_unit || CANONICAL_WEIGHT_UNIT,
+            user_id: log.user_id,
+            session_id: log.session_id || null,
+            session_order: log.session_order || null,
+            created_at: log.created_at || timestamp
+          })))
+          .select();
+
+        if (error) {
+          throw error;
+        }
+
+        insertedIds.push(...data.map(row => row.id));
+
+        const storedSets = data.map((row, index) => GymLogUtils.formatSetsForDatabase(row.id, setRows[index]));
+
+        // Batches of timed logs have no sets to insert
+        if (storedSets.flat().length > 0) {
+          const { error: setsError } = await supabase
+            .from('gym_log_sets')
+            .insert(storedSets.flat());
+
+          if (setsError) {
+            throw setsError;
+          }
+        }
+
+        data.forEach((row, index) => {
+          inserted.push(GymLogUtils.formatGymLogResponse({ ...row, gym_log_sets: storedSets[index] }));
+        });
+      }
+    } catch (error) {
+      // Rollback by deleting every gym log created so far (their sets are deleted with them)
+      if (insertedIds.length > 0) {
+        await supabase.from('gym_logs').delete().in('id', insertedIds);
+      }
+      throw error;
+    }
+
+    const chronological = [...inserted].sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+    for (const log of chronological) {
+      log.personal_records = await GymLogController.detectPersonalRecords(log);
+    }
+
+    return inserted;
+  }
+
+  // Helper method to detect and store personal records set by a gym log
+  static async detectPersonalRecords(log) {
+    try {
+      // Records previously set by this log are re-evaluated
+      await supabase
+        .from('personal_records')
+        .delete()
+        .eq('gym_log_id', log.id);
+
+      // Session volume is recalculated over every log of the exercise in the session
+      if (log.session_id) {
+        await supabase
+          .from('personal_records')
+          .delete()
+          .eq('session_id', log.session_id)
+          .eq('exercise', log.exercise)
+          .eq('record_type', 'session_volume');
+      }
+
+      const { data: previousRecords, error } = await supabase
+        .from('personal_records')
+        .select('*')
+        .eq('user_id', log.user_id)
+        .eq('exercise', log.exercise);
+
+      if (error) {
+        throw error;
+      }
+
+      let sessionVolume = log.total_volume;
+
+      if (log.session_id) {
+        const { data: sessionLogs, error: sessionError } = await supabase
+          .from('gym_logs')
+          .select('*, gym_log_sets(*)')
+          .eq('session_id', log.session_id)
+          .eq('exercise', log.exercise);
+
+        if (sessionError) {
+          throw sessionError;
+        }
+
+        sessionVolume = sessionLogs
+          .map(sessionLog => GymLogUtils.formatGymLogResponse(sessionLog))
+          .reduce((total, sessionLog) => total + sessionLog.total_volume, 0);
+      }
+
+      const records = PersonalRecordUtils.detectRecords({
+        sets: log.sets,
+        previousRecords,
+        sessionVolume
+      });
+
+      if (records.length === 0) {
+        return [];
+      }
+
+      const { data, error: insertError } = await supabase
+        .from('personal_records')
+        .insert(records.map(record => ({
+          ...record,
+          user_id: log.user_id,
+          exercise: log.exercise,
+          gym_log_id: log.id,
+          session_id: log.session_id || null,
+          achieved_at: log.created_at,
+          created_at: new Date().toISOString()
+        })))
+        .select();
+
+      if (insertError) {
+        throw insertError;
+      }
+
+      return data;
+    } catch (error) {
+      // A failed detection must not fail the gym log write
+      console.error('Detect personal records error:', error);
+      return [];
+    }
+  }
+
+  // Get gym logs with filtering, sorting and cursor (or page) pagination
   static async getAllGymLogs(req, res) {
     try {
-      const { page = 1, limit = 10, user_id, exercise } = req.query;
-      const offset = (page - 1) * limit;
+      const {
+        limit = 10,
+        cursor,
+        page,
+        user_id,
+        exercise,
+        exercise_id,
+        session_id,
+        from,
+        to,
+        min_weight,
+        max_weight,
+        min_reps,
+        max_reps
+      } = req.query;
+      const itemsPerPage = parseInt(limit);
+      const unit = req.query.weight_unit || UnitUtils.getPreferredUnit(req.user);
+
+      // Logs of a session default to their order within the session, others to newest first
+      const sort_by = req.query.sort_by || (session_id ? 'session_order' : 'created_at');
+      const order = req.query.order || (sort_by === 'session_order' ? 'asc' : 'desc');
+      const ascending = order === 'asc';
 
       let query = supabase
         .from('gym_logs')
         .select(`
           *,
-          users!inner(name, email)
+          users!inner(name, email),
+          exercises(name, body_part, exercise_type),
+          gym_log_sets(*)
         `, { count: 'exact' });
 
       // Filter by user_id if provided
@@ -64,23 +343,95 @@ class GymLogController {
         query = query.ilike('exercise', `%${exercise}%`);
       }
 
-      const { data, error, count } = await query
-        .range(offset, offset + limit - 1)
-        .order('created_at', { ascending: false });
+      // Filter by catalog exercise if provided
+      if (exercise_id) {
+        query = query.eq('exercise_id', exercise_id);
+      }
+
+      // Filter by workout session if provided
+      if (session_id) {
+        query = query.eq('session_id', session_id);
+      }
+
+      // Filter by date range if provided
+      if (from) {
+        query = query.gte('created_at', new Date(from).toISOString());
+      }
+
+      if (to) {
+        query = query.lte('created_at', new Date(to).toISOString());
+      }
+
+      // Weight and reps ranges apply to the top set; weights are given in the requested unit
+      if (min_weight !== undefined) {
+        query = query.gte('weight', UnitUtils.toCanonical(min_weight, unit));
+      }
+
+      if (max_weight !== undefined) {
+        query = query.lte('weight', UnitUtils.toCanonical(max_weight, unit));
+      }
+
+      if (min_reps !== undefined) {
+        query = query.gte('reps', parseInt(min_reps));
+      }
+
+      if (max_reps !== undefined) {
+        query = query.lte('reps', parseInt(max_reps));
+      }
+
+      // Page numbers keep the offset paging of earlier API versions
+      if (page) {
+        const { data, error, count } = await GymLogController.applyGymLogSort(query, sort_by, ascending)
+          .range((parseInt(page) - 1) * itemsPerPage, parseInt(page) * itemsPerPage - 1);
+
+        if (error) {
+          throw error;
+        }
+
+        const { pagination } = getPaginationData(page, itemsPerPage, count);
+
+        return res.status(200).json({
+          success: true,
+          data: data.map(log => UnitUtils.convertGymLog(GymLogUtils.formatGymLogResponse(log), unit)),
+          pagination
+        });
+      }
+
+      // Cursors continue after the last row of the previous page (keyset pagination),
+      // so logs written while paging are neither skipped nor repeated
+      if (cursor) {
+        const position = decodeCursor(cursor);
+
+        if (!position || position.sort_by !== sort_by || position.order !== order || !position.id) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid cursor for this sort order'
+          });
+        }
+
+        query = query.or(GymLogController.buildCursorFilter(position, ascending));
+      }
+
+      // One extra row tells whether there is a next page
+      const { data, error, count } = await GymLogController.applyGymLogSort(query, sort_by, ascending)
+        .limit(itemsPerPage + 1);
 
       if (error) {
         throw error;
       }
 
+      const rows = data.slice(0, itemsPerPage);
+      const lastRow = rows[rows.length - 1];
+      const nextCursor = data.length > itemsPerPage
+        ? encodeCursor({ sort_by, order, value: lastRow[sort_by], id: lastRow.id })
+        : null;
+
+      const { pagination } = getCursorPaginationData(itemsPerPage, count, { cursor, nextCursor });
+
       res.status(200).json({
         success: true,
-        data,
-        pagination: {
-          total: count,
-          page: parseInt(page),
-          limit: parseInt(limit),
-          totalPages: Math.ceil(count / limit)
-        }
+        data: rows.map(log => UnitUtils.convertGymLog(GymLogUtils.formatGymLogResponse(log), unit)),
+        pagination
       });
     } catch (error) {
       console.error('Get gym logs error:', error);
@@ -92,33 +443,165 @@ class GymLogController {
     }
   }
 
+  // Helper method to order a gym log query, with the id as tie-breaker for stable cursors.
+  // Timed logs have no sets, reps or weight; NULLs come last in either order.
+  static applyGymLogSort(query, sortBy, ascending) {
+    return query
+      .order(sortBy, { ascending, nullsFirst: false })
+      .order('id', { ascending });
+  }
+
+  // Helper method to build the PostgREST filter selecting rows after a cursor position.
+  // With NULLs last, a NULL position only has NULL rows after it, and any other position is followed by them.
+  static buildCursorFilter({ sort_by, value, id }, ascending) {
+    const operator = ascending ? 'gt' : 'lt';
+    const quote = (input) => `"${String(input).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+    if (value === null || value === undefined) {
+      return `and(${sort_by}.is.null,id.${operator}.${quote(id)})`;
+    }
+
+    return `${sort_by}.${operator}.${quote(value)},and(${sort_by}.eq.${quote(value)},id.${operator}.${quote(id)}),${sort_by}.is.null`;
+  }
+
+  // Stream all of the current user's gym logs as CSV (one row per set) or JSON
+  static async exportGymLogs(req, res) {
+    const { format = 'csv', from, to } = req.query;
+    const unit = req.query.weight_unit || UnitUtils.getPreferredUnit(req.user);
+    const date = new Date().toISOString().slice(0, 10);
+
+    try {
+      // The first batch is read before any output, so early errors still get a JSON response
+      let batch = await GymLogController.fetchExportBatch(req.user.id, { from, to });
+
+      res.status(200);
+      res.setHeader('Content-Disposition', `attachment; filename="gym-logs-${date}.${format}"`);
+
+      if (format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        await GymLogController.writeChunk(res, ExportUtils.getCsvHeader());
+      } else {
+        res.setHeader('Content-Type', 'application/json; charset=utf-8');
+        await GymLogController.writeChunk(res, '[');
+      }
+
+      let first = true;
+
+      while (batch.length > 0) {
+        const logs = batch.map(log => UnitUtils.convertGymLog(GymLogUtils.formatGymLogResponse(log), unit));
+
+        const chunk = format === 'csv'
+          ? logs.map(log => ExportUtils.formatGymLogCsv(log)).join('')
+          : logs.map((log, index) => {
+            const separator = first && index === 0 ? '' : ',';
+            return `${separator}\n${JSON.stringify(ExportUtils.formatGymLogJson(log))}`;
+          }).join('');
+
+        first = false;
+        await GymLogController.writeChunk(res, chunk);
+
+        // Stop reading when the client went away
+        if (res.destroyed) {
+          return;
+        }
+
+        if (batch.length < EXPORT_BATCH_SIZE) {
+          break;
+        }
+
+        const last = batch[batch.length - 1];
+        batch = await GymLogController.fetchExportBatch(req.user.id, { from, to, after: last });
+      }
+
+      res.end(format === 'csv' ? '' : '\n]\n');
+    } catch (error) {
+      console.error('Export gym logs error:', error);
+
+      if (res.headersSent) {
+        // Part of the file is already sent; abort so the download is not mistaken for complete
+        res.destroy(error);
+        return;
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Error exporting gym logs',
+        error: error.message
+      });
+    }
+  }
+
+  // Helper method to read one batch of a user's gym logs in creation order, after the given log
+  static async fetchExportBatch(userId, { from, to, after }) {
+    let query = supabase
+      .from('gym_logs')
+      .select(`
+        *,
+        exercises(name, body_part, exercise_type),
+        gym_log_sets(*)
+      `)
+      .eq('user_id', userId);
+
+    if (from) {
+      query = query.gte('created_at', new Date(from).toISOString());
+    }
+
+    if (to) {
+      query = query.lte('created_at', new Date(to).toISOString());
+    }
+
+    if (after) {
+      query = query.or(GymLogController.buildCursorFilter({
+        sort_by: 'created_at',
+        value: after.created_at,
+        id: after.id
+      }, true));
+    }
+
+    const { data, error } = await GymLogController.applyGymLogSort(query, 'created_at', true)
+      .limit(EXPORT_BATCH_SIZE);
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  // Helper method to write to a response, waiting for the client to catch up when its buffer is full
+  static writeChunk(res, chunk) {
+    if (!chunk || res.destroyed || res.write(chunk)) {
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => {
+      const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+      };
+
+      res.on('drain', done);
+      res.on('close', done);
+    });
+  }
+
   // Get gym log by ID
   static async getGymLogById(req, res) {
     try {
       const { id } = req.params;
+      const data = await GymLogController.getGymLogWithSets(id);
 
-      const { data, error } = await supabase
-        .from('gym_logs')
-        .select(`
-          *,
-          users!inner(name, email)
-        `)
-        .eq('id', id)
-        .single();
-
-      if (error) {
-        if (error.code === 'PGRST116') {
-          return res.status(404).json({
-            success: false,
-            message: 'Gym log not found'
-          });
-        }
-        throw error;
+      if (!data) {
+        return res.status(404).json({
+          success: false,
+          message: 'Gym log not found'
+        });
       }
 
       res.status(200).json({
         success: true,
-        data
+        data: UnitUtils.convertGymLog(data, UnitUtils.getPreferredUnit(req.user))
       });
     } catch (error) {
       console.error('Get gym log error:', error);
@@ -130,27 +613,141 @@ class GymLogController {
     }
   }
 
+  // Helper method to get a gym log with its sets
+  static async getGymLogWithSets(logId) {
+    const { data, error } = await supabase
+      .from('gym_logs')
+      .select(`
+        *,
+        users!inner(name, email),
+        exercises(name, body_part, exercise_type),
+        gym_log_sets(*)
+      `)
+      .eq('id', logId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null;
+      }
+      throw error;
+    }
+
+    return GymLogUtils.formatGymLogResponse(data);
+  }
+
+  // Helper method to replace all sets of a gym log
+  static async replaceGymLogSets(logId, sets) {
+    const { error: deleteError } = await supabase
+      .from('gym_log_sets')
+      .delete()
+      .eq('gym_log_id', logId);
+
+    if (deleteError) {
+      throw deleteError;
+    }
+
+    if (sets.length === 0) {
+      return;
+    }
+
+    const { error: insertError } = await supabase
+      .from('gym_log_sets')
+      .insert(GymLogUtils.formatSetsForDatabase(logId, sets));
+
+    if (insertError) {
+      throw insertError;
+    }
+  }
+
   // Update gym log
   static async updateGymLog(req, res) {
     try {
       const { id } = req.params;
-      const { exercise, sets, reps, weight, notes } = req.body;
+      const { exercise, exercise_id, reps, notes } = req.body;
+
+      // Submitted weights are converted to kg; stored weights already are
+      const unit = req.body.weight_unit || UnitUtils.getPreferredUnit(req.user);
+      const sets = UnitUtils.setsToCanonical(req.body.sets, unit);
+      const weight = UnitUtils.toCanonical(req.body.weight, unit);
+
+      const { data: existingLog, error: checkError } = await supabase
+        .from('gym_logs')
+        .select('*, exercises(exercise_type)')
+        .eq('id', id)
+        .single();
+
+      if (checkError && checkError.code === 'PGRST116') {
+        return res.status(404).json({
+          success: false,
+          message: 'Gym log not found'
+        });
+      }
+
+      if (checkError) {
+        throw checkError;
+      }
+
+      // The log's shape follows its exercise type; logs of exercises outside the catalog keep their shape
+      const existingTimed = existingLog.exercises
+        ? isTimedExerciseType(existingLog.exercises.exercise_type)
+        : existingLog.duration_seconds !== null && existingLog.duration_seconds !== undefined;
+      const timed = req.exercise ? isTimedExerciseType(req.exercise.exercise_type) : existingTimed;
+
+      // Stored fields complete the update unless the exercise changes to another shape
+      const keptFields = timed === existingTimed
+        ? Object.fromEntries(
+          (timed ? TIMED_LOG_FIELDS : ['sets']).map(field => [field, existingLog[field]])
+        )
+        : {};
+      const shapeError = GymLogUtils.getLogShapeError({ ...keptFields, ...req.body }, timed);
+
+      if (shapeError) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          details: [shapeError]
+        });
+      }
 
       const updateData = {
         updated_at: new Date().toISOString()
       };
 
       if (exercise) updateData.exercise = exercise;
-      if (sets) updateData.sets = sets;
-      if (reps) updateData.reps = reps;
-      if (weight) updateData.weight = weight;
+      if (exercise_id) updateData.exercise_id = exercise_id;
       if (notes !== undefined) updateData.notes = notes;
 
-      const { data, error } = await supabase
+      // Any change to sets, reps or weight rewrites the log's sets; timed logs have none
+      let newSets = null;
+
+      if (timed) {
+        if (!existingTimed) {
+          newSets = [];
+        }
+
+        TIMED_LOG_FIELDS
+          .filter(field => req.body[field] !== undefined)
+          .forEach(field => { updateData[field] = req.body[field]; });
+      } else if (Array.isArray(sets)) {
+        newSets = GymLogUtils.buildSets({ sets });
+      } else if (sets !== undefined || reps !== undefined || weight !== undefined) {
+        newSets = GymLogUtils.buildSets({
+          sets: sets !== undefined ? sets : existingLog.sets,
+          reps: reps !== undefined ? reps : existingLog.reps,
+          weight: weight !== undefined ? weight : Number(existingLog.weight)
+        });
+      }
+
+      if (newSets) {
+        Object.assign(updateData, GymLogUtils.buildLogColumns(newSets, updateData), { recorded_unit: unit });
+      }
+
+      const { error } = await supabase
         .from('gym_logs')
         .update(updateData)
         .eq('id', id)
-        .select()
+        .select('id')
         .single();
 
       if (error) {
@@ -163,6 +760,15 @@ class GymLogController {
         throw error;
       }
 
+      if (newSets) {
+        await GymLogController.replaceGymLogSets(id, newSets);
+      }
+
+      const log = await GymLogController.getGymLogWithSets(id);
+      const personal_records = await GymLogController.detectPersonalRecords(log);
+
+      const data = UnitUtils.convertGymLog({ ...log, personal_records }, unit);
+
       res.status(200).json({
         success: true,
         message: 'Gym log updated successfully',
@@ -206,41 +812,181 @@ class GymLogController {
     }
   }
 
+  // Get current personal records and the timeline of how each was beaten
+  static async getPersonalRecords(req, res) {
+    try {
+      const { exercise, record_type } = req.query;
+      const unit = UnitUtils.getPreferredUnit(req.user);
+
+      let query = supabase
+        .from('personal_records')
+        .select('*')
+        .eq('user_id', req.user.id);
+
+      // Filter by exercise if provided
+      if (exercise) {
+        query = query.ilike('exercise', GymLogUtils.escapeLikePattern(exercise));
+      }
+
+      // Filter by record type if provided
+      if (record_type) {
+        query = query.eq('record_type', record_type);
+      }
+
+      const { data, error } = await query
+        .order('achieved_at', { ascending: true })
+        .order('created_at', { ascending: true });
+
+      if (error) {
+        throw error;
+      }
+
+      res.status(200).json({
+        success: true,
+        data: PersonalRecordUtils.buildRecordHistory(data)
+          .map(group => UnitUtils.convertRecordHistory(group, unit)),
+        weight_unit: unit
+      });
+    } catch (error) {
+      console.error('Get personal records error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching personal records',
+        error: error.message
+      });
+    }
+  }
+
+  // Get per-day strength progression for one exercise
+  static async getExerciseProgress(req, res) {
+    try {
+      const { exercise, from, to, formula = DEFAULT_ONE_REP_MAX_FORMULA } = req.query;
+      const unit = UnitUtils.getPreferredUnit(req.user);
+
+      let query = supabase
+        .from('gym_logs')
+        .select('id, exercise, created_at, sets, reps, weight, exercises(exercise_type), gym_log_sets(*)')
+        .eq('user_id', req.user.id)
+        .ilike('exercise', GymLogUtils.escapeLikePattern(exercise));
+
+      // Limit to a date range if provided
+      if (from) {
+        query = query.gte('created_at', new Date(from).toISOString());
+      }
+
+      if (to) {
+        query = query.lte('created_at', new Date(to).toISOString());
+      }
+
+      const { data, error } = await query.order('created_at', { ascending: true });
+
+      if (error) {
+        throw error;
+      }
+
+      const logs = data.map(log => GymLogUtils.formatGymLogResponse(log));
+
+      // Relative strength divides by the bodyweight recorded on or before each day (see body metrics)
+      const bodyweights = await BodyMetricController.getBodyweightSeries(req.user.id, to);
+      const bodyweightExercise = data.some(log => log.exercises && isBodyweightExerciseType(log.exercises.exercise_type));
+
+      const days = StrengthUtils.buildDailyProgress(logs, formula, { bodyweights, bodyweightExercise }).map(day => ({
+        ...UnitUtils.convertFields(day, ['estimated_1rm', 'tonnage', 'bodyweight'], unit),
+        top_set: UnitUtils.convertFields(day.top_set, ['weight'], unit)
+      }));
+
+      res.status(200).json({
+        success: true,
+        data: {
+          exercise,
+          formula,
+          weight_unit: unit,
+          from: from || null,
+          to: to || null,
+          summary: StrengthUtils.summarizeProgress(days),
+          days
+        }
+      });
+    } catch (error) {
+      console.error('Get exercise progress error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching exercise progress',
+        error: error.message
+      });
+    }
+  }
+
   // Get gym log statistics for a user
   static async getGymLogStats(req, res) {
     try {
       const { user_id } = req.params;
+      const period = AnalyticsUtils.resolveStatsPeriod(req.query);
+      const unit = UnitUtils.getPreferredUnit(req.user);
+      const convertVolume = (row) => UnitUtils.convertFields(row, ['volume'], unit);
 
-      // Get total logs count
-      const { count: totalLogs } = await supabase
-        .from('gym_logs')
-        .select('*', { count: 'exact', head: true })
-        .eq('user_id', user_id);
+      // Aggregation runs in the database (see database/gym-log-analytics.sql)
+      const { data: stats, error } = await supabase.rpc('get_gym_log_stats', {
+        p_user_id: user_id,
+        p_from: period.from,
+        p_to: period.to,
+        p_group_by: period.group_by
+      });
 
-      // Get unique exercises count
-      const { data: uniqueExercises } = await supabase
-        .from('gym_logs')
-        .select('exercise')
-        .eq('user_id', user_id);
+      if (error) {
+        throw error;
+      }
 
-      const uniqueExercisesCount = [...new Set(uniqueExercises?.map(log => log.exercise))].length;
+      // Cardio totals of timed logs (see database/cardio-logging.sql)
+      const { data: cardio, error: cardioError } = await supabase.rpc('get_cardio_stats', {
+        p_user_id: user_id,
+        p_from: period.from,
+        p_to: period.to
+      });
 
-      // Get recent logs (last 7 days)
-      const sevenDaysAgo = new Date();
-      sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
+      if (cardioError) {
+        throw cardioError;
+      }
 
-      const { count: recentLogs } = await supabase
-        .from('gym_logs')
-        .select('*', { count: 'exact', head: true })
-        .eq('user_id', user_id)
-        .gte('created_at', sevenDaysAgo.toISOString());
+      // Bodyweight at the end of the period and the period's volume per kg of it (see body metrics).
+      // Body metrics are private, so only the user's own statistics include them.
+      const isOwnStats = user_id === req.user.id;
+      const bodyweights = isOwnStats
+        ? await BodyMetricController.getBodyweightSeries(user_id, period.to)
+        : [];
+      const currentBodyweight = BodyMetricUtils.getValueOn(bodyweights, period.to.slice(0, 10));
+      const periodTrend = BodyMetricUtils.calculateTrend(
+        bodyweights.filter(point => point.date >= period.from.slice(0, 10))
+      );
 
       res.status(200).json({
         success: true,
         data: {
-          totalLogs: totalLogs || 0,
-          uniqueExercises: uniqueExercisesCount || 0,
-          recentLogs: recentLogs || 0
+          ...UnitUtils.convertFields(stats.allTime, ['totalVolume'], unit),
+          weight_unit: unit,
+          period,
+          periodTotals: convertVolume(stats.periodTotals),
+          volumeByPeriod: stats.volumeByPeriod.map(convertVolume),
+          byBodyPart: stats.byBodyPart.map(convertVolume),
+          byExerciseType: stats.byExerciseType.map(convertVolume),
+          frequency: stats.frequency,
+          sessions: stats.sessions,
+          cardio: {
+            ...cardio,
+            distanceKm: Number(cardio.distanceKm),
+            averagePaceSecondsPerKm: GymLogUtils.calculatePace(cardio.durationSeconds, cardio.distanceKm)
+          },
+          bodyweight: isOwnStats
+            ? {
+              ...UnitUtils.convertFields({
+                current: currentBodyweight,
+                periodChange: periodTrend.change
+              }, ['current', 'periodChange'], unit),
+              relativeVolume: currentBodyweight
+                ? UnitUtils.round(Number(stats.periodTotals.volume) / currentBodyweight)
+                : null
+            }
+            : null
         }
       });
     } catch (error) {
@@ -252,6 +998,111 @@ class GymLogController {
       });
     }
   }
+
+  // Get the current user's training calendar for a year (one entry per training day) with week streaks
+  static async getTrainingCalendar(req, res) {
+    try {
+      const year = req.query.year ? parseInt(req.query.year) : new Date().getUTCFullYear();
+      const goal = req.user.weekly_training_goal || DEFAULT_WEEKLY_TRAINING_GOAL;
+      const unit = UnitUtils.getPreferredUnit(req.user);
+      const range = AnalyticsUtils.getYearRange(year);
+
+      // Aggregation runs in the database (see database/training-calendar.sql)
+      const { data: calendar, error } = await supabase.rpc('get_training_calendar', {
+        p_user_id: req.user.id,
+        p_from: range.from,
+        p_to: range.to
+      });
+
+      if (error) {
+        throw error;
+      }
+
+      const days = calendar.days.map(day => ({
+        date: day.date,
+        logs: day.logs,
+        sets: day.sets,
+        volume: UnitUtils.fromCanonical(day.volume, unit),
+        body_parts: day.bodyParts
+      }));
+
+      res.status(200).json({
+        success: true,
+        data: {
+          year,
+          weight_unit: unit,
+          totals: {
+            training_days: days.length,
+            logs: days.reduce((total, day) => total + day.logs, 0),
+            sets: days.reduce((total, day) => total + day.sets, 0),
+            volume: UnitUtils.fromCanonical(
+              calendar.days.reduce((total, day) => total + Number(day.volume), 0),
+              unit
+            )
+          },
+          streaks: AnalyticsUtils.calculateStreaks(calendar.weeks, goal),
+          days
+        }
+      });
+    } catch (error) {
+      console.error('Get training calendar error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching training calendar',
+        error: error.message
+      });
+    }
+  }
+
+  // Estimate how recovered each body part is from the current user's recent gym logs
+  static async getMuscleRecovery(req, res) {
+    try {
+      const now = new Date();
+      const since = new Date(now.getTime() - RECOVERY_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+      const unit = UnitUtils.getPreferredUnit(req.user);
+
+      const { data, error } = await supabase
+        .from('gym_logs')
+        .select('id, exercise, sets, reps, weight, created_at, exercises(body_part), gym_log_sets(*)')
+        .eq('user_id', req.user.id)
+        .gte('created_at', since.toISOString())
+        .lte('created_at', now.toISOString());
+
+      if (error) {
+        throw error;
+      }
+
+      // Logs not linked to the catalog have no body part and are left out of the estimate
+      const logs = data.map(log => ({
+        ...GymLogUtils.formatGymLogResponse(log),
+        body_part: log.exercises ? log.exercises.body_part : null
+      }));
+
+      const bodyParts = RecoveryUtils.estimateRecovery(logs, now)
+        .map(bodyPart => UnitUtils.convertFields(bodyPart, ['recent_volume'], unit));
+
+      res.status(200).json({
+        success: true,
+        data: {
+          as_of: now.toISOString(),
+          lookback_days: RECOVERY_LOOKBACK_DAYS,
+          weight_unit: unit,
+          ready_to_train: bodyParts
+            .filter(bodyPart => bodyPart.status === 'ready')
+            .map(bodyPart => bodyPart.body_part),
+          unlinked_logs: logs.filter(log => !log.body_part).length,
+          body_parts: bodyParts
+        }
+      });
+    } catch (error) {
+      console.error('Get muscle recovery error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error estimating muscle recovery',
+        error: error.message
+      });
+    }
+  }
 }
 
 module.exports = GymLogController;
\ No newline at end of file
@@ -0,0 +1,229 @@
+const { supabase } = require('../config/database');
+const GymLogController = require('./gymLogController');
+const ExerciseController = require('./exerciseController');
+const CsvUtils = require('../utils/csvUtils');
+const ImportUtils = require('../utils/importUtils');
+const ExerciseMatcher = require('../utils/exerciseMatcher');
+const UnitUtils = require('../utils/unitUtils');
+const { MAX_IMPORT_ROWS } = require('../constants/gymLog');
+
+// Number of logs shown in a dry-run preview
+const PREVIEW_SIZE = 20;
+
+// Page size when reading existing gym logs for duplicate detection
+const PAGE_SIZE = 1000;
+
+class ImportController {
+  // Import gym logs from a Strong, Hevy or generic CSV export.
+  // Dry runs (the default) report what would be imported without writing anything.
+  static async importGymLogs(req, res) {
+    try {
+      const {
+        source,
+        csv,
+        dry_run = true,
+        exercise_map = {},
+        skip_unmatched = false,
+        skip_duplicates = true
+      } = req.body;
+      const user_id = req.user.id; // From auth middleware
+      const unit = req.body.weight_unit || UnitUtils.getPreferredUnit(req.user);
+
+      const { headers, rows } = CsvUtils.parse(csv);
+      const missingColumns = ImportUtils.getMissingColumns(source, headers);
+
+      if (missingColumns.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `The file is not a ${source} export: missing columns ${missingColumns.join(', ')}`
+        });
+      }
+
+      if (rows.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json({
+          success: false,
+          message: `Imports are limited to ${MAX_IMPORT_ROWS} rows; split the file and import each part`
+        });
+      }
+
+      const { logs, skipped } = ImportUtils.buildLogs(source, rows, unit);
+
+      // Match every distinct exercise name once
+      const names = [...new Set(logs.map(log => log.exercise))];
+      const matches = await ImportController.matchExercises(names, exercise_map);
+      const existingLogs = await ImportController.findExistingLogs(user_id, logs);
+
+      const entries = logs.map(log => {
+        const { exercise } = matches.get(log.exercise);
+        const keys = [log.exercise, ...(exercise ? [exercise.id, exercise.name] : [])]
+          .map(key => ImportUtils.getDuplicateKey(key, log.created_at));
+        const duplicateKey = keys.find(key => existingLogs.has(key));
+
+        return {
+          ...log,
+          source_exercise: log.exercise,
+          exercise: exercise ? exercise.name : log.exercise,
+          exercise_id: exercise ? exercise.id : null,
+          duplicate_of: duplicateKey ? existingLogs.get(duplicateKey) : null
+        };
+      });
+
+      const unmatched = entries.filter(entry => !entry.exercise_id);
+      const duplicates = entries.filter(entry => entry.duplicate_of);
+      const importable = entries.filter(entry => entry.exercise_id && !(skip_duplicates && entry.duplicate_of));
+
+      const report = {
+        dry_run: dry_run !== false,
+        source,
+        weight_unit: unit,
+        summary: {
+          rows: rows.length,
+          logs: entries.length,
+          sets: entries.reduce((total, entry) => total + entry.sets.length, 0),
+          skipped_rows: skipped.length,
+          unmatched_exercises: names.filter(name => !matches.get(name).exercise).length,
+          unmatched_logs: unmatched.length,
+          duplicate_logs: duplicates.length,
+          importable_logs: importable.length
+        },
+        exercises: names.map(name => {
+          const { exercise, score, suggestions } = matches.get(name);
+
+          return {
+            name,
+            log_count: entries.filter(entry => entry.source_exercise === name).length,
+            matched: exercise ? { id: exercise.id, name: exercise.name, score } : null,
+            suggestions: exercise ? [] : suggestions
+          };
+        }),
+        duplicates: duplicates.map(entry => ({
+          exercise: entry.exercise,
+          created_at: entry.created_at,
+          lines: entry.lines,
+          existing_gym_log_id: entry.duplicate_of
+        })),
+        skipped
+      };
+
+      if (report.dry_run) {
+        return res.status(200).json({
+          success: true,
+          message: 'Import preview',
+          data: {
+            ...report,
+            preview: importable.slice(0, PREVIEW_SIZE).map(entry => ({
+              exercise: entry.exercise,
+              exercise_id: entry.exercise_id,
+              source_exercise: entry.source_exercise,
+              created_at: entry.created_at,
+              notes: entry.notes,
+              sets: entry.sets.map(set => UnitUtils.convertFields(set, ['weight'], unit)),
+              lines: entry.lines
+            }))
+          }
+        });
+      }
+
+      if (unmatched.length > 0 && !skip_unmatched) {
+        return res.status(400).json({
+          success: false,
+          message: 'Some exercises do not match the catalog. Map them with exercise_map or set skip_unmatched to import the rest.',
+          data: report
+        });
+      }
+
+      const inserted = await GymLogController.insertGymLogs(importable.map(entry => ({
+        exercise: entry.exercise,
+        exercise_id: entry.exercise_id,
+        sets: entry.sets,
+        notes: entry.notes,
+        recorded_unit: entry.recorded_unit,
+        user_id,
+        created_at: entry.created_at
+      })));
+
+      res.status(201).json({
+        success: true,
+        message: 'Gym logs imported successfully',
+        data: {
+          ...report,
+          imported_logs: inserted.length,
+          personal_records: inserted.reduce((total, log) => total + log.personal_records.length, 0)
+        }
+      });
+    } catch (error) {
+      console.error('Import gym logs error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error importing gym logs',
+        error: error.message
+      });
+    }
+  }
+
+  // Helper method to match exercise names from a file against the catalog.
+  // exercise_map entries ({ "name in file": "catalog exercise id" }) take precedence over fuzzy matching.
+  static async matchExercises(names, exerciseMap) {
+    const catalog = await ExerciseController.getExerciseCatalog();
+    const catalogById = new Map(catalog.map(exercise => [exercise.id, exercise]));
+
+    return new Map(names.map(name => {
+      if (exerciseMap[name]) {
+        const exercise = catalogById.get(exerciseMap[name]) || null;
+        return [name, { exercise, score: exercise ? 1 : 0, suggestions: [] }];
+      }
+
+      // Catalog names carry no equipment qualifier, so the base name often matches better
+      const fullMatch = ExerciseMatcher.match(name, catalog);
+      const baseMatch = ExerciseMatcher.match(ImportUtils.getBaseExerciseName(name), catalog);
+
+      // A match beats a name left ambiguous or unmatched, even with a higher score
+      if (Boolean(baseMatch.exercise) !== Boolean(fullMatch.exercise)) {
+        return [name, baseMatch.exercise ? baseMatch : fullMatch];
+      }
+
+      return [name, baseMatch.score > fullMatch.score ? baseMatch : fullMatch];
+    }));
+  }
+
+  // Helper method to get the user's gym logs in the file's date range, keyed for duplicate detection
+  static async findExistingLogs(userId, logs) {
+    const existing = new Map();
+
+    if (logs.length === 0) {
+      return existing;
+    }
+
+    const timestamps = logs.map(log => log.created_at).sort();
+    let offset = 0;
+
+    for (;;) {
+      const { data, error } = await supabase
+        .from('gym_logs')
+        .select('id, exercise, exercise_id, created_at')
+        .eq('user_id', userId)
+        .gte('created_at', timestamps[0])
+        .lte('created_at', timestamps[timestamps.length - 1])
+        .order('id', { ascending: true })
+        .range(offset, offset + PAGE_SIZE - 1);
+
+      if (error) {
+        throw error;
+      }
+
+      data.forEach(log => {
+        [log.exercise, log.exercise_id]
+          .filter(Boolean)
+          .forEach(key => existing.set(ImportUtils.getDuplicateKey(key, log.created_at), log.id));
+      });
+
+      if (data.length < PAGE_SIZE) {
+        return existing;
+      }
+
+      offset += PAGE_SIZE;
+    }
+  }
+}
+
+module.exports = ImportController;
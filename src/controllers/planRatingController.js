@@ -0,0 +1,331 @@
+const { supabase } = require('../config/database');
+const WorkoutPlanController = require('./workoutPlanController');
+const { RATING_MIN, RATING_MAX } = require('../constants/planRating');
+
+class PlanRatingController {
+  // Rate a public workout plan of another user, replacing the user's previous rating
+  static async rateWorkoutPlan(req, res) {
+    try {
+      const { id } = req.params;
+      const { rating, review } = req.body;
+      const userId = req.user.id;
+
+      const plan = await WorkoutPlanController.findWorkoutPlan(id);
+
+      if (!plan) {
+        return res.status(404).json({
+          success: false,
+          message: 'Workout plan not found'
+        });
+      }
+
+      if (plan.created_by === userId) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot rate your own workout plan'
+        });
+      }
+
+      if (!plan.is_public) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only rate public workout plans'
+        });
+      }
+
+      const existing = await WorkoutPlanController.findRating(id, userId);
+      const ratingData = {
+        rating,
+        review: review || null
+      };
+
+      const { data, error } = existing
+        ? await supabase
+          .from('workout_plan_ratings')
+          .update(ratingData)
+          .eq('id', existing.id)
+          .select()
+          .single()
+        : await supabase
+          .from('workout_plan_ratings')
+          .insert([{ ...ratingData, workout_plan_id: id, user_id: userId }])
+          .select()
+          .single();
+
+      if (error) {
+        throw error;
+      }
+
+      const stats = await PlanRatingController.getRatingStats(id);
+
+      res.status(existing ? 200 : 201).json({
+        success: true,
+        message: existing ? 'Rating updated successfully' : 'Workout plan rated successfully',
+        data: {
+          ...data,
+          ...stats
+        }
+      });
+    } catch (error) {
+      console.error('Rate workout plan error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error rating workout plan',
+        error: error.message
+      });
+    }
+  }
+
+  // Remove the user's rating of a workout plan
+  static async deleteWorkoutPlanRating(req, res) {
+    try {
+      const { id } = req.params;
+      const existing = await WorkoutPlanController.findRating(id, req.user.id);
+
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Rating not found'
+        });
+      }
+
+      const { error } = await supabase
+        .from('workout_plan_ratings')
+        .delete()
+        .eq('id', existing.id);
+
+      if (error) {
+        throw error;
+      }
+
+      const stats = await PlanRatingController.getRatingStats(id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Rating deleted successfully',
+        data: stats
+      });
+    } catch (error) {
+      console.error('Delete rating error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error deleting rating',
+        error: error.message
+      });
+    }
+  }
+
+  // Get the ratings and reviews of a workout plan, newest first, with a summary of all ratings
+  static async getWorkoutPlanRatings(req, res) {
+    try {
+      const { id } = req.params;
+      const { page = 1, limit = 10 } = req.query;
+      const itemsPerPage = parseInt(limit);
+      const offset = (parseInt(page) - 1) * itemsPerPage;
+
+      const plan = await WorkoutPlanController.findWorkoutPlan(id);
+
+      if (!plan) {
+        return res.status(404).json({
+          success: false,
+          message: 'Workout plan not found'
+        });
+      }
+
+      if (plan.created_by !== req.user.id && !plan.is_public) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only view ratings of your own or public workout plans'
+        });
+      }
+
+      const { data, error, count } = await supabase
+        .from('workout_plan_ratings')
+        .select('*, users(name)', { count: 'exact' })
+        .eq('workout_plan_id', id)
+        .order('created_at', { ascending: false })
+        .range(offset, offset + itemsPerPage - 1);
+
+      if (error) {
+        throw error;
+      }
+
+      const { data: allRatings, error: allRatingsError } = await supabase
+        .from('workout_plan_ratings')
+        .select('rating')
+        .eq('workout_plan_id', id);
+
+      if (allRatingsError) {
+        throw allRatingsError;
+      }
+
+      res.status(200).json({
+        success: true,
+        data: {
+          summary: PlanRatingController.summarizeRatings(allRatings),
+          ratings: data.map(({ users, ...rating }) => ({
+            ...rating,
+            user_name: users ? users.name : null
+          }))
+        },
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(count / limit)
+        }
+      });
+    } catch (error) {
+      console.error('Get ratings error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching ratings',
+        error: error.message
+      });
+    }
+  }
+
+  // Add a workout plan to the user's favorites; favoriting a plan twice keeps one favorite
+  static async favoriteWorkoutPlan(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.id;
+
+      const plan = await WorkoutPlanController.findWorkoutPlan(id);
+
+      if (!plan) {
+        return res.status(404).json({
+          success: false,
+          message: 'Workout plan not found'
+        });
+      }
+
+      if (plan.created_by !== userId && !plan.is_public) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only favorite your own or public workout plans'
+        });
+      }
+
+      const { data: existing, error: existingError } = await supabase
+        .from('workout_plan_favorites')
+        .select('*')
+        .eq('workout_plan_id', id)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (existingError) {
+        throw existingError;
+      }
+
+      if (existing) {
+        return res.status(200).json({
+          success: true,
+          message: 'Workout plan is already in favorites',
+          data: existing
+        });
+      }
+
+      const { data, error } = await supabase
+        .from('workout_plan_favorites')
+        .insert([{ workout_plan_id: id, user_id: userId }])
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Workout plan added to favorites',
+        data
+      });
+    } catch (error) {
+      console.error('Favorite workout plan error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error adding workout plan to favorites',
+        error: error.message
+      });
+    }
+  }
+
+  // Remove a workout plan from the user's favorites
+  static async unfavoriteWorkoutPlan(req, res) {
+    try {
+      const { id } = req.params;
+
+      const { data, error } = await supabase
+        .from('workout_plan_favorites')
+        .delete()
+        .eq('workout_plan_id', id)
+        .eq('user_id', req.user.id)
+        .select();
+
+      if (error) {
+        throw error;
+      }
+
+      if (data.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Workout plan is not in favorites'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Workout plan removed from favorites'
+      });
+    } catch (error) {
+      console.error('Unfavorite workout plan error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error removing workout plan from favorites',
+        error: error.message
+      });
+    }
+  }
+
+  // Helper method to get a plan's rating average and count, as kept by the database
+  static async getRatingStats(planId) {
+    const { data, error } = await supabase
+      .from('workout_plans')
+      .select('average_rating, rating_count')
+      .eq('id', planId)
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return {
+      average_rating: data.average_rating === null ? null : Number(data.average_rating),
+      rating_count: data.rating_count
+    };
+  }
+
+  // Helper method to summarize ratings: average, count, and the number of ratings of each score
+  static summarizeRatings(ratings) {
+    const distribution = {};
+
+    for (let score = RATING_MIN; score <= RATING_MAX; score++) {
+      distribution[score] = 0;
+    }
+
+    ratings.forEach(({ rating }) => {
+      distribution[rating]++;
+    });
+
+    const total = ratings.reduce((sum, { rating }) => sum + rating, 0);
+
+    return {
+      average_rating: ratings.length > 0 ? Math.round((total / ratings.length) * 100) / 100 : null,
+      rating_count: ratings.length,
+      distribution
+    };
+  }
+}
+
+module.exports = PlanRatingController;
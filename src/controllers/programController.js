@@ -0,0 +1,653 @@
+const { supabase } = require('../config/database');
+const WorkoutPlanController = require('./workoutPlanController');
+const ProgramUtils = require('../utils/programUtils');
+const UnitUtils = require('../utils/unitUtils');
+
+class ProgramController {
+  // Create a training program with its weeks and days
+  static async createProgram(req, res) {
+    try {
+      const { name, description, difficulty_level, is_public = false, weeks } = req.body;
+
+      const weeksError = await ProgramController.getWeeksError(weeks, { userId: req.user.id, isPublic: is_public });
+
+      if (weeksError) {
+        return res.status(400).json({
+          success: false,
+          message: weeksError
+        });
+      }
+
+      const { data: program, error } = await supabase
+        .from('training_programs')
+        .insert([
+          {
+            name,
+            description,
+            difficulty_level,
+            created_by: req.user.id,
+            is_public,
+            created_at: new Date().toISOString(),
+            updated_at: new Date().toISOString()
+          }
+        ])
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      try {
+        await ProgramController.insertWeeks(program.id, weeks);
+      } catch (weeksInsertError) {
+        // Rollback by deleting the created program
+        await supabase.from('training_programs').delete().eq('id', program.id);
+        throw weeksInsertError;
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Training program created successfully',
+        data: await ProgramController.getProgramWithWeeks(program.id)
+      });
+    } catch (error) {
+      console.error('Create training program error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error creating training program',
+        error: error.message
+      });
+    }
+  }
+
+  // Get the current user's programs and public programs
+  static async getAllPrograms(req, res) {
+    try {
+      const { page = 1, limit = 10, difficulty_level, created_by, search } = req.query;
+      const itemsPerPage = parseInt(limit);
+      const offset = (parseInt(page) - 1) * itemsPerPage;
+
+      let query = supabase
+        .from('training_programs')
+        .select('*, training_program_weeks(id)', { count: 'exact' })
+        .or(`created_by.eq.${req.user.id},is_public.eq.true`);
+
+      if (difficulty_level) {
+        query = query.eq('difficulty_level', difficulty_level);
+      }
+
+      if (created_by) {
+        query = query.eq('created_by', created_by);
+      }
+
+      if (search) {
+        query = query.or(`name.ilike.%${search}%,description.ilike.%${search}%`);
+      }
+
+      const { data, error, count } = await query
+        .range(offset, offset + itemsPerPage - 1)
+        .order('created_at', { ascending: false });
+
+      if (error) {
+        throw error;
+      }
+
+      res.status(200).json({
+        success: true,
+        data: data.map(({ training_program_weeks: weeks, ...program }) => ({
+          ...program,
+          total_weeks: (weeks || []).length
+        })),
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(count / limit)
+        }
+      });
+    } catch (error) {
+      console.error('Get training programs error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching training programs',
+        error: error.message
+      });
+    }
+  }
+
+  // Get a training program with its weeks and days
+  static async getProgramById(req, res) {
+    try {
+      const program = await ProgramController.getProgramWithWeeks(req.params.id);
+
+      if (!program) {
+        return res.status(404).json({
+          success: false,
+          message: 'Training program not found'
+        });
+      }
+
+      if (program.created_by !== req.user.id && !program.is_public) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only view your own or public training programs'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: program
+      });
+    } catch (error) {
+      console.error('Get training program error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching training program',
+        error: error.message
+      });
+    }
+  }
+
+  // Update a training program. Weeks, when given, replace all of the program's weeks.
+  static async updateProgram(req, res) {
+    try {
+      const { id } = req.params;
+      const { name, description, difficulty_level, is_public, weeks } = req.body;
+
+      const existingProgram = await ProgramController.getProgramWithWeeks(id);
+
+      if (!existingProgram) {
+        return res.status(404).json({
+          success: false,
+          message: 'Training program not found'
+        });
+      }
+
+      if (existingProgram.created_by !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only update your own training programs'
+        });
+      }
+
+      // A program made public has its stored weeks checked too
+      const isPublic = is_public !== undefined ? is_public : existingProgram.is_public;
+      const weeksError = await ProgramController.getWeeksError(weeks || existingProgram.weeks, {
+        userId: req.user.id,
+        isPublic
+      });
+
+      if (weeksError) {
+        return res.status(400).json({
+          success: false,
+          message: weeksError
+        });
+      }
+
+      const updateData = {
+        updated_at: new Date().toISOString()
+      };
+
+      if (name) updateData.name = name;
+      if (description !== undefined) updateData.description = description;
+      if (difficulty_level) updateData.difficulty_level = difficulty_level;
+      if (is_public !== undefined) updateData.is_public = is_public;
+
+      const { error } = await supabase
+        .from('training_programs')
+        .update(updateData)
+        .eq('id', id);
+
+      if (error) {
+        throw error;
+      }
+
+      if (weeks) {
+        await ProgramController.replaceWeeks(id, weeks);
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Training program updated successfully',
+        data: await ProgramController.getProgramWithWeeks(id)
+      });
+    } catch (error) {
+      console.error('Update training program error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error updating training program',
+        error: error.message
+      });
+    }
+  }
+
+  // Delete a training program, with its weeks, days and enrollments
+  static async deleteProgram(req, res) {
+    try {
+      const { id } = req.params;
+      const program = await ProgramController.findProgram(id);
+
+      if (!program) {
+        return res.status(404).json({
+          success: false,
+          message: 'Training program not found'
+        });
+      }
+
+      if (program.created_by !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only delete your own training programs'
+        });
+      }
+
+      const { error } = await supabase
+        .from('training_programs')
+        .delete()
+        .eq('id', id);
+
+      if (error) {
+        throw error;
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Training program deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete training program error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error deleting training program',
+        error: error.message
+      });
+    }
+  }
+
+  // Enroll the current user in a program from a start date. A user follows one program at a time.
+  static async enrollInProgram(req, res) {
+    try {
+      const { id } = req.params;
+      const program = await ProgramController.findProgram(id);
+
+      if (!program) {
+        return res.status(404).json({
+          success: false,
+          message: 'Training program not found'
+        });
+      }
+
+      if (program.created_by !== req.user.id && !program.is_public) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only enroll in your own or public training programs'
+        });
+      }
+
+      const activeEnrollment = await ProgramController.findActiveEnrollment(req.user.id);
+
+      if (activeEnrollment) {
+        return res.status(400).json({
+          success: false,
+          message: 'You are already enrolled in a training program',
+          data: { id: activeEnrollment.id, program_id: activeEnrollment.program_id }
+        });
+      }
+
+      const { start_date } = req.body || {};
+      const startDate = start_date ? new Date(start_date) : new Date();
+
+      const { data: enrollment, error } = await supabase
+        .from('program_enrollments')
+        .insert([
+          {
+            user_id: req.user.id,
+            program_id: id,
+            start_date: startDate.toISOString().slice(0, 10),
+            status: 'active',
+            created_at: new Date().toISOString(),
+            updated_at: new Date().toISOString()
+          }
+        ])
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Enrolled in training program successfully',
+        data: enrollment
+      });
+    } catch (error) {
+      console.error('Enroll in training program error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error enrolling in training program',
+        error: error.message
+      });
+    }
+  }
+
+  // Cancel the current user's active enrollment in a program
+  static async leaveProgram(req, res) {
+    try {
+      const activeEnrollment = await ProgramController.findActiveEnrollment(req.user.id);
+
+      if (!activeEnrollment || activeEnrollment.program_id !== req.params.id) {
+        return res.status(404).json({
+          success: false,
+          message: 'You are not enrolled in this training program'
+        });
+      }
+
+      const { data: enrollment, error } = await supabase
+        .from('program_enrollments')
+        .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+        .eq('id', activeEnrollment.id)
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Left training program successfully',
+        data: enrollment
+      });
+    } catch (error) {
+      console.error('Leave training program error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error leaving training program',
+        error: error.message
+      });
+    }
+  }
+
+  // Get the workout of a day (default: today) of the current user's program, with the week's modifiers applied.
+  // Asking for today after the last week completes the enrollment.
+  static async getTodayWorkout(req, res) {
+    try {
+      const unit = UnitUtils.getPreferredUnit(req.user);
+      const today = new Date().toISOString().slice(0, 10);
+      const date = req.query.date ? new Date(req.query.date).toISOString().slice(0, 10) : today;
+
+      const enrollment = await ProgramController.findActiveEnrollment(req.user.id);
+
+      if (!enrollment) {
+        return res.status(404).json({
+          success: false,
+          message: 'You are not enrolled in a training program'
+        });
+      }
+
+      const program = await ProgramController.getProgramWithWeeks(enrollment.program_id);
+      const programDay = ProgramUtils.getProgramDay(enrollment.start_date, date);
+      const lastWeek = Math.max(0, ...program.weeks.map(week => week.week_number));
+      const week = program.weeks.find(candidate => candidate.week_number === programDay.week_number);
+      const day = week ? week.days.find(candidate => candidate.day_number === programDay.day_number) : null;
+
+      let status = 'scheduled';
+      if (programDay.days_since_start < 0) {
+        status = 'not_started';
+      } else if (programDay.week_number > lastWeek) {
+        status = 'finished';
+      } else if (!day) {
+        status = 'rest_day';
+      }
+
+      if (ProgramUtils.getProgramDay(enrollment.start_date, today).week_number > lastWeek) {
+        const { error } = await supabase
+          .from('program_enrollments')
+          .update({ status: 'completed', updated_at: new Date().toISOString() })
+          .eq('id', enrollment.id);
+
+        if (error) {
+          throw error;
+        }
+      }
+
+      let workout = null;
+
+      if (status === 'scheduled') {
+        const plan = await WorkoutPlanController.getWorkoutPlanWithExercises(day.workout_plan_id, unit);
+
+        // Loads are resolved after the week's modifiers, so a deload scales percentage loads too
+        workout = plan && await WorkoutPlanController.resolvePlanLoads(req.user.id, {
+          ...plan,
+          exercises: ProgramUtils.applyModifiers(plan.exercises, week),
+          groups: plan.groups.map(group => ({
+            ...group,
+            exercises: ProgramUtils.applyModifiers(group.exercises, week)
+          }))
+        }, unit);
+      }
+
+      res.status(200).json({
+        success: true,
+        data: {
+          date,
+          status,
+          enrollment_id: enrollment.id,
+          program_id: program.id,
+          program_name: program.name,
+          start_date: enrollment.start_date,
+          total_weeks: program.total_weeks,
+          week_number: status === 'not_started' ? null : programDay.week_number,
+          day_number: status === 'not_started' ? null : programDay.day_number,
+          week: week
+            ? {
+              name: week.name,
+              is_deload: week.is_deload,
+              weight_percent: week.weight_percent,
+              sets_percent: week.sets_percent,
+              reps_adjustment: week.reps_adjustment
+            }
+            : null,
+          day_name: day ? day.name : null,
+          workout
+        }
+      });
+    } catch (error) {
+      console.error('Get today workout error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching today\'s workout',
+        error: error.message
+      });
+    }
+  }
+
+  // Helper method to check the weeks of a program: unique week numbers, and plans the program may use.
+  // Returns an error message, or null when the weeks are valid.
+  static async getWeeksError(weeks, { userId, isPublic }) {
+    const weekNumbers = weeks.map((week, index) => week.week_number || index + 1);
+
+    if (new Set(weekNumbers).size !== weekNumbers.length) {
+      return 'Week numbers must be unique';
+    }
+
+    const planIds = [...new Set(weeks.flatMap(week => week.days.map(day => day.workout_plan_id)))];
+
+    if (planIds.length === 0) {
+      return null;
+    }
+
+    const { data: plans, error } = await supabase
+      .from('workout_plans')
+      .select('id, created_by, is_public')
+      .in('id', planIds);
+
+    if (error) {
+      throw error;
+    }
+
+    for (const planId of planIds) {
+      const plan = plans.find(candidate => candidate.id === planId);
+
+      if (!plan || (plan.created_by !== userId && !plan.is_public)) {
+        return `Workout plan ${planId} not found`;
+      }
+
+      // Users enrolled in a public program must be able to see its plans
+      if (isPublic && !plan.is_public) {
+        return `A public training program can only use public workout plans (${planId} is private)`;
+      }
+    }
+
+    return null;
+  }
+
+  // Helper method to insert the weeks of a program with their days
+  static async insertWeeks(programId, weeks) {
+    const { data: insertedWeeks, error } = await supabase
+      .from('training_program_weeks')
+      .insert(weeks.map((week, index) => ({
+        program_id: programId,
+        week_number: week.week_number || index + 1,
+        name: week.name || null,
+        ...ProgramUtils.resolveModifiers(week)
+      })))
+      .select('id, week_number');
+
+    if (error) {
+      throw error;
+    }
+
+    const days = weeks.flatMap((week, index) => {
+      const weekNumber = week.week_number || index + 1;
+      const weekId = insertedWeeks.find(inserted => inserted.week_number === weekNumber).id;
+
+      return week.days.map(day => ({
+        week_id: weekId,
+        day_number: day.day_number,
+        workout_plan_id: day.workout_plan_id,
+        name: day.name || null
+      }));
+    });
+
+    if (days.length === 0) {
+      return;
+    }
+
+    const { error: daysError } = await supabase
+      .from('training_program_days')
+      .insert(days);
+
+    if (daysError) {
+      throw daysError;
+    }
+  }
+
+  // Helper method to replace all weeks of a program with their days. When the new weeks fail to insert,
+  // the previous weeks and days are put back.
+  static async replaceWeeks(programId, weeks) {
+    const { data: previousWeeks, error } = await supabase
+      .from('training_program_weeks')
+      .select('*, training_program_days(*)')
+      .eq('program_id', programId);
+
+    if (error) {
+      throw error;
+    }
+
+    await ProgramController.deleteWeeks(programId);
+
+    try {
+      await ProgramController.insertWeeks(programId, weeks);
+    } catch (insertError) {
+      // Rollback by deleting what was added and re-inserting the previous rows
+      await ProgramController.deleteWeeks(programId);
+
+      if (previousWeeks.length > 0) {
+        await supabase
+          .from('training_program_weeks')
+          .insert(previousWeeks.map(({ training_program_days: days, ...week }) => week));
+      }
+
+      const previousDays = previousWeeks.flatMap(week => week.training_program_days);
+
+      if (previousDays.length > 0) {
+        await supabase.from('training_program_days').insert(previousDays);
+      }
+
+      throw insertError;
+    }
+  }
+
+  // Helper method to delete the weeks of a program; their days go with them
+  static async deleteWeeks(programId) {
+    const { error } = await supabase
+      .from('training_program_weeks')
+      .delete()
+      .eq('program_id', programId);
+
+    if (error) {
+      throw error;
+    }
+  }
+
+  // Helper method to get a program with its weeks and days
+  static async getProgramWithWeeks(programId) {
+    const { data, error } = await supabase
+      .from('training_programs')
+      .select(`
+        *,
+        training_program_weeks(*, training_program_days(*, workout_plans(name)))
+      `)
+      .eq('id', programId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null;
+      }
+      throw error;
+    }
+
+    return ProgramUtils.formatProgram(data);
+  }
+
+  // Helper method to find a program without its weeks
+  static async findProgram(programId) {
+    const { data, error } = await supabase
+      .from('training_programs')
+      .select('id, name, created_by, is_public')
+      .eq('id', programId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null;
+      }
+      throw error;
+    }
+
+    return data;
+  }
+
+  // Helper method to find the user's active enrollment, if any
+  static async findActiveEnrollment(userId) {
+    const { data, error } = await supabase
+      .from('program_enrollments')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('status', 'active')
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+}
+
+module.exports = ProgramController;
@@ -0,0 +1,520 @@
+const crypto = require('crypto');
+const { supabase } = require('../config/database');
+const ScheduleUtils = require('../utils/scheduleUtils');
+const IcsUtils = require('../utils/icsUtils');
+const {
+  DEFAULT_OCCURRENCE_DAYS,
+  MAX_OCCURRENCE_RANGE_DAYS,
+  CALENDAR_TOKEN_BYTES
+} = require('../constants/schedule');
+
+const SCHEDULE_SELECT = '*, workout_plans(name, description, estimated_duration, created_by, is_public)';
+const CALENDAR_TOKEN_PATTERN = new RegExp(`^[a-f0-9]{${CALENDAR_TOKEN_BYTES * 2}}$`);
+
+const toDate = (value) => new Date(value).toISOString().slice(0, 10);
+
+class ScheduleController {
+  // Schedule a workout plan on a date, or on weekdays from a start date
+  static async createSchedule(req, res) {
+    try {
+      const {
+        workout_plan_id,
+        start_date,
+        end_date,
+        weekdays = [],
+        start_time,
+        duration_minutes,
+        notes
+      } = req.body;
+
+      const planError = await ScheduleController.getPlanError(workout_plan_id, req.user.id);
+
+      if (planError) {
+        return res.status(400).json({
+          success: false,
+          message: planError
+        });
+      }
+
+      const { data, error } = await supabase
+        .from('workout_schedules')
+        .insert([
+          {
+            user_id: req.user.id,
+            workout_plan_id,
+            start_date: toDate(start_date),
+            end_date: end_date ? toDate(end_date) : null,
+            weekdays,
+            start_time: start_time || null,
+            duration_minutes: duration_minutes || null,
+            notes,
+            created_at: new Date().toISOString(),
+            updated_at: new Date().toISOString()
+          }
+        ])
+        .select(SCHEDULE_SELECT)
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Workout schedule created successfully',
+        data: ScheduleController.formatSchedule(data, req.user.id)
+      });
+    } catch (error) {
+      console.error('Create workout schedule error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error creating workout schedule',
+        error: error.message
+      });
+    }
+  }
+
+  // Get the current user's schedules
+  static async getAllSchedules(req, res) {
+    try {
+      const { workout_plan_id } = req.query;
+
+      let query = supabase
+        .from('workout_schedules')
+        .select(SCHEDULE_SELECT)
+        .eq('user_id', req.user.id);
+
+      if (workout_plan_id) {
+        query = query.eq('workout_plan_id', workout_plan_id);
+      }
+
+      const { data, error } = await query.order('start_date', { ascending: true });
+
+      if (error) {
+        throw error;
+      }
+
+      res.status(200).json({
+        success: true,
+        data: data.map(schedule => ScheduleController.formatSchedule(schedule, req.user.id))
+      });
+    } catch (error) {
+      console.error('Get workout schedules error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching workout schedules',
+        error: error.message
+      });
+    }
+  }
+
+  // Get the upcoming, missed and completed workouts of the current user's schedules within a date range
+  static async getOccurrences(req, res) {
+    try {
+      const today = new Date().toISOString().slice(0, 10);
+      const from = req.query.from ? toDate(req.query.from) : ScheduleUtils.addDays(today, -DEFAULT_OCCURRENCE_DAYS);
+      const to = req.query.to ? toDate(req.query.to) : ScheduleUtils.addDays(today, DEFAULT_OCCURRENCE_DAYS);
+
+      if (Date.parse(to) - Date.parse(from) > MAX_OCCURRENCE_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+        return res.status(400).json({
+          success: false,
+          message: `Date range cannot be longer than ${MAX_OCCURRENCE_RANGE_DAYS} days`
+        });
+      }
+
+      const schedules = await ScheduleController.getVisibleSchedules(req.user.id);
+
+      const { data: sessions, error } = await supabase
+        .from('workout_sessions')
+        .select('id, workout_plan_id, started_at')
+        .eq('user_id', req.user.id)
+        .not('workout_plan_id', 'is', null)
+        .gte('started_at', from)
+        .lt('started_at', ScheduleUtils.addDays(to, 1))
+        .order('started_at', { ascending: true });
+
+      if (error) {
+        throw error;
+      }
+
+      const occurrences = ScheduleUtils.buildOccurrences(schedules, sessions, { from, to, today });
+
+      res.status(200).json({
+        success: true,
+        data: {
+          from,
+          to,
+          summary: ScheduleUtils.summarizeOccurrences(occurrences),
+          occurrences
+        }
+      });
+    } catch (error) {
+      console.error('Get schedule occurrences error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching scheduled workouts',
+        error: error.message
+      });
+    }
+  }
+
+  // Get a schedule by ID
+  static async getScheduleById(req, res) {
+    try {
+      const schedule = await ScheduleController.findSchedule(req.params.id);
+
+      if (!schedule) {
+        return res.status(404).json({
+          success: false,
+          message: 'Workout schedule not found'
+        });
+      }
+
+      if (schedule.user_id !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only view your own workout schedules'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: ScheduleController.formatSchedule(schedule, req.user.id)
+      });
+    } catch (error) {
+      console.error('Get workout schedule error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching workout schedule',
+        error: error.message
+      });
+    }
+  }
+
+  // Update a schedule
+  static async updateSchedule(req, res) {
+    try {
+      const { id } = req.params;
+      const {
+        workout_plan_id,
+        start_date,
+        end_date,
+        weekdays,
+        start_time,
+        duration_minutes,
+        notes
+      } = req.body;
+
+      const existingSchedule = await ScheduleController.findSchedule(id);
+
+      if (!existingSchedule) {
+        return res.status(404).json({
+          success: false,
+          message: 'Workout schedule not found'
+        });
+      }
+
+      if (existingSchedule.user_id !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only update your own workout schedules'
+        });
+      }
+
+      if (workout_plan_id && workout_plan_id !== existingSchedule.workout_plan_id) {
+        const planError = await ScheduleController.getPlanError(workout_plan_id, req.user.id);
+
+        if (planError) {
+          return res.status(400).json({
+            success: false,
+            message: planError
+          });
+        }
+      }
+
+      const updateData = {
+        updated_at: new Date().toISOString()
+      };
+
+      if (workout_plan_id) updateData.workout_plan_id = workout_plan_id;
+      if (start_date) updateData.start_date = toDate(start_date);
+      if (end_date !== undefined) updateData.end_date = end_date ? toDate(end_date) : null;
+      if (weekdays !== undefined) updateData.weekdays = weekdays;
+      if (start_time !== undefined) updateData.start_time = start_time;
+      if (duration_minutes !== undefined) updateData.duration_minutes = duration_minutes;
+      if (notes !== undefined) updateData.notes = notes;
+
+      const startDate = updateData.start_date || existingSchedule.start_date;
+      const endDate = updateData.end_date !== undefined ? updateData.end_date : existingSchedule.end_date;
+
+      if (endDate && endDate < startDate) {
+        return res.status(400).json({
+          success: false,
+          message: 'End date cannot be before the start date'
+        });
+      }
+
+      const { data, error } = await supabase
+        .from('workout_schedules')
+        .update(updateData)
+        .eq('id', id)
+        .select(SCHEDULE_SELECT)
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Workout schedule updated successfully',
+        data: ScheduleController.formatSchedule(data, req.user.id)
+      });
+    } catch (error) {
+      console.error('Update workout schedule error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error updating workout schedule',
+        error: error.message
+      });
+    }
+  }
+
+  // Delete a schedule
+  static async deleteSchedule(req, res) {
+    try {
+      const { id } = req.params;
+
+      const existingSchedule = await ScheduleController.findSchedule(id);
+
+      if (!existingSchedule) {
+        return res.status(404).json({
+          success: false,
+          message: 'Workout schedule not found'
+        });
+      }
+
+      if (existingSchedule.user_id !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only delete your own workout schedules'
+        });
+      }
+
+      const { error } = await supabase
+        .from('workout_schedules')
+        .delete()
+        .eq('id', id);
+
+      if (error) {
+        throw error;
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Workout schedule deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete workout schedule error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error deleting workout schedule',
+        error: error.message
+      });
+    }
+  }
+
+  // Create the current user's calendar feed URL, replacing any previous one.
+  // Only a hash of the token is stored, so the URL is shown this once.
+  static async createCalendarFeed(req, res) {
+    try {
+      const token = crypto.randomBytes(CALENDAR_TOKEN_BYTES).toString('hex');
+
+      const { error } = await supabase
+        .from('users')
+        .update({
+          calendar_token_hash: ScheduleController.hashCalendarToken(token),
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', req.user.id);
+
+      if (error) {
+        throw error;
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Calendar feed created successfully',
+        data: {
+          token,
+          url: `${req.protocol}://${req.get('host')}/api/calendar/${token}.ics`
+        }
+      });
+    } catch (error) {
+      console.error('Create calendar feed error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error creating calendar feed',
+        error: error.message
+      });
+    }
+  }
+
+  // Revoke the current user's calendar feed URL
+  static async revokeCalendarFeed(req, res) {
+    try {
+      const { error } = await supabase
+        .from('users')
+        .update({
+          calendar_token_hash: null,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', req.user.id);
+
+      if (error) {
+        throw error;
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Calendar feed revoked successfully'
+      });
+    } catch (error) {
+      console.error('Revoke calendar feed error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error revoking calendar feed',
+        error: error.message
+      });
+    }
+  }
+
+  // Serve the schedules of the user a calendar feed token belongs to as an iCalendar document.
+  // The token replaces JWT authentication; unknown and malformed tokens get the same 404.
+  static async getCalendarFeed(req, res) {
+    try {
+      const { token } = req.params;
+
+      const user = CALENDAR_TOKEN_PATTERN.test(token)
+        ? await ScheduleController.findCalendarFeedUser(token)
+        : null;
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'Calendar feed not found'
+        });
+      }
+
+      const schedules = await ScheduleController.getVisibleSchedules(user.id);
+      const calendar = IcsUtils.buildCalendar(schedules, {
+        name: `${user.name}'s workouts`,
+        domain: req.hostname
+      });
+
+      res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+      res.setHeader('Content-Disposition', 'inline; filename="workouts.ics"');
+      res.setHeader('Cache-Control', 'private, no-cache');
+      res.status(200).send(calendar);
+    } catch (error) {
+      console.error('Get calendar feed error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching calendar feed',
+        error: error.message
+      });
+    }
+  }
+
+  // Helper method to check that a plan can be scheduled: the user's own plans and public plans.
+  // Returns an error message, or null when the plan can be scheduled.
+  static async getPlanError(workoutPlanId, userId) {
+    const { data: plan, error } = await supabase
+      .from('workout_plans')
+      .select('id, created_by, is_public')
+      .eq('id', workoutPlanId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!plan || (plan.created_by !== userId && !plan.is_public)) {
+      return 'Workout plan not found';
+    }
+
+    return null;
+  }
+
+  // Helper method to find a schedule with its plan
+  static async findSchedule(scheduleId) {
+    const { data, error } = await supabase
+      .from('workout_schedules')
+      .select(SCHEDULE_SELECT)
+      .eq('id', scheduleId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null;
+      }
+      throw error;
+    }
+
+    return data;
+  }
+
+  // Helper method to get a user's schedules of plans they can still see.
+  // A plan made private by its creator drops out, so its details are not published.
+  static async getVisibleSchedules(userId) {
+    const { data, error } = await supabase
+      .from('workout_schedules')
+      .select(SCHEDULE_SELECT)
+      .eq('user_id', userId)
+      .order('start_date', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    return data.filter(schedule => ScheduleController.isPlanVisible(schedule.workout_plans, userId));
+  }
+
+  // Helper method to find the user a calendar feed token belongs to
+  static async findCalendarFeedUser(token) {
+    const { data, error } = await supabase
+      .from('users')
+      .select('id, name')
+      .eq('calendar_token_hash', ScheduleController.hashCalendarToken(token))
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  // Helper method to hash a calendar feed token for storage and lookup
+  static hashCalendarToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // Helper method to check whether a user can see a plan
+  static isPlanVisible(plan, userId) {
+    return Boolean(plan) && (plan.created_by === userId || plan.is_public);
+  }
+
+  // Helper method to format a schedule with the name of its plan, when the user can still see it
+  static formatSchedule(schedule, userId) {
+    const { workout_plans: plan, ...rest } = schedule;
+
+    return {
+      ...rest,
+      weekdays: rest.weekdays || [],
+      workout_plan_name: ScheduleController.isPlanVisible(plan, userId) ? plan.name : null
+    };
+  }
+}
+
+module.exports = ScheduleController;
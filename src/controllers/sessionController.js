@@ -0,0 +1,522 @@
+const { supabase } = require('../config/database');
+const GymLogController = require('./gymLogController');
+const SessionUtils = require('../utils/sessionUtils');
+const AdherenceUtils = require('../utils/adherenceUtils');
+const UnitUtils = require('../utils/unitUtils');
+
+class SessionController {
+  // Start a new workout session
+  static async startSession(req, res) {
+    try {
+      const { title, notes, started_at } = req.body || {};
+      const user_id = req.user.id; // From auth middleware
+
+      // Only one session can be in progress at a time
+      const activeSession = await SessionController.findActiveSession(user_id);
+
+      if (activeSession) {
+        return res.status(400).json({
+          success: false,
+          message: 'You already have an active workout session',
+          data: { id: activeSession.id }
+        });
+      }
+
+      const { data: session, error } = await supabase
+        .from('workout_sessions')
+        .insert([
+          {
+            user_id,
+            title: title || null,
+            notes: notes || null,
+            started_at: started_at ? new Date(started_at).toISOString() : new Date().toISOString(),
+            created_at: new Date().toISOString(),
+            updated_at: new Date().toISOString()
+          }
+        ])
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Workout session started successfully',
+        data: UnitUtils.convertSession(
+          SessionUtils.formatSessionResponse(session, { includeLogs: true }),
+          UnitUtils.getPreferredUnit(req.user)
+        )
+      });
+    } catch (error) {
+      console.error('Start workout session error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error starting workout session',
+        error: error.message
+      });
+    }
+  }
+
+  // Get all workout sessions of the current user with totals
+  static async getAllSessions(req, res) {
+    try {
+      const { page = 1, limit = 10, status } = req.query;
+      const itemsPerPage = parseInt(limit, 10);
+      const offset = (parseInt(page, 10) - 1) * itemsPerPage;
+
+      let query = supabase
+        .from('workout_sessions')
+        .select(`
+          *,
+          gym_logs(*, gym_log_sets(*))
+        `, { count: 'exact' })
+        .eq('user_id', req.user.id);
+
+      // Filter by session status if provided
+      if (status === 'active') {
+        query = query.is('ended_at', null);
+      } else if (status === 'completed') {
+        query = query.not('ended_at', 'is', null);
+      }
+
+      const { data, error, count } = await query
+        .range(offset, offset + itemsPerPage - 1)
+        .order('started_at', { ascending: false });
+
+      if (error) {
+        throw error;
+      }
+
+      res.status(200).json({
+        success: true,
+        data: data.map(session => UnitUtils.convertSession(
+          SessionUtils.formatSessionResponse(session),
+          UnitUtils.getPreferredUnit(req.user)
+        )),
+        pagination: {
+          total: count,
+          page: parseInt(page, 10),
+          limit: itemsPerPage,
+          totalPages: Math.ceil(count / itemsPerPage)
+        }
+      });
+    } catch (error) {
+      console.error('Get workout sessions error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching workout sessions',
+        error: error.message
+      });
+    }
+  }
+
+  // Get workout session by ID with its ordered gym logs
+  static async getSessionById(req, res) {
+    try {
+      const { id } = req.params;
+      const session = await SessionController.getSessionWithLogs(id);
+
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: 'Workout session not found'
+        });
+      }
+
+      if (session.user_id !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only view your own workout sessions'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: UnitUtils.convertSession(session, UnitUtils.getPreferredUnit(req.user))
+      });
+    } catch (error) {
+      console.error('Get workout session error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching workout session',
+        error: error.message
+      });
+    }
+  }
+
+  // Get the adherence report of a workout session started from a plan: planned against logged
+  static async getSessionAdherence(req, res) {
+    try {
+      const { id } = req.params;
+      const session = await SessionController.getSessionWithLogs(id);
+
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: 'Workout session not found'
+        });
+      }
+
+      if (session.user_id !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only view your own workout sessions'
+        });
+      }
+
+      if (session.planned_exercises.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Workout session was not started from a workout plan'
+        });
+      }
+
+      const unit = UnitUtils.getPreferredUnit(req.user);
+      const report = AdherenceUtils.calculateSessionAdherence(session, session.planned_exercises, session.logs);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          ...UnitUtils.convertAdherence(report, unit),
+          weight_unit: unit
+        }
+      });
+    } catch (error) {
+      console.error('Get workout session adherence error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching workout session adherence',
+        error: error.message
+      });
+    }
+  }
+
+  // Helper method to get a workout session with its gym logs and planned exercises
+  static async getSessionWithLogs(sessionId) {
+    const { data, error } = await supabase
+      .from('workout_sessions')
+      .select(`
+        *,
+        session_planned_exercises(*, exercises(name, exercise_type)),
+        workout_plan_versions(version_number),
+        gym_logs(*, gym_log_sets(*))
+      `)
+      .eq('id', sessionId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null;
+      }
+      throw error;
+    }
+
+    return SessionUtils.formatSessionResponse(data, { includeLogs: true });
+  }
+
+  // Helper method to find the user's session in progress, if any
+  static async findActiveSession(userId) {
+    const { data } = await supabase
+      .from('workout_sessions')
+      .select('id')
+      .eq('user_id', userId)
+      .is('ended_at', null)
+      .limit(1)
+      .maybeSingle();
+
+    return data;
+  }
+
+  // Helper method to find a workout session without its logs
+  static async findSession(sessionId) {
+    const { data, error } = await supabase
+      .from('workout_sessions')
+      .select('id, user_id, started_at, ended_at')
+      .eq('id', sessionId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null;
+      }
+      throw error;
+    }
+
+    return data;
+  }
+
+  // Update workout session details
+  static async updateSession(req, res) {
+    try {
+      const { id } = req.params;
+      const { title, notes, started_at, ended_at } = req.body;
+
+      const existingSession = await SessionController.findSession(id);
+
+      if (!existingSession) {
+        return res.status(404).json({
+          success: false,
+          message: 'Workout session not found'
+        });
+      }
+
+      if (existingSession.user_id !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only update your own workout sessions'
+        });
+      }
+
+      const updateData = {
+        updated_at: new Date().toISOString()
+      };
+
+      if (title !== undefined) updateData.title = title;
+      if (notes !== undefined) updateData.notes = notes;
+      if (started_at) updateData.started_at = new Date(started_at).toISOString();
+      if (ended_at) updateData.ended_at = new Date(ended_at).toISOString();
+
+      // Keep the stored duration in line with the new start/end times
+      const startedAt = updateData.started_at || existingSession.started_at;
+      const endedAt = updateData.ended_at || existingSession.ended_at;
+
+      if (endedAt) {
+        if (new Date(endedAt) < new Date(startedAt)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Session cannot end before it starts'
+          });
+        }
+
+        updateData.duration_seconds = SessionUtils.calculateDuration({
+          started_at: startedAt,
+          ended_at: endedAt
+        });
+      }
+
+      const { error } = await supabase
+        .from('workout_sessions')
+        .update(updateData)
+        .eq('id', id);
+
+      if (error) {
+        throw error;
+      }
+
+      const session = await SessionController.getSessionWithLogs(id);
+      const data = UnitUtils.convertSession(session, UnitUtils.getPreferredUnit(req.user));
+
+      res.status(200).json({
+        success: true,
+        message: 'Workout session updated successfully',
+        data
+      });
+    } catch (error) {
+      console.error('Update workout session error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error updating workout session',
+        error: error.message
+      });
+    }
+  }
+
+  // Finish an active workout session
+  static async finishSession(req, res) {
+    try {
+      const { id } = req.params;
+      const { ended_at, notes } = req.body || {};
+
+      const existingSession = await SessionController.findSession(id);
+
+      if (!existingSession) {
+        return res.status(404).json({
+          success: false,
+          message: 'Workout session not found'
+        });
+      }
+
+      if (existingSession.user_id !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only finish your own workout sessions'
+        });
+      }
+
+      if (existingSession.ended_at) {
+        return res.status(400).json({
+          success: false,
+          message: 'Workout session is already finished'
+        });
+      }
+
+      const endedAt = ended_at ? new Date(ended_at) : new Date();
+
+      if (endedAt < new Date(existingSession.started_at)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Session cannot end before it starts'
+        });
+      }
+
+      const updateData = {
+        ended_at: endedAt.toISOString(),
+        duration_seconds: SessionUtils.calculateDuration({
+          started_at: existingSession.started_at,
+          ended_at: endedAt
+        }),
+        updated_at: new Date().toISOString()
+      };
+
+      if (notes !== undefined) updateData.notes = notes;
+
+      const { error } = await supabase
+        .from('workout_sessions')
+        .update(updateData)
+        .eq('id', id);
+
+      if (error) {
+        throw error;
+      }
+
+      const session = await SessionController.getSessionWithLogs(id);
+      const data = UnitUtils.convertSession(session, UnitUtils.getPreferredUnit(req.user));
+
+      res.status(200).json({
+        success: true,
+        message: 'Workout session finished successfully',
+        data
+      });
+    } catch (error) {
+      console.error('Finish workout session error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error finishing workout session',
+        error: error.message
+      });
+    }
+  }
+
+  // Append a gym log to a workout session
+  static async addLogToSession(req, res) {
+    try {
+      const { id } = req.params;
+
+      const existingSession = await SessionController.findSession(id);
+
+      if (!existingSession) {
+        return res.status(404).json({
+          success: false,
+          message: 'Workout session not found'
+        });
+      }
+
+      if (existingSession.user_id !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only add logs to your own workout sessions'
+        });
+      }
+
+      if (existingSession.ended_at) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot add logs to a finished workout session'
+        });
+      }
+
+      const sessionOrder = await SessionController.getNextSessionOrder(id);
+
+      const unit = req.body.weight_unit || UnitUtils.getPreferredUnit(req.user);
+      const log = await GymLogController.insertGymLog({
+        ...req.body,
+        weight_unit: unit,
+        user_id: existingSession.user_id,
+        session_id: id,
+        session_order: sessionOrder
+      });
+      const data = UnitUtils.convertGymLog(log, unit);
+
+      res.status(201).json({
+        success: true,
+        message: 'Gym log added to workout session successfully',
+        data
+      });
+    } catch (error) {
+      console.error('Add log to workout session error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error adding gym log to workout session',
+        error: error.message
+      });
+    }
+  }
+
+  // Delete workout session (its gym logs are kept and detached)
+  static async deleteSession(req, res) {
+    try {
+      const { id } = req.params;
+
+      const existingSession = await SessionController.findSession(id);
+
+      if (!existingSession) {
+        return res.status(404).json({
+          success: false,
+          message: 'Workout session not found'
+        });
+      }
+
+      if (existingSession.user_id !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only delete your own workout sessions'
+        });
+      }
+
+      const { error } = await supabase
+        .from('workout_sessions')
+        .delete()
+        .eq('id', id);
+
+      if (error) {
+        throw error;
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Workout session deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete workout session error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error deleting workout session',
+        error: error.message
+      });
+    }
+  }
+
+  // Helper method to get next log order within a session
+  static async getNextSessionOrder(sessionId) {
+    try {
+      const { data, error } = await supabase
+        .from('gym_logs')
+        .select('session_order')
+        .eq('session_id', sessionId)
+        .order('session_order', { ascending: false })
+        .limit(1);
+
+      if (error) {
+        throw error;
+      }
+
+      return data.length > 0 && data[0].session_order ? data[0].session_order + 1 : 1;
+    } catch (error) {
+      return 1; // Default to 1 if there's an error
+    }
+  }
+}
+
+module.exports = SessionController;
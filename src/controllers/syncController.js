@@ -0,0 +1,500 @@
+const { supabase } = require('../config/database');
+const GymLogController = require('./gymLogController');
+const WorkoutPlanController = require('./workoutPlanController');
+const ExerciseController = require('./exerciseController');
+const GymLogUtils = require('../utils/gymLogUtils');
+const SessionUtils = require('../utils/sessionUtils');
+const SyncUtils = require('../utils/syncUtils');
+const UnitUtils = require('../utils/unitUtils');
+const ExerciseGroupUtils = require('../utils/exerciseGroupUtils');
+const ExerciseMatcher = require('../utils/exerciseMatcher');
+const { SYNC_ENTITY_TYPES, SYNC_PAGE_SIZE } = require('../constants/sync');
+const { TIMED_LOG_FIELDS, isTimedExerciseType } = require('../constants/gymLog');
+
+// Tombstones are pulled as a stream of their own, next to the synced record types
+const TOMBSTONE_STREAM = 'sync_tombstones';
+
+// Column holding the owner of each stream's records
+const OWNER_COLUMNS = {
+  workout_sessions: 'user_id',
+  gym_logs: 'user_id',
+  workout_plans: 'created_by',
+  sync_tombstones: 'user_id'
+};
+
+// Columns read for each stream, with what is needed to format the records
+const STREAM_SELECTS = {
+  workout_sessions: '*',
+  gym_logs: '*, exercises(name, body_part, exercise_type), gym_log_sets(*)',
+  workout_plans: '*, workout_plan_exercises(*, exercises(*)), workout_plan_exercise_groups(*)',
+  sync_tombstones: 'id, entity_type, entity_id, deleted_at, synced_at'
+};
+
+class SyncController {
+  // Exchange changes with an offline client: apply the pushed changes (last writer wins on updated_at),
+  // then return everything that changed since the client's sync token, including the changes just applied
+  static async sync(req, res) {
+    try {
+      const { changes = {}, sync_token: syncToken, weight_unit: weightUnit } = req.body || {};
+      const positions = syncToken ? SyncUtils.decodeSyncToken(syncToken) : {};
+
+      if (!positions) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid sync token'
+        });
+      }
+
+      const context = {
+        userId: req.user.id, // From auth middleware
+        unit: weightUnit || UnitUtils.getPreferredUnit(req.user),
+        now: new Date(),
+        catalog: null
+      };
+
+      const applied = Object.fromEntries(SYNC_ENTITY_TYPES.map(type => [type, []]));
+      const conflicts = [];
+      const errors = [];
+
+      // Sessions are applied before gym logs, so new logs can reference sessions created offline
+      for (const type of SYNC_ENTITY_TYPES) {
+        for (const change of changes[type] || []) {
+          try {
+            const result = await SyncController.applyChange(type, change, context);
+
+            if (result.conflict) {
+              conflicts.push({ type, id: change.id, reason: result.conflict, server: result.server });
+            } else if (result.error) {
+              errors.push({ type, id: change.id, message: result.error, ...(result.suggestions && { suggestions: result.suggestions }) });
+            } else {
+              applied[type].push(change.id);
+            }
+          } catch (error) {
+            // A failed change must not block the rest of the sync; the client pushes it again
+            console.error('Apply sync change error:', error);
+            errors.push({ type, id: change.id, message: error.message });
+          }
+        }
+      }
+
+      const pulled = await SyncController.pullChanges(context.userId, positions, context.unit);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          sync_token: SyncUtils.encodeSyncToken(pulled.positions),
+          has_more: pulled.has_more,
+          weight_unit: context.unit,
+          applied,
+          conflicts,
+          errors,
+          changes: pulled.changes,
+          deleted: pulled.deleted
+        }
+      });
+    } catch (error) {
+      console.error('Sync error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error syncing changes',
+        error: error.message
+      });
+    }
+  }
+
+  // Helper method to apply one pushed change
+  static async applyChange(type, change, context) {
+    const changeTime = SyncUtils.getChangeTime(change.updated_at, context.now);
+
+    const { data: existing, error } = await supabase
+      .from(type)
+      .select('*')
+      .eq('id', change.id)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (existing && existing[OWNER_COLUMNS[type]] !== context.userId) {
+      return { error: 'Record belongs to another user' };
+    }
+
+    const tombstone = existing ? null : await SyncController.findTombstone(type, change.id, context.userId);
+    const decision = SyncUtils.resolveChange({
+      change: { ...change, updated_at: changeTime },
+      existing,
+      tombstone
+    });
+
+    if (decision.conflict) {
+      return {
+        conflict: decision.conflict,
+        server: existing ? await SyncController.getRecord(type, change.id, context.unit) : null
+      };
+    }
+
+    if (decision.action === 'none') {
+      return {};
+    }
+
+    if (decision.action === 'delete') {
+      const { error: deleteError } = await supabase
+        .from(type)
+        .delete()
+        .eq('id', change.id);
+
+      if (deleteError) {
+        throw deleteError;
+      }
+
+      return {};
+    }
+
+    const writers = {
+      workout_sessions: SyncController.writeSession,
+      gym_logs: SyncController.writeGymLog,
+      workout_plans: SyncController.writeWorkoutPlan
+    };
+
+    try {
+      const result = await writers[type](change, changeTime, existing, context);
+
+      if (!existing && !result.error) {
+        await SyncController.removeTombstone(type, change.id);
+      }
+
+      return result;
+    } catch (error) {
+      // Rolling back a failed create deletes the record again, which leaves a tombstone behind
+      if (!existing && !tombstone) {
+        await SyncController.removeTombstone(type, change.id);
+      }
+      throw error;
+    }
+  }
+
+  // Helper method to create or update a workout session from a pushed change
+  static async writeSession(change, changeTime, existing, { userId }) {
+    const startedAt = new Date(change.started_at).toISOString();
+    const endedAt = change.ended_at ? new Date(change.ended_at).toISOString() : null;
+
+    const sessionData = {
+      title: change.title || null,
+      notes: change.notes || null,
+      started_at: startedAt,
+      ended_at: endedAt,
+      duration_seconds: endedAt
+        ? SessionUtils.calculateDuration({ started_at: startedAt, ended_at: endedAt })
+        : null,
+      updated_at: changeTime
+    };
+
+    const { error } = existing
+      ? await supabase.from('workout_sessions').update(sessionData).eq('id', change.id)
+      : await supabase.from('workout_sessions').insert([{
+        id: change.id,
+        user_id: userId,
+        ...sessionData,
+        created_at: changeTime
+      }]);
+
+    if (error) {
+      throw error;
+    }
+
+    return {};
+  }
+
+  // Helper method to create or update a gym log from a pushed change. Weights are stored in kg.
+  static async writeGymLog(change, changeTime, existing, context) {
+    const { userId } = context;
+    const unit = change.weight_unit || context.unit;
+
+    if (!context.catalog) {
+      context.catalog = await ExerciseController.getExerciseCatalog();
+    }
+
+    const { exercise, suggestions } = change.exercise_id
+      ? { exercise: context.catalog.find(entry => entry.id === change.exercise_id), suggestions: [] }
+      : ExerciseMatcher.match(change.exercise, context.catalog);
+
+    if (!exercise) {
+      return {
+        error: change.exercise_id
+          ? 'Exercise not found'
+          : `Exercise "${change.exercise}" does not match any exercise in the catalog`,
+        suggestions
+      };
+    }
+
+    const shapeError = GymLogUtils.getLogShapeError(change, isTimedExerciseType(exercise.exercise_type));
+
+    if (shapeError) {
+      return { error: shapeError };
+    }
+
+    if (change.session_id) {
+      const { data: session, error } = await supabase
+        .from('workout_sessions')
+        .select('id, user_id')
+        .eq('id', change.session_id)
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+
+      if (!session || session.user_id !== userId) {
+        return { error: 'Workout session not found' };
+      }
+    }
+
+    const sets = UnitUtils.setsToCanonical(change.sets, unit);
+    const weight = UnitUtils.toCanonical(change.weight, unit);
+    const timedFields = Object.fromEntries(TIMED_LOG_FIELDS.map(field => [field, change[field]]));
+
+    if (!existing) {
+      await GymLogController.insertGymLogs([{
+        id: change.id,
+        exercise: exercise.name,
+        exercise_id: exercise.id,
+        sets,
+        reps: change.reps,
+        weight,
+        ...timedFields,
+        notes: change.notes,
+        recorded_unit: unit,
+        user_id: userId,
+        session_id: change.session_id,
+        session_order: change.session_order,
+        created_at: change.created_at ? new Date(change.created_at).toISOString() : changeTime,
+        updated_at: changeTime
+      }]);
+
+      return {};
+    }
+
+    const setRows = GymLogUtils.buildSets({ sets, reps: change.reps, weight });
+
+    // Optional fields missing from the change keep their stored value
+    const { error } = await supabase
+      .from('gym_logs')
+      .update({
+        exercise: exercise.name,
+        exercise_id: exercise.id,
+        ...GymLogUtils.buildLogColumns(setRows, timedFields),
+        notes: change.notes !== undefined ? change.notes : existing.notes,
+        recorded_unit: unit,
+        session_id: change.session_id !== undefined ? change.session_id : existing.session_id,
+        session_order: change.session_order !== undefined ? change.session_order : existing.session_order,
+        created_at: change.created_at ? new Date(change.created_at).toISOString() : existing.created_at,
+        updated_at: changeTime
+      })
+      .eq('id', change.id);
+
+    if (error) {
+      throw error;
+    }
+
+    await GymLogController.replaceGymLogSets(change.id, setRows);
+
+    const log = await GymLogController.getGymLogWithSets(change.id);
+    await GymLogController.detectPersonalRecords(log);
+
+    return {};
+  }
+
+  // Helper method to create or update a workout plan with its exercises, or exercise groups, from a pushed change
+  static async writeWorkoutPlan(change, changeTime, existing, context) {
+    const unit = change.weight_unit || context.unit;
+
+    const planData = {
+      name: change.name,
+      description: change.description,
+      muscle_types: change.muscle_types,
+      difficulty_level: change.difficulty_level,
+      estimated_duration: change.estimated_duration,
+      is_public: change.is_public || false,
+      ...(change.progression_rule && { progression_rule: change.progression_rule }),
+      ...(change.weight_increment && { weight_increment: UnitUtils.toCanonical(change.weight_increment, unit) }),
+      updated_at: changeTime
+    };
+
+    if (existing) {
+      const { error } = await supabase
+        .from('workout_plans')
+        .update(planData)
+        .eq('id', change.id);
+
+      if (error) {
+        throw error;
+      }
+    } else {
+      const { error } = await supabase
+        .from('workout_plans')
+        .insert([{
+          id: change.id,
+          ...planData,
+          created_by: context.userId,
+          created_at: changeTime
+        }]);
+
+      if (error) {
+        throw error;
+      }
+    }
+
+    const content = WorkoutPlanController.buildPlanExercises(change, unit);
+
+    try {
+      if (existing) {
+        await WorkoutPlanController.replacePlanExercises(change.id, content);
+      } else {
+        await WorkoutPlanController.insertPlanExercises(change.id, content);
+      }
+    } catch (exercisesError) {
+      if (!existing) {
+        // Rollback by deleting the created workout plan
+        await supabase.from('workout_plans').delete().eq('id', change.id);
+      }
+      throw exercisesError;
+    }
+
+    await WorkoutPlanController.recordVersion(change.id, context.userId);
+
+    return {};
+  }
+
+  // Helper method to get the current user's tombstone of a record
+  static async findTombstone(type, id, userId) {
+    const { data, error } = await supabase
+      .from('sync_tombstones')
+      .select('deleted_at')
+      .eq('entity_type', type)
+      .eq('entity_id', id)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  // Helper method to remove the tombstone of a record created again
+  static async removeTombstone(type, id) {
+    const { error } = await supabase
+      .from('sync_tombstones')
+      .delete()
+      .eq('entity_type', type)
+      .eq('entity_id', id);
+
+    if (error) {
+      throw error;
+    }
+  }
+
+  // Helper method to get a record as returned by a sync, null when it doesn't exist
+  static async getRecord(type, id, unit) {
+    const { data, error } = await supabase
+      .from(type)
+      .select(STREAM_SELECTS[type])
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    return data ? SyncController.formatRecord(type, data, unit) : null;
+  }
+
+  // Helper method to read the records and tombstones changed after the token's positions,
+  // at most SYNC_PAGE_SIZE of each stream. A stream that was caught up is read again from the safety window
+  // before its position, so writes that committed late are not skipped; clients get those records again.
+  static async pullChanges(userId, positions, unit) {
+    const nextPositions = { ...positions };
+    const changes = {};
+    const deleted = Object.fromEntries(SYNC_ENTITY_TYPES.map(type => [type, []]));
+    let hasMore = false;
+
+    for (const stream of [...SYNC_ENTITY_TYPES, TOMBSTONE_STREAM]) {
+      let query = supabase
+        .from(stream)
+        .select(STREAM_SELECTS[stream])
+        .eq(OWNER_COLUMNS[stream], userId);
+
+      if (positions[stream] && positions[stream].caught_up) {
+        query = query.gte('synced_at', SyncUtils.getSafetyWindowStart(positions[stream].synced_at));
+      } else if (positions[stream]) {
+        query = query.or(GymLogController.buildCursorFilter({
+          sort_by: 'synced_at',
+          value: positions[stream].synced_at,
+          id: positions[stream].id
+        }, true));
+      }
+
+      // One extra row tells whether the stream has more changes
+      const { data, error } = await query
+        .order('synced_at', { ascending: true })
+        .order('id', { ascending: true })
+        .limit(SYNC_PAGE_SIZE + 1);
+
+      if (error) {
+        throw error;
+      }
+
+      const rows = data.slice(0, SYNC_PAGE_SIZE);
+      const caughtUp = data.length <= SYNC_PAGE_SIZE;
+      hasMore = hasMore || !caughtUp;
+
+      if (rows.length > 0) {
+        const last = rows[rows.length - 1];
+        nextPositions[stream] = { synced_at: last.synced_at, id: last.id, caught_up: caughtUp };
+      } else if (positions[stream]) {
+        nextPositions[stream] = { ...positions[stream], caught_up: true };
+      }
+
+      if (stream === TOMBSTONE_STREAM) {
+        rows.forEach(row => {
+          deleted[row.entity_type].push({ id: row.entity_id, deleted_at: row.deleted_at });
+        });
+      } else {
+        changes[stream] = rows.map(row => SyncController.formatRecord(stream, row, unit));
+      }
+    }
+
+    return {
+      positions: nextPositions,
+      has_more: hasMore,
+      changes,
+      deleted
+    };
+  }
+
+  // Helper method to format a synced record for the response, weights in the given unit
+  static formatRecord(type, row, unit) {
+    if (type === 'gym_logs') {
+      return UnitUtils.convertGymLog(GymLogUtils.formatGymLogResponse(row), unit);
+    }
+
+    if (type === 'workout_plans') {
+      const { workout_plan_exercises: exercises = [], workout_plan_exercise_groups: groups = [], ...plan } = row;
+      const formattedExercises = (exercises || [])
+        .map(wpe => WorkoutPlanController.formatPlanExercise(wpe, unit))
+        .sort((a, b) => a.order_index - b.order_index);
+
+      return {
+        ...WorkoutPlanController.formatPlan(plan, unit),
+        exercises: formattedExercises,
+        groups: ExerciseGroupUtils.nestExercises(formattedExercises, groups || [])
+      };
+    }
+
+    return row;
+  }
+}
+
+module.exports = SyncController;
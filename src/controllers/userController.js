@@ -6,7 +6,7 @@ class UserController {
   // Create a new user (Register)
   static async createUser(req, res) {
     try {
-      const { email, password, name } = req.body;
+      const { email, password, name, weight_unit, weekly_training_goal } = req.body;
 
       // Check if user already exists
       const { data: existingUser } = await supabase
@@ -34,6 +34,8 @@ class UserController {
             email,
             password: hashedPassword,
             name,
+            ...(weight_unit && { weight_unit }),
+            ...(weekly_training_goal && { weekly_training_goal }),
             created_at: new Date().toISOString()
           }
         ])
@@ -44,8 +46,8 @@ class UserController {
         throw error;
       }
 
-      // Remove password from response
-      const { password: _, ...userWithoutPassword } = data;
+      // Remove password and calendar feed token hash from response
+      const { password: _, calendar_token_hash: __, ...userWithoutPassword } = data;
 
       // Generate JWT token
       const token = jwt.sign(
@@ -78,7 +80,7 @@ class UserController {
 
       let query = supabase
         .from('users')
-        .select('id, email, name, created_at, updated_at', { count: 'exact' });
+        .select('id, email, name, weight_unit, weekly_training_goal, created_at, updated_at', { count: 'exact' });
 
       // Add search functionality
       if (search) {
@@ -120,7 +122,7 @@ class UserController {
 
       const { data, error } = await supabase
         .from('users')
-        .select('id, email, name, created_at, updated_at')
+        .select('id, email, name, weight_unit, weekly_training_goal, created_at, updated_at')
         .eq('id', id)
         .single();
 
@@ -152,7 +154,7 @@ class UserController {
   static async updateUser(req, res) {
     try {
       const { id } = req.params;
-      const { name, email } = req.body;
+      const { name, email, weight_unit, weekly_training_goal } = req.body;
 
       const updateData = {
         updated_at: new Date().toISOString()
@@ -160,12 +162,14 @@ class UserController {
 
       if (name) updateData.name = name;
       if (email) updateData.email = email;
+      if (weight_unit) updateData.weight_unit = weight_unit;
+      if (weekly_training_goal) updateData.weekly_training_goal = weekly_training_goal;
 
       const { data, error } = await supabase
         .from('users')
         .update(updateData)
         .eq('id', id)
-        .select('id, email, name, created_at, updated_at')
+        .select('id, email, name, weight_unit, weekly_training_goal, created_at, updated_at')
         .single();
 
       if (error) {
@@ -257,8 +261,8 @@ class UserController {
         { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
       );
 
-      // Remove password from response
-      const { password: _, ...userWithoutPassword } = user;
+      // Remove password and calendar feed token hash from response
+      const { password: _, calendar_token_hash: __, ...userWithoutPassword } = user;
 
       res.status(200).json({
         success: true,
@@ -1,5 +1,29 @@
+const crypto = require('crypto');
 const { supabase } = require('../config/database');
 const { BODY_PARTS, DIFFICULTY_LEVELS } = require('../constants/exercise');
+const { CANONICAL_WEIGHT_UNIT } = require('../constants/units');
+const { PROGRESSION_LOOKBACK_DAYS } = require('../constants/progression');
+const { WORKOUT_PLAN_SORT_COLUMNS } = require('../constants/planRating');
+const {
+  DEFAULT_EXERCISE_GROUP_TYPE,
+  EXERCISE_GROUP_SIZES,
+  isValidExerciseGroupSize
+} = require('../constants/exerciseGroup');
+const { isTimedExerciseType } = require('../constants/gymLog');
+const UnitUtils = require('../utils/unitUtils');
+const GymLogUtils = require('../utils/gymLogUtils');
+const ProgressionUtils = require('../utils/progressionUtils');
+const SessionUtils = require('../utils/sessionUtils');
+const AdherenceUtils = require('../utils/adherenceUtils');
+const PlanVersionUtils = require('../utils/planVersionUtils');
+const ExerciseGroupUtils = require('../utils/exerciseGroupUtils');
+const PrescriptionUtils = require('../utils/prescriptionUtils');
+const SessionController = require('./sessionController');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Decimal columns arrive as strings
+const toNumber = (value) => (value !== null && value !== undefined ? Number(value) : null);
 
 class WorkoutPlanController {
   // Create a new workout plan with exercises
@@ -12,10 +36,12 @@ class WorkoutPlanController {
         difficulty_level, 
         estimated_duration, 
         is_public = false,
-        exercises 
+        progression_rule,
+        weight_increment
       } = req.body;
 
       const created_by = req.user.id; // From auth middleware
+      const unit = req.body.weight_unit || UnitUtils.getPreferredUnit(req.user);
 
       // Start a transaction-like approach using multiple queries
       // Create the workout plan first
@@ -30,6 +56,8 @@ class WorkoutPlanController {
             estimated_duration,
             created_by,
             is_public,
+            ...(progression_rule && { progression_rule }),
+            ...(weight_increment && { weight_increment: UnitUtils.toCanonical(weight_increment, unit) }),
             created_at: new Date().toISOString(),
             updated_at: new Date().toISOString()
           }
@@ -41,39 +69,22 @@ class WorkoutPlanController {
         throw planError;
       }
 
-      // Add exercises to the workout plan
-      const exercisePromises = exercises.map((exercise, index) => {
-        return supabase
-          .from('workout_plan_exercises')
-          .insert([
-            {
-              workout_plan_id: workoutPlan.id,
-              exercise_id: exercise.exercise_id,
-              sets: exercise.sets,
-              reps: exercise.reps,
-              weight: exercise.weight || null,
-              rest_time: exercise.rest_time || null,
-              notes: exercise.notes || null,
-              order_index: exercise.order_index || (index + 1),
-              created_at: new Date().toISOString(),
-              updated_at: new Date().toISOString()
-            }
-          ])
-          .select();
-      });
-
-      const exerciseResults = await Promise.all(exercisePromises);
-      
-      // Check for errors in exercise insertions
-      const exerciseErrors = exerciseResults.filter(result => result.error);
-      if (exerciseErrors.length > 0) {
+      // Add exercises, and their groups, to the workout plan
+      try {
+        await WorkoutPlanController.insertPlanExercises(
+          workoutPlan.id,
+          WorkoutPlanController.buildPlanExercises(req.body, unit)
+        );
+      } catch (exercisesError) {
         // Rollback by deleting the created workout plan
         await supabase.from('workout_plans').delete().eq('id', workoutPlan.id);
         throw new Error('Failed to add exercises to workout plan');
       }
 
+      await WorkoutPlanController.recordVersion(workoutPlan.id, created_by);
+
       // Fetch the complete workout plan with exercises
-      const completeWorkoutPlan = await WorkoutPlanController.getWorkoutPlanWithExercises(workoutPlan.id);
+      const completeWorkoutPlan = await WorkoutPlanController.getWorkoutPlanWithExercises(workoutPlan.id, unit);
 
       res.status(201).json({
         success: true,
@@ -100,11 +111,18 @@ class WorkoutPlanController {
         difficulty_level,
         created_by,
         is_public,
-        search 
+        favorited,
+        search,
+        sort_by = 'created_at',
+        order = 'desc'
       } = req.query;
       
-      const offset = (page - 1) * limit;
+      const itemsPerPage = parseInt(limit, 10);
+      const offset = (parseInt(page, 10) - 1) * itemsPerPage;
       const currentUserId = req.user.id;
+      const unit = UnitUtils.getPreferredUnit(req.user);
+      const ascending = order === 'asc';
+      const favoritePlanIds = await WorkoutPlanController.getFavoritePlanIds(currentUserId);
 
       let query = supabase
         .from('workout_plans')
@@ -133,14 +151,391 @@ class WorkoutPlanController {
         query = query.eq('is_public', is_public === 'true');
       }
 
+      // The user's library of favorite plans
+      if (favorited === 'true') {
+        query = query.in('id', favoritePlanIds);
+      } else if (favorited === 'false' && favoritePlanIds.length > 0) {
+        query = query.not('id', 'in', `(${favoritePlanIds.join(',')})`);
+      }
+
       // Add search functionality
       if (search) {
         query = query.or(`name.ilike.%${search}%,description.ilike.%${search}%`);
       }
 
+      // Unrated plans come last; ties keep the newest plans first
+      query = query.order(WORKOUT_PLAN_SORT_COLUMNS[sort_by], { ascending, nullsFirst: false });
+
+      if (sort_by === 'rating') {
+        query = query.order('rating_count', { ascending });
+      }
+
+      if (sort_by !== 'created_at') {
+        query = query.order('created_at', { ascending: false });
+      }
+
       const { data, error, count } = await query
-        .range(offset, offset + limit - 1)
-        .order('created_at', { ascending: false });
+        .range(offset, offset + itemsPerPage - 1);
+
+      if (error) {
+        throw error;
+      }
+
+      res.status(200).json({
+        success: true,
+        data: data.map(plan => ({
+          ...WorkoutPlanController.formatPlan(plan, unit),
+          is_favorite: favoritePlanIds.includes(plan.id)
+        })),
+        pagination: {
+          total: count,
+          page: parseInt(page, 10),
+          limit: itemsPerPage,
+          totalPages: Math.ceil(count / itemsPerPage)
+        }
+      });
+    } catch (error) {
+      console.error('Get workout plans error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching workout plans',
+        error: error.message
+      });
+    }
+  }
+
+  // Get workout plan by ID with exercises
+  static async getWorkoutPlanById(req, res) {
+    try {
+      const { id } = req.params;
+      const unit = UnitUtils.getPreferredUnit(req.user);
+      const workoutPlan = await WorkoutPlanController.getWorkoutPlanWithExercises(id, unit);
+
+      if (!workoutPlan) {
+        return res.status(404).json({
+          success: false,
+          message: 'Workout plan not found'
+        });
+      }
+
+      const suggestions = await WorkoutPlanController.getProgressionSuggestions(req.user.id, id, unit);
+      const resolvedPlan = await WorkoutPlanController.resolvePlanLoads(req.user.id, workoutPlan, unit);
+      const favoritePlanIds = await WorkoutPlanController.getFavoritePlanIds(req.user.id);
+      const rating = await WorkoutPlanController.findRating(id, req.user.id);
+
+      const withSuggestion = exercise => ({
+        ...exercise,
+        suggestion: suggestions[exercise.id] || null
+      });
+
+      res.status(200).json({
+        success: true,
+        data: {
+          ...resolvedPlan,
+          is_favorite: favoritePlanIds.includes(id),
+          my_rating: rating ? { rating: rating.rating, review: rating.review } : null,
+          exercises: resolvedPlan.exercises.map(withSuggestion),
+          groups: resolvedPlan.groups.map(group => ({
+            ...group,
+            exercises: group.exercises.map(withSuggestion)
+          }))
+        }
+      });
+    } catch (error) {
+      console.error('Get workout plan error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching workout plan',
+        error: error.message
+      });
+    }
+  }
+
+  // Fork a plan: deep-copy it and its exercises into the current user's account as a private plan
+  static async forkWorkoutPlan(req, res) {
+    try {
+      const { id } = req.params;
+      const { name } = req.body || {};
+      const userId = req.user.id;
+      const unit = UnitUtils.getPreferredUnit(req.user);
+
+      const { data: original, error: originalError } = await supabase
+        .from('workout_plans')
+        .select('*, workout_plan_exercises(*), workout_plan_exercise_groups(*)')
+        .eq('id', id)
+        .single();
+
+      if (originalError && originalError.code === 'PGRST116') {
+        return res.status(404).json({
+          success: false,
+          message: 'Workout plan not found'
+        });
+      }
+
+      if (originalError) {
+        throw originalError;
+      }
+
+      if (original.created_by !== userId && !original.is_public) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only fork your own or public workout plans'
+        });
+      }
+
+      // Weights and increments are copied as stored, in kg
+      const { data: fork, error: forkError } = await supabase
+        .from('workout_plans')
+        .insert([
+          {
+            name: name || original.name,
+            description: original.description,
+            muscle_types: original.muscle_types,
+            difficulty_level: original.difficulty_level,
+            estimated_duration: original.estimated_duration,
+            created_by: userId,
+            is_public: false,
+            progression_rule: original.progression_rule,
+            weight_increment: original.weight_increment,
+            forked_from: original.id,
+            created_at: new Date().toISOString(),
+            updated_at: new Date().toISOString()
+          }
+        ])
+        .select()
+        .single();
+
+      if (forkError) {
+        throw forkError;
+      }
+
+      // The snapshot of the original holds its exercises and groups
+      try {
+        await WorkoutPlanController.insertPlanExercises(fork.id, PlanVersionUtils.buildSnapshot(original));
+      } catch (exercisesError) {
+        // Rollback by deleting the created fork
+        await supabase.from('workout_plans').delete().eq('id', fork.id);
+        throw exercisesError;
+      }
+
+      await WorkoutPlanController.recordVersion(fork.id, userId);
+
+      res.status(201).json({
+        success: true,
+        message: 'Workout plan forked successfully',
+        data: await WorkoutPlanController.getWorkoutPlanWithExercises(fork.id, unit)
+      });
+    } catch (error) {
+      console.error('Fork workout plan error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error forking workout plan',
+        error: error.message
+      });
+    }
+  }
+
+  // Start a workout session from a plan, with the plan's exercises and targets as the session's planned exercises
+  static async startWorkoutPlan(req, res) {
+    try {
+      const { id } = req.params;
+      const { title, notes, started_at } = req.body || {};
+      const userId = req.user.id;
+
+      const plan = await WorkoutPlanController.getWorkoutPlanWithExercises(id);
+
+      if (!plan) {
+        return res.status(404).json({
+          success: false,
+          message: 'Workout plan not found'
+        });
+      }
+
+      if (plan.created_by !== userId && !plan.is_public) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only start your own or public workout plans'
+        });
+      }
+
+      // Only one session can be in progress at a time
+      const activeSession = await SessionController.findActiveSession(userId);
+
+      if (activeSession) {
+        return res.status(400).json({
+          success: false,
+          message: 'You already have an active workout session',
+          data: { id: activeSession.id }
+        });
+      }
+
+      const unit = UnitUtils.getPreferredUnit(req.user);
+      const oneRepMaxes = await WorkoutPlanController.getEstimatedOneRepMaxes(userId, plan.exercises);
+
+      // The session points to the version of the plan it was started from
+      const version = await WorkoutPlanController.getLatestVersion(plan.id);
+
+      const { data: session, error } = await supabase
+        .from('workout_sessions')
+        .insert([
+          {
+            user_id: userId,
+            workout_plan_id: plan.id,
+            workout_plan_version_id: version ? version.id : null,
+            title: title || plan.name,
+            notes: notes || null,
+            started_at: started_at ? new Date(started_at).toISOString() : new Date().toISOString(),
+            created_at: new Date().toISOString(),
+            updated_at: new Date().toISOString()
+          }
+        ])
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      // Copy the plan's targets, so later changes to the plan leave the session as it was planned.
+      // The exercises of a group are planned for all its rounds, and percentage loads at the weight
+      // they resolve to today, rounded in the user's unit.
+      const plannedExercises = plan.groups.flatMap(group => group.exercises.map(exercise => {
+        const { resolved_weight: resolvedWeight } = PrescriptionUtils.resolveExercise(
+          UnitUtils.convertFields(exercise, ['weight'], unit),
+          UnitUtils.fromCanonical(oneRepMaxes[exercise.exercise_id], unit),
+          unit
+        );
+
+        return {
+          ...exercise,
+          sets: ExerciseGroupUtils.getTotalSets(exercise, group),
+          weight: UnitUtils.toCanonical(resolvedWeight, unit)
+        };
+      }));
+
+      const { error: plannedError } = await supabase
+        .from('session_planned_exercises')
+        .insert(plannedExercises.map(exercise => ({
+          session_id: session.id,
+          workout_plan_exercise_id: exercise.id,
+          exercise_id: exercise.exercise_id,
+          sets: exercise.sets,
+          reps: exercise.reps,
+          weight: exercise.weight,
+          rest_time: exercise.rest_time,
+          notes: exercise.notes,
+          order_index: exercise.order_index,
+          created_at: new Date().toISOString()
+        })));
+
+      if (plannedError) {
+        // Rollback by deleting the created session
+        await supabase.from('workout_sessions').delete().eq('id', session.id);
+        throw plannedError;
+      }
+
+      const startedSession = await SessionController.getSessionWithLogs(session.id);
+
+      res.status(201).json({
+        success: true,
+        message: 'Workout started from plan successfully',
+        data: UnitUtils.convertSession(startedSession, unit)
+      });
+    } catch (error) {
+      console.error('Start workout plan error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error starting workout plan',
+        error: error.message
+      });
+    }
+  }
+
+  // Get how closely the current user followed a plan over the sessions started from it
+  static async getWorkoutPlanAdherence(req, res) {
+    try {
+      const { id } = req.params;
+      const unit = UnitUtils.getPreferredUnit(req.user);
+
+      const { data: plan, error: planError } = await supabase
+        .from('workout_plans')
+        .select('id, name, created_by, is_public')
+        .eq('id', id)
+        .single();
+
+      if (planError) {
+        if (planError.code === 'PGRST116') {
+          return res.status(404).json({
+            success: false,
+            message: 'Workout plan not found'
+          });
+        }
+        throw planError;
+      }
+
+      if (plan.created_by !== req.user.id && !plan.is_public) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only view your own or public workout plans'
+        });
+      }
+
+      const reports = await WorkoutPlanController.getAdherenceReports(req.user.id, id);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          workout_plan_id: plan.id,
+          name: plan.name,
+          ...AdherenceUtils.summarizeAdherence(reports),
+          recent_sessions: reports.map(report => {
+            const { exercises, workout_plan_name, ...session } = UnitUtils.convertAdherence(report, unit);
+            return session;
+          }),
+          weight_unit: unit
+        }
+      });
+    } catch (error) {
+      console.error('Get workout plan adherence error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching workout plan adherence',
+        error: error.message
+      });
+    }
+  }
+
+  // Get the saved versions of a plan, newest first
+  static async getWorkoutPlanVersions(req, res) {
+    try {
+      const { id } = req.params;
+      const { page = 1, limit = 10 } = req.query;
+      const itemsPerPage = parseInt(limit);
+      const offset = (parseInt(page) - 1) * itemsPerPage;
+      const unit = UnitUtils.getPreferredUnit(req.user);
+
+      const plan = await WorkoutPlanController.findWorkoutPlan(id);
+
+      if (!plan) {
+        return res.status(404).json({
+          success: false,
+          message: 'Workout plan not found'
+        });
+      }
+
+      if (plan.created_by !== req.user.id && !plan.is_public) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only view your own or public workout plans'
+        });
+      }
+
+      const { data, error, count } = await supabase
+        .from('workout_plan_versions')
+        .select('*', { count: 'exact' })
+        .eq('workout_plan_id', id)
+        .range(offset, offset + itemsPerPage - 1)
+        .order('version_number', { ascending: false });
 
       if (error) {
         throw error;
@@ -148,53 +543,378 @@ class WorkoutPlanController {
 
       res.status(200).json({
         success: true,
-        data,
-        pagination: {
-          total: count,
-          page: parseInt(page),
-          limit: parseInt(limit),
-          totalPages: Math.ceil(count / limit)
-        }
+        data: data.map(version => PlanVersionUtils.formatVersion(version, unit)),
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(count / limit)
+        }
+      });
+    } catch (error) {
+      console.error('Get workout plan versions error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching workout plan versions',
+        error: error.message
+      });
+    }
+  }
+
+  // Get a version of a plan with its snapshot
+  static async getWorkoutPlanVersion(req, res) {
+    try {
+      const { id, version } = req.params;
+      const unit = UnitUtils.getPreferredUnit(req.user);
+
+      const plan = await WorkoutPlanController.findWorkoutPlan(id);
+
+      if (!plan) {
+        return res.status(404).json({
+          success: false,
+          message: 'Workout plan not found'
+        });
+      }
+
+      if (plan.created_by !== req.user.id && !plan.is_public) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only view your own or public workout plans'
+        });
+      }
+
+      const planVersion = await WorkoutPlanController.findVersion(id, version);
+
+      if (!planVersion) {
+        return res.status(404).json({
+          success: false,
+          message: 'Workout plan version not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: PlanVersionUtils.formatVersion(planVersion, unit, { includeSnapshot: true })
+      });
+    } catch (error) {
+      console.error('Get workout plan version error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching workout plan version',
+        error: error.message
+      });
+    }
+  }
+
+  // Compare two versions of a plan. The newer version defaults to the latest, the older one to the version before it.
+  static async diffWorkoutPlanVersions(req, res) {
+    try {
+      const { id } = req.params;
+      const unit = UnitUtils.getPreferredUnit(req.user);
+
+      const plan = await WorkoutPlanController.findWorkoutPlan(id);
+
+      if (!plan) {
+        return res.status(404).json({
+          success: false,
+          message: 'Workout plan not found'
+        });
+      }
+
+      if (plan.created_by !== req.user.id && !plan.is_public) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only view your own or public workout plans'
+        });
+      }
+
+      const toVersion = req.query.to
+        ? await WorkoutPlanController.findVersion(id, req.query.to)
+        : await WorkoutPlanController.getLatestVersion(id);
+      const fromVersion = toVersion && await WorkoutPlanController.findVersion(
+        id,
+        req.query.from || toVersion.version_number - 1
+      );
+
+      if (!toVersion || !fromVersion) {
+        return res.status(404).json({
+          success: false,
+          message: 'Workout plan version not found'
+        });
+      }
+
+      const exerciseIds = [...new Set([...fromVersion.snapshot.exercises, ...toVersion.snapshot.exercises]
+        .map(exercise => exercise.exercise_id))];
+
+      const { data: exercises, error } = await supabase
+        .from('exercises')
+        .select('id, name')
+        .in('id', exerciseIds);
+
+      if (error) {
+        throw error;
+      }
+
+      res.status(200).json({
+        success: true,
+        data: {
+          workout_plan_id: id,
+          from_version: fromVersion.version_number,
+          to_version: toVersion.version_number,
+          ...PlanVersionUtils.diffSnapshots(
+            PlanVersionUtils.convertSnapshot(fromVersion.snapshot, unit),
+            PlanVersionUtils.convertSnapshot(toVersion.snapshot, unit),
+            Object.fromEntries(exercises.map(exercise => [exercise.id, exercise.name]))
+          ),
+          weight_unit: unit
+        }
+      });
+    } catch (error) {
+      console.error('Diff workout plan versions error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error comparing workout plan versions',
+        error: error.message
+      });
+    }
+  }
+
+  // Restore a plan to an earlier version. The restore is saved as a new version, so it can be undone.
+  static async restoreWorkoutPlanVersion(req, res) {
+    try {
+      const { id, version } = req.params;
+      const unit = UnitUtils.getPreferredUnit(req.user);
+
+      const plan = await WorkoutPlanController.findWorkoutPlan(id);
+
+      if (!plan) {
+        return res.status(404).json({
+          success: false,
+          message: 'Workout plan not found'
+        });
+      }
+
+      if (plan.created_by !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only restore your own workout plans'
+        });
+      }
+
+      const planVersion = await WorkoutPlanController.findVersion(id, version);
+
+      if (!planVersion) {
+        return res.status(404).json({
+          success: false,
+          message: 'Workout plan version not found'
+        });
+      }
+
+      const {
+        groups,
+        exercises,
+        progression_rule,
+        weight_increment,
+        ...planFields
+      } = PlanVersionUtils.buildSnapshot(planVersion.snapshot);
+
+      const { error: updateError } = await supabase
+        .from('workout_plans')
+        .update({
+          ...planFields,
+          ...(progression_rule && { progression_rule }),
+          ...(weight_increment && { weight_increment }),
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', id);
+
+      if (updateError) {
+        throw updateError;
+      }
+
+      await WorkoutPlanController.replacePlanExercises(id, { groups, exercises });
+
+      await WorkoutPlanController.recordVersion(id, req.user.id, { restoredFrom: planVersion.version_number });
+
+      res.status(200).json({
+        success: true,
+        message: `Workout plan restored to version ${planVersion.version_number} successfully`,
+        data: await WorkoutPlanController.getWorkoutPlanWithExercises(id, unit)
       });
     } catch (error) {
-      console.error('Get workout plans error:', error);
+      console.error('Restore workout plan version error:', error);
       res.status(500).json({
         success: false,
-        message: 'Error fetching workout plans',
+        message: 'Error restoring workout plan version',
         error: error.message
       });
     }
   }
 
-  // Get workout plan by ID with exercises
-  static async getWorkoutPlanById(req, res) {
-    try {
-      const { id } = req.params;
-      const workoutPlan = await WorkoutPlanController.getWorkoutPlanWithExercises(id);
+  // Helper method to save the current state of a plan as a new version, unless it matches the latest version.
+  // Returns the saved or latest version.
+  static async recordVersion(planId, userId, { restoredFrom = null } = {}) {
+    const { data: plan, error: planError } = await supabase
+      .from('workout_plans')
+      .select('*, workout_plan_exercises(*), workout_plan_exercise_groups(*)')
+      .eq('id', planId)
+      .single();
+
+    if (planError) {
+      throw planError;
+    }
 
-      if (!workoutPlan) {
-        return res.status(404).json({
-          success: false,
-          message: 'Workout plan not found'
-        });
+    const snapshot = PlanVersionUtils.buildSnapshot(plan);
+    const latest = await WorkoutPlanController.getLatestVersion(planId);
+
+    if (latest && PlanVersionUtils.isSameSnapshot(latest.snapshot, snapshot)) {
+      return latest;
+    }
+
+    const { data, error } = await supabase
+      .from('workout_plan_versions')
+      .insert([
+        {
+          workout_plan_id: planId,
+          version_number: latest ? latest.version_number + 1 : 1,
+          snapshot,
+          created_by: userId,
+          restored_from_version: restoredFrom,
+          created_at: new Date().toISOString()
+        }
+      ])
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  // Helper method to get the latest version of a plan, if any
+  static async getLatestVersion(planId) {
+    const { data, error } = await supabase
+      .from('workout_plan_versions')
+      .select('*')
+      .eq('workout_plan_id', planId)
+      .order('version_number', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  // Helper method to find a version of a plan by its number
+  static async findVersion(planId, versionNumber) {
+    const number = parseInt(versionNumber);
+
+    if (!Number.isInteger(number) || number < 1) {
+      return null;
+    }
+
+    const { data, error } = await supabase
+      .from('workout_plan_versions')
+      .select('*')
+      .eq('workout_plan_id', planId)
+      .eq('version_number', number)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  // Helper method to get the IDs of a user's favorite plans
+  static async getFavoritePlanIds(userId) {
+    const { data, error } = await supabase
+      .from('workout_plan_favorites')
+      .select('workout_plan_id')
+      .eq('user_id', userId);
+
+    if (error) {
+      throw error;
+    }
+
+    return data.map(favorite => favorite.workout_plan_id);
+  }
+
+  // Helper method to find a user's rating of a plan, if any
+  static async findRating(planId, userId) {
+    const { data, error } = await supabase
+      .from('workout_plan_ratings')
+      .select('*')
+      .eq('workout_plan_id', planId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  // Helper method to find a plan without its exercises
+  static async findWorkoutPlan(planId) {
+    const { data, error } = await supabase
+      .from('workout_plans')
+      .select('id, name, created_by, is_public')
+      .eq('id', planId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null;
       }
+      throw error;
+    }
 
-      res.status(200).json({
-        success: true,
-        data: workoutPlan
-      });
-    } catch (error) {
-      console.error('Get workout plan error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Error fetching workout plan',
-        error: error.message
-      });
+    return data;
+  }
+
+  // Helper method to build the adherence reports of a user's finished sessions started from a plan, newest first.
+  // Without a plan ID every plan-based session counts.
+  static async getAdherenceReports(userId, planId) {
+    let query = supabase
+      .from('workout_sessions')
+      .select(`
+        *,
+        workout_plans(name),
+        session_planned_exercises(*, exercises(name, exercise_type)),
+        gym_logs(*, gym_log_sets(*))
+      `)
+      .eq('user_id', userId)
+      .not('ended_at', 'is', null);
+
+    query = planId
+      ? query.eq('workout_plan_id', planId)
+      : query.not('workout_plan_id', 'is', null);
+
+    const { data, error } = await query.order('started_at', { ascending: false });
+
+    if (error) {
+      throw error;
     }
+
+    return data
+      .map(row => SessionUtils.formatSessionResponse(row, { includeLogs: true }))
+      .filter(session => session.planned_exercises.length > 0)
+      .map(session => ({
+        ...AdherenceUtils.calculateSessionAdherence(session, session.planned_exercises, session.logs),
+        workout_plan_name: session.workout_plans ? session.workout_plans.name : null
+      }));
   }
 
-  // Helper method to get workout plan with exercises
-  static async getWorkoutPlanWithExercises(planId) {
+  // Helper method to get workout plan with exercises, weights in the given unit
+  static async getWorkoutPlanWithExercises(planId, unit = CANONICAL_WEIGHT_UNIT) {
     try {
       // Get workout plan details
       const { data: plan, error: planError } = await supabase
@@ -227,33 +947,397 @@ class WorkoutPlanController {
         throw exercisesError;
       }
 
+      const { data: groups, error: groupsError } = await supabase
+        .from('workout_plan_exercise_groups')
+        .select('*')
+        .eq('workout_plan_id', planId);
+
+      if (groupsError) {
+        throw groupsError;
+      }
+
       // Format exercises data
-      const formattedExercises = exercises.map(wpe => ({
-        id: wpe.id,
-        exercise_id: wpe.exercise_id,
-        exercise_name: wpe.exercises.name,
-        exercise_description: wpe.exercises.description,
-        body_part: wpe.exercises.body_part,
-        exercise_type: wpe.exercises.exercise_type,
-        difficulty: wpe.exercises.difficulty,
-        equipment: wpe.exercises.equipment ? JSON.parse(wpe.exercises.equipment) : null,
-        sets: wpe.sets,
-        reps: wpe.reps,
-        weight: wpe.weight,
-        rest_time: wpe.rest_time,
-        notes: wpe.notes,
-        order_index: wpe.order_index
-      }));
+      const formattedExercises = exercises.map(wpe => WorkoutPlanController.formatPlanExercise(wpe, unit));
 
       return {
-        ...plan,
-        exercises: formattedExercises
+        ...WorkoutPlanController.formatPlan(plan, unit),
+        exercises: formattedExercises,
+        groups: ExerciseGroupUtils.nestExercises(formattedExercises, groups)
       };
     } catch (error) {
       throw error;
     }
   }
 
+  // Helper method to format a workout plan exercise joined with its catalog exercise
+  static formatPlanExercise(wpe, unit = CANONICAL_WEIGHT_UNIT) {
+    return {
+      id: wpe.id,
+      exercise_id: wpe.exercise_id,
+      exercise_name: wpe.exercises.name,
+      exercise_description: wpe.exercises.description,
+      body_part: wpe.exercises.body_part,
+      exercise_type: wpe.exercises.exercise_type,
+      difficulty: wpe.exercises.difficulty,
+      equipment: wpe.exercises.equipment ? JSON.parse(wpe.exercises.equipment) : null,
+      sets: wpe.sets,
+      reps: wpe.reps,
+      max_reps: wpe.max_reps === undefined ? null : wpe.max_reps,
+      weight: UnitUtils.fromCanonical(wpe.weight, unit),
+      rest_time: wpe.rest_time,
+      notes: wpe.notes,
+      order_index: wpe.order_index,
+      group_id: wpe.group_id || null,
+      progression_rule: wpe.progression_rule || null,
+      weight_increment: UnitUtils.fromCanonical(wpe.weight_increment, unit) || null,
+      target_rpe: toNumber(wpe.target_rpe),
+      target_rir: toNumber(wpe.target_rir),
+      percent_1rm: toNumber(wpe.percent_1rm),
+      tempo: wpe.tempo || null,
+      set_prescriptions: PrescriptionUtils.setsFromCanonical(wpe.set_prescriptions || null, unit)
+    };
+  }
+
+  // Helper method to format a workout plan row, its weight increment in the given unit
+  static formatPlan(plan, unit = CANONICAL_WEIGHT_UNIT) {
+    return {
+      ...plan,
+      weight_increment: UnitUtils.fromCanonical(plan.weight_increment, unit),
+      weight_unit: unit
+    };
+  }
+
+  // Helper method to suggest today's weight and reps of each exercise of a plan from a user's recent gym logs.
+  // Returns suggestions keyed by workout plan exercise ID, weights in the given unit. Timed exercises get none.
+  static async getProgressionSuggestions(userId, planId, unit = CANONICAL_WEIGHT_UNIT) {
+    const { data: plan, error: planError } = await supabase
+      .from('workout_plans')
+      .select(`
+        progression_rule,
+        weight_increment,
+        workout_plan_exercises(*, exercises(exercise_type), workout_plan_exercise_groups(rounds))
+      `)
+      .eq('id', planId)
+      .single();
+
+    if (planError) {
+      throw planError;
+    }
+
+    const planExercises = (plan.workout_plan_exercises || [])
+      .filter(wpe => !isTimedExerciseType(wpe.exercises && wpe.exercises.exercise_type));
+
+    if (planExercises.length === 0) {
+      return {};
+    }
+
+    const { data: logs, error: logsError } = await supabase
+      .from('gym_logs')
+      .select('*, gym_log_sets(*)')
+      .eq('user_id', userId)
+      .in('exercise_id', [...new Set(planExercises.map(wpe => wpe.exercise_id))])
+      .gte('created_at', new Date(Date.now() - PROGRESSION_LOOKBACK_DAYS * DAY_MS).toISOString())
+      .order('created_at', { ascending: false });
+
+    if (logsError) {
+      throw logsError;
+    }
+
+    const formattedLogs = logs.map(log => GymLogUtils.formatGymLogResponse(log));
+
+    return Object.fromEntries(planExercises.map(wpe => {
+      const exerciseLogs = formattedLogs.filter(log => log.exercise_id === wpe.exercise_id);
+
+      // A percentage load targets the weight it resolves to from the same logs
+      const targetWeight = wpe.weight === null || wpe.weight === undefined
+        ? UnitUtils.toCanonical(PrescriptionUtils.resolvePercentage(
+          UnitUtils.fromCanonical(PrescriptionUtils.getEstimatedOneRepMax(exerciseLogs), unit),
+          toNumber(wpe.percent_1rm),
+          unit
+        ), unit)
+        : Number(wpe.weight);
+
+      const suggestion = ProgressionUtils.suggest({
+        target: {
+          sets: ExerciseGroupUtils.getTotalSets(wpe, wpe.workout_plan_exercise_groups),
+          reps: wpe.reps,
+          max_reps: wpe.max_reps,
+          weight: targetWeight
+        },
+        rule: wpe.progression_rule || plan.progression_rule || undefined,
+        increment: Number(wpe.weight_increment || plan.weight_increment) || undefined,
+        logs: exerciseLogs
+      });
+
+      return [wpe.id, {
+        ...UnitUtils.convertFields(suggestion, ['weight'], unit),
+        last_performance: UnitUtils.convertFields(suggestion.last_performance, ['weight'], unit)
+      }];
+    }));
+  }
+
+  // Helper method to estimate a user's one-rep max of each plan exercise loaded as a percentage of it,
+  // from their recent gym logs. Returns estimates in kg keyed by exercise ID, null without history.
+  static async getEstimatedOneRepMaxes(userId, planExercises) {
+    const exerciseIds = [...new Set(planExercises
+      .filter(exercise => PrescriptionUtils.usesPercentage(exercise))
+      .map(exercise => exercise.exercise_id))];
+
+    if (exerciseIds.length === 0) {
+      return {};
+    }
+
+    const { data: logs, error } = await supabase
+      .from('gym_logs')
+      .select('*, gym_log_sets(*)')
+      .eq('user_id', userId)
+      .in('exercise_id', exerciseIds)
+      .gte('created_at', new Date(Date.now() - PROGRESSION_LOOKBACK_DAYS * DAY_MS).toISOString());
+
+    if (error) {
+      throw error;
+    }
+
+    const formattedLogs = logs.map(log => GymLogUtils.formatGymLogResponse(log));
+
+    return Object.fromEntries(exerciseIds.map(exerciseId => [
+      exerciseId,
+      PrescriptionUtils.getEstimatedOneRepMax(formattedLogs.filter(log => log.exercise_id === exerciseId))
+    ]));
+  }
+
+  // Helper method to resolve the percentage loads of a formatted plan's exercises, flat and in groups,
+  // against the user's own estimated maxes. Weights in the given unit.
+  static async resolvePlanLoads(userId, plan, unit = CANONICAL_WEIGHT_UNIT) {
+    const oneRepMaxes = await WorkoutPlanController.getEstimatedOneRepMaxes(userId, plan.exercises);
+
+    const resolve = exercise => PrescriptionUtils.resolveExercise(
+      exercise,
+      UnitUtils.fromCanonical(oneRepMaxes[exercise.exercise_id], unit),
+      unit
+    );
+
+    return {
+      ...plan,
+      exercises: plan.exercises.map(resolve),
+      groups: plan.groups.map(group => ({
+        ...group,
+        exercises: group.exercises.map(resolve)
+      }))
+    };
+  }
+
+  // Helper method to build the plan exercise rows of a request's flat exercises or exercise groups, weights in kg.
+  // Exercises point to their group by its position in groups (group_index).
+  static buildPlanExercises({ exercises, groups }, unit) {
+    const grouped = groups
+      ? ExerciseGroupUtils.flattenGroups(groups)
+      : { groups: [], exercises };
+
+    return {
+      groups: grouped.groups,
+      exercises: grouped.exercises.map((exercise, index) => ({
+        exercise_id: exercise.exercise_id,
+        sets: exercise.sets,
+        reps: exercise.reps,
+        max_reps: exercise.max_reps || null,
+        weight: UnitUtils.toCanonical(exercise.weight, unit) || null,
+        rest_time: exercise.rest_time || null,
+        notes: exercise.notes || null,
+        order_index: exercise.order_index || (index + 1),
+        progression_rule: exercise.progression_rule || null,
+        weight_increment: UnitUtils.toCanonical(exercise.weight_increment, unit) || null,
+        target_rpe: exercise.target_rpe || null,
+        target_rir: exercise.target_rir === undefined ? null : exercise.target_rir,
+        percent_1rm: exercise.percent_1rm || null,
+        tempo: exercise.tempo ? exercise.tempo.toUpperCase() : null,
+        set_prescriptions: PrescriptionUtils.setsToCanonical(exercise.set_prescriptions, unit) || null,
+        group_index: groups ? exercise.group_index : null
+      }))
+    };
+  }
+
+  // Helper method to add exercises and their groups to a plan. Exercises point to their group
+  // by its position in groups (group_index), or have none.
+  static async insertPlanExercises(planId, { groups = [], exercises }) {
+    const timestamp = new Date().toISOString();
+    const groupRows = groups.map(group => ({
+      id: crypto.randomUUID(),
+      workout_plan_id: planId,
+      group_type: group.group_type || DEFAULT_EXERCISE_GROUP_TYPE,
+      rounds: group.rounds || 1,
+      rest_between_rounds: group.rest_between_rounds === undefined ? null : group.rest_between_rounds,
+      notes: group.notes || null,
+      created_at: timestamp,
+      updated_at: timestamp
+    }));
+
+    if (groupRows.length > 0) {
+      const { error } = await supabase
+        .from('workout_plan_exercise_groups')
+        .insert(groupRows);
+
+      if (error) {
+        throw error;
+      }
+    }
+
+    if (exercises.length === 0) {
+      return;
+    }
+
+    const { error } = await supabase
+      .from('workout_plan_exercises')
+      .insert(exercises.map(({ group_index: groupIndex, ...exercise }) => ({
+        ...exercise,
+        workout_plan_id: planId,
+        group_id: groupIndex === null || groupIndex === undefined ? null : groupRows[groupIndex].id,
+        created_at: timestamp,
+        updated_at: timestamp
+      })));
+
+    if (error) {
+      throw error;
+    }
+  }
+
+  // Helper method to delete all exercises and groups of a plan
+  static async deletePlanExercises(planId) {
+    const { error } = await supabase
+      .from('workout_plan_exercises')
+      .delete()
+      .eq('workout_plan_id', planId);
+
+    if (error) {
+      throw error;
+    }
+
+    const { error: groupsError } = await supabase
+      .from('workout_plan_exercise_groups')
+      .delete()
+      .eq('workout_plan_id', planId);
+
+    if (groupsError) {
+      throw groupsError;
+    }
+  }
+
+  // Helper method to replace all exercises and groups of a plan. When the new ones cannot be added,
+  // the previous rows are put back, so a failed change never leaves the plan without exercises.
+  static async replacePlanExercises(planId, content) {
+    const { data: previousGroups, error: groupsError } = await supabase
+      .from('workout_plan_exercise_groups')
+      .select('*')
+      .eq('workout_plan_id', planId);
+
+    if (groupsError) {
+      throw groupsError;
+    }
+
+    const { data: previousExercises, error: exercisesError } = await supabase
+      .from('workout_plan_exercises')
+      .select('*')
+      .eq('workout_plan_id', planId);
+
+    if (exercisesError) {
+      throw exercisesError;
+    }
+
+    await WorkoutPlanController.deletePlanExercises(planId);
+
+    try {
+      await WorkoutPlanController.insertPlanExercises(planId, content);
+    } catch (insertError) {
+      // Rollback by deleting what was added and re-inserting the previous rows
+      await WorkoutPlanController.deletePlanExercises(planId);
+
+      if (previousGroups.length > 0) {
+        await supabase.from('workout_plan_exercise_groups').insert(previousGroups);
+      }
+
+      if (previousExercises.length > 0) {
+        await supabase.from('workout_plan_exercises').insert(previousExercises);
+      }
+
+      throw insertError;
+    }
+  }
+
+  // Helper method to delete the groups of a plan that no longer hold any exercise
+  static async deleteEmptyGroups(planId) {
+    const { data, error } = await supabase
+      .from('workout_plan_exercise_groups')
+      .select('id, workout_plan_exercises(id)')
+      .eq('workout_plan_id', planId);
+
+    if (error) {
+      throw error;
+    }
+
+    const emptyGroupIds = data
+      .filter(group => (group.workout_plan_exercises || []).length === 0)
+      .map(group => group.id);
+
+    if (emptyGroupIds.length === 0) {
+      return;
+    }
+
+    const { error: deleteError } = await supabase
+      .from('workout_plan_exercise_groups')
+      .delete()
+      .in('id', emptyGroupIds);
+
+    if (deleteError) {
+      throw deleteError;
+    }
+  }
+
+  // Helper method to find an exercise group of a plan, with the IDs of its exercises
+  static async findExerciseGroup(planId, groupId) {
+    const { data, error } = await supabase
+      .from('workout_plan_exercise_groups')
+      .select('*, workout_plan_exercises(id)')
+      .eq('id', groupId)
+      .eq('workout_plan_id', planId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  // Helper method to check that an exercise can join a group of a plan. Returns the error message, if any.
+  static async getGroupError(planId, groupId, exerciseId = null) {
+    const group = await WorkoutPlanController.findExerciseGroup(planId, groupId);
+
+    if (!group) {
+      return 'Exercise group not found in this workout plan';
+    }
+
+    const { max } = EXERCISE_GROUP_SIZES[group.group_type];
+    const exerciseCount = group.workout_plan_exercises.filter(exercise => exercise.id !== exerciseId).length + 1;
+
+    if (max && exerciseCount > max) {
+      return `A ${group.group_type.replace('_', ' ')} group holds at most ${max} exercises`;
+    }
+
+    return null;
+  }
+
+  // Helper method to mark a workout plan as changed when its exercises change, so the change syncs
+  static async touchWorkoutPlan(planId) {
+    const { error } = await supabase
+      .from('workout_plans')
+      .update({ updated_at: new Date().toISOString() })
+      .eq('id', planId);
+
+    if (error) {
+      throw error;
+    }
+  }
+
   // Update workout plan
   static async updateWorkoutPlan(req, res) {
     try {
@@ -265,8 +1349,12 @@ class WorkoutPlanController {
         difficulty_level, 
         estimated_duration, 
         is_public,
-        exercises 
+        progression_rule,
+        weight_increment,
+        exercises,
+        groups
       } = req.body;
+      const unit = req.body.weight_unit || UnitUtils.getPreferredUnit(req.user);
 
       // Check if workout plan exists and user has permission
       const { data: existingPlan, error: checkError } = await supabase
@@ -300,6 +1388,8 @@ class WorkoutPlanController {
       if (difficulty_level) updateData.difficulty_level = difficulty_level;
       if (estimated_duration) updateData.estimated_duration = estimated_duration;
       if (is_public !== undefined) updateData.is_public = is_public;
+      if (progression_rule) updateData.progression_rule = progression_rule;
+      if (weight_increment) updateData.weight_increment = UnitUtils.toCanonical(weight_increment, unit);
 
       const { error: updateError } = await supabase
         .from('workout_plans')
@@ -310,39 +1400,18 @@ class WorkoutPlanController {
         throw updateError;
       }
 
-      // Update exercises if provided
-      if (exercises) {
-        // Delete existing exercises
-        await supabase
-          .from('workout_plan_exercises')
-          .delete()
-          .eq('workout_plan_id', id);
-
-        // Add new exercises
-        const exercisePromises = exercises.map((exercise, index) => {
-          return supabase
-            .from('workout_plan_exercises')
-            .insert([
-              {
-                workout_plan_id: id,
-                exercise_id: exercise.exercise_id,
-                sets: exercise.sets,
-                reps: exercise.reps,
-                weight: exercise.weight || null,
-                rest_time: exercise.rest_time || null,
-                notes: exercise.notes || null,
-                order_index: exercise.order_index || (index + 1),
-                created_at: new Date().toISOString(),
-                updated_at: new Date().toISOString()
-              }
-            ]);
-        });
-
-        await Promise.all(exercisePromises);
+      // Replace exercises and groups if provided
+      if (exercises || groups) {
+        await WorkoutPlanController.replacePlanExercises(
+          id,
+          WorkoutPlanController.buildPlanExercises({ exercises, groups }, unit)
+        );
       }
 
+      await WorkoutPlanController.recordVersion(id, req.user.id);
+
       // Fetch updated workout plan with exercises
-      const updatedWorkoutPlan = await WorkoutPlanController.getWorkoutPlanWithExercises(id);
+      const updatedWorkoutPlan = await WorkoutPlanController.getWorkoutPlanWithExercises(id, unit);
 
       res.status(200).json({
         success: true,
@@ -413,7 +1482,25 @@ class WorkoutPlanController {
   static async addExerciseToWorkoutPlan(req, res) {
     try {
       const { planId } = req.params;
-      const { exercise_id, sets, reps, weight, rest_time, notes, order_index } = req.body;
+      const {
+        exercise_id,
+        sets,
+        reps,
+        max_reps,
+        weight,
+        rest_time,
+        notes,
+        order_index,
+        progression_rule,
+        weight_increment,
+        group_id,
+        target_rpe,
+        target_rir,
+        percent_1rm,
+        tempo,
+        set_prescriptions
+      } = req.body;
+      const unit = req.body.weight_unit || UnitUtils.getPreferredUnit(req.user);
 
       // Check if workout plan exists and user has permission
       const { data: existingPlan, error: checkError } = await supabase
@@ -436,6 +1523,17 @@ class WorkoutPlanController {
         });
       }
 
+      if (group_id) {
+        const groupError = await WorkoutPlanController.getGroupError(planId, group_id);
+
+        if (groupError) {
+          return res.status(400).json({
+            success: false,
+            message: groupError
+          });
+        }
+      }
+
       // Check if exercise already exists in the plan
       const { data: existingExercise } = await supabase
         .from('workout_plan_exercises')
@@ -463,10 +1561,19 @@ class WorkoutPlanController {
             exercise_id,
             sets,
             reps,
-            weight: weight || null,
+            max_reps: max_reps || null,
+            weight: UnitUtils.toCanonical(weight, unit) || null,
             rest_time: rest_time || null,
             notes: notes || null,
             order_index: finalOrderIndex,
+            group_id: group_id || null,
+            progression_rule: progression_rule || null,
+            weight_increment: UnitUtils.toCanonical(weight_increment, unit) || null,
+            target_rpe: target_rpe || null,
+            target_rir: target_rir === undefined ? null : target_rir,
+            percent_1rm: percent_1rm || null,
+            tempo: tempo ? tempo.toUpperCase() : null,
+            set_prescriptions: PrescriptionUtils.setsToCanonical(set_prescriptions, unit) || null,
             created_at: new Date().toISOString(),
             updated_at: new Date().toISOString()
           }
@@ -481,22 +1588,13 @@ class WorkoutPlanController {
         throw error;
       }
 
+      await WorkoutPlanController.touchWorkoutPlan(planId);
+      await WorkoutPlanController.recordVersion(planId, req.user.id);
+
       // Format response
       const formattedExercise = {
-        id: data.id,
-        exercise_id: data.exercise_id,
-        exercise_name: data.exercises.name,
-        exercise_description: data.exercises.description,
-        body_part: data.exercises.body_part,
-        exercise_type: data.exercises.exercise_type,
-        difficulty: data.exercises.difficulty,
-        equipment: data.exercises.equipment ? JSON.parse(data.exercises.equipment) : null,
-        sets: data.sets,
-        reps: data.reps,
-        weight: data.weight,
-        rest_time: data.rest_time,
-        notes: data.notes,
-        order_index: data.order_index
+        ...WorkoutPlanController.formatPlanExercise(data, unit),
+        weight_unit: unit
       };
 
       res.status(201).json({
@@ -518,7 +1616,24 @@ class WorkoutPlanController {
   static async updateExerciseInWorkoutPlan(req, res) {
     try {
       const { planId, exerciseId } = req.params;
-      const { sets, reps, weight, rest_time, notes, order_index } = req.body;
+      const {
+        sets,
+        reps,
+        max_reps,
+        weight,
+        rest_time,
+        notes,
+        order_index,
+        progression_rule,
+        weight_increment,
+        group_id,
+        target_rpe,
+        target_rir,
+        percent_1rm,
+        tempo,
+        set_prescriptions
+      } = req.body;
+      const unit = req.body.weight_unit || UnitUtils.getPreferredUnit(req.user);
 
       // Check if workout plan exists and user has permission
       const { data: existingPlan, error: checkError } = await supabase
@@ -541,6 +1656,17 @@ class WorkoutPlanController {
         });
       }
 
+      if (group_id) {
+        const groupError = await WorkoutPlanController.getGroupError(planId, group_id, exerciseId);
+
+        if (groupError) {
+          return res.status(400).json({
+            success: false,
+            message: groupError
+          });
+        }
+      }
+
       // Update the exercise
       const updateData = {
         updated_at: new Date().toISOString()
@@ -548,10 +1674,32 @@ class WorkoutPlanController {
 
       if (sets) updateData.sets = sets;
       if (reps) updateData.reps = reps;
-      if (weight !== undefined) updateData.weight = weight;
+      if (weight !== undefined) updateData.weight = UnitUtils.toCanonical(weight, unit);
       if (rest_time !== undefined) updateData.rest_time = rest_time;
       if (notes !== undefined) updateData.notes = notes;
       if (order_index) updateData.order_index = order_index;
+      if (max_reps !== undefined) updateData.max_reps = max_reps;
+      if (progression_rule !== undefined) updateData.progression_rule = progression_rule;
+      if (weight_increment !== undefined) updateData.weight_increment = UnitUtils.toCanonical(weight_increment, unit);
+      if (group_id !== undefined) updateData.group_id = group_id;
+      if (tempo !== undefined) updateData.tempo = tempo && tempo.toUpperCase();
+
+      // Setting a target or load replaces its alternative
+      if (target_rpe !== undefined) updateData.target_rpe = target_rpe;
+      if (target_rir !== undefined) updateData.target_rir = target_rir;
+      if (target_rpe !== undefined && target_rpe !== null && target_rir === undefined) updateData.target_rir = null;
+      if (target_rir !== undefined && target_rir !== null && target_rpe === undefined) updateData.target_rpe = null;
+      if (percent_1rm !== undefined) updateData.percent_1rm = percent_1rm;
+      if (percent_1rm !== undefined && percent_1rm !== null && weight === undefined) updateData.weight = null;
+      if (weight !== undefined && percent_1rm === undefined) updateData.percent_1rm = null;
+
+      // Per-set prescriptions set the number of sets; changing the sets alone clears them
+      if (set_prescriptions !== undefined) {
+        updateData.set_prescriptions = PrescriptionUtils.setsToCanonical(set_prescriptions, unit);
+        if (set_prescriptions) updateData.sets = set_prescriptions.length;
+      } else if (sets) {
+        updateData.set_prescriptions = null;
+      }
 
       const { data, error } = await supabase
         .from('workout_plan_exercises')
@@ -574,22 +1722,18 @@ class WorkoutPlanController {
         throw error;
       }
 
+      // Moving the exercise may leave its old group empty
+      if (group_id !== undefined) {
+        await WorkoutPlanController.deleteEmptyGroups(planId);
+      }
+
+      await WorkoutPlanController.touchWorkoutPlan(planId);
+      await WorkoutPlanController.recordVersion(planId, req.user.id);
+
       // Format response
       const formattedExercise = {
-        id: data.id,
-        exercise_id: data.exercise_id,
-        exercise_name: data.exercises.name,
-        exercise_description: data.exercises.description,
-        body_part: data.exercises.body_part,
-        exercise_type: data.exercises.exercise_type,
-        difficulty: data.exercises.difficulty,
-        equipment: data.exercises.equipment ? JSON.parse(data.exercises.equipment) : null,
-        sets: data.sets,
-        reps: data.reps,
-        weight: data.weight,
-        rest_time: data.rest_time,
-        notes: data.notes,
-        order_index: data.order_index
+        ...WorkoutPlanController.formatPlanExercise(data, unit),
+        weight_unit: unit
       };
 
       res.status(200).json({
@@ -644,6 +1788,10 @@ class WorkoutPlanController {
         throw error;
       }
 
+      await WorkoutPlanController.deleteEmptyGroups(planId);
+      await WorkoutPlanController.touchWorkoutPlan(planId);
+      await WorkoutPlanController.recordVersion(planId, req.user.id);
+
       res.status(200).json({
         success: true,
         message: 'Exercise removed from workout plan successfully'
@@ -658,6 +1806,93 @@ class WorkoutPlanController {
     }
   }
 
+  // Update the type, rounds, rest or notes of an exercise group
+  static async updateExerciseGroup(req, res) {
+    try {
+      const { planId, groupId } = req.params;
+      const { group_type, rounds, rest_between_rounds, notes } = req.body;
+      const unit = UnitUtils.getPreferredUnit(req.user);
+
+      const plan = await WorkoutPlanController.findWorkoutPlan(planId);
+
+      if (!plan) {
+        return res.status(404).json({
+          success: false,
+          message: 'Workout plan not found'
+        });
+      }
+
+      if (plan.created_by !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only modify your own workout plans'
+        });
+      }
+
+      const group = await WorkoutPlanController.findExerciseGroup(planId, groupId);
+
+      if (!group) {
+        return res.status(404).json({
+          success: false,
+          message: 'Exercise group not found in workout plan'
+        });
+      }
+
+      // Straight sets are done in one round
+      const groupType = group_type || group.group_type;
+      const groupRounds = rounds || (groupType === 'straight_sets' ? 1 : group.rounds);
+      const exerciseCount = group.workout_plan_exercises.length;
+
+      if (groupType === 'straight_sets' && groupRounds !== 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'Straight sets are done in one round'
+        });
+      }
+
+      if (!isValidExerciseGroupSize(groupType, exerciseCount)) {
+        return res.status(400).json({
+          success: false,
+          message: `A ${groupType.replace('_', ' ')} group cannot hold ${exerciseCount} exercise(s)`
+        });
+      }
+
+      const updateData = {
+        group_type: groupType,
+        rounds: groupRounds,
+        updated_at: new Date().toISOString()
+      };
+
+      if (rest_between_rounds !== undefined) updateData.rest_between_rounds = rest_between_rounds;
+      if (notes !== undefined) updateData.notes = notes;
+
+      const { error } = await supabase
+        .from('workout_plan_exercise_groups')
+        .update(updateData)
+        .eq('id', groupId);
+
+      if (error) {
+        throw error;
+      }
+
+      await WorkoutPlanController.touchWorkoutPlan(planId);
+      await WorkoutPlanController.recordVersion(planId, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Exercise group updated successfully',
+        data: await WorkoutPlanController.getWorkoutPlanWithExercises(planId, unit)
+      });
+    } catch (error) {
+      console.error('Update exercise group error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error updating exercise group',
+        error: error.message
+      });
+    }
+  }
+
   // Get workout plan statistics
   static async getWorkoutPlanStats(req, res) {
     try {
@@ -704,6 +1939,14 @@ class WorkoutPlanController {
         }
       });
 
+      // Adherence over the sessions the user started from any plan
+      const adherenceReports = await WorkoutPlanController.getAdherenceReports(userId);
+      const { exercises, ...adherence } = AdherenceUtils.summarizeAdherence(adherenceReports);
+      const reportsByPlan = new Map();
+      adherenceReports.forEach(report => {
+        reportsByPlan.set(report.workout_plan_id, [...(reportsByPlan.get(report.workout_plan_id) || []), report]);
+      });
+
       res.status(200).json({
         success: true,
         data: {
@@ -711,7 +1954,18 @@ class WorkoutPlanController {
           public_plans: publicPlans || 0,
           private_plans: (totalPlans || 0) - (publicPlans || 0),
           by_difficulty: difficultyStats,
-          muscle_type_usage: muscleStats
+          muscle_type_usage: muscleStats,
+          adherence: {
+            ...adherence,
+            by_plan: [...reportsByPlan.entries()].map(([workoutPlanId, reports]) => {
+              const { exercises: planExercises, ...summary } = AdherenceUtils.summarizeAdherence(reports);
+              return {
+                workout_plan_id: workoutPlanId,
+                name: reports[0].workout_plan_name,
+                ...summary
+              };
+            })
+          }
         }
       });
     } catch (error) {
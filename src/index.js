@@ -13,6 +13,12 @@ const userRoutes = require('./routes/userRoutes');
 const gymLogRoutes = require('./routes/gymLogRoutes');
 const exerciseRoutes = require('./routes/exercise');
 const workoutPlanRoutes = require('./routes/workoutPlanRoutes');
+const sessionRoutes = require('./routes/sessionRoutes');
+const syncRoutes = require('./routes/syncRoutes');
+const bodyMetricRoutes = require('./routes/bodyMetricRoutes');
+const programRoutes = require('./routes/programRoutes');
+const scheduleRoutes = require('./routes/scheduleRoutes');
+const calendarRoutes = require('./routes/calendarRoutes');
 
 // Validate environment variables
 validateEnv();
@@ -55,6 +61,12 @@ app.use('/api/users', userRoutes);
 app.use('/api/gym-logs', gymLogRoutes);
 app.use('/api/exercises', exerciseRoutes);
 app.use('/api/workout-plans', workoutPlanRoutes);
+app.use('/api/sessions', sessionRoutes);
+app.use('/api/sync', syncRoutes);
+app.use('/api/body-metrics', bodyMetricRoutes);
+app.use('/api/programs', programRoutes);
+app.use('/api/schedules', scheduleRoutes);
+app.use('/api/calendar', calendarRoutes);
 
 // 404 handler
 app.use(notFound);
@@ -27,7 +27,7 @@ const authenticate = async (req, res, next) => {
     // Check if user still exists in database
     const { data: user, error } = await supabase
       .from('users')
-      .select('id, email, name')
+      .select('id, email, name, weight_unit, weekly_training_goal')
       .eq('id', decoded.userId)
       .single();
 
@@ -0,0 +1,132 @@
+const ExerciseController = require('../controllers/exerciseController');
+const ExerciseMatcher = require('../utils/exerciseMatcher');
+const GymLogUtils = require('../utils/gymLogUtils');
+const { isTimedExerciseType } = require('../constants/gymLog');
+
+// Resolve req.body.exercise_id or req.body.exercise against the exercise catalog.
+// On success both fields are set from the catalog entry and req.exercise holds the entry;
+// requests without either field pass through.
+const resolveExercise = async (req, res, next) => {
+  try {
+    const { exercise, exercise_id } = req.body;
+
+    if (!exercise && !exercise_id) {
+      return next();
+    }
+
+    const { exercise: catalogExercise, suggestions } = await ExerciseController.resolveCatalogExercise({
+      exercise,
+      exercise_id
+    });
+
+    if (!catalogExercise) {
+      return res.status(400).json({
+        success: false,
+        message: exercise_id
+          ? 'Exercise not found'
+          : `Exercise "${exercise}" does not match any exercise in the catalog`,
+        suggestions
+      });
+    }
+
+    req.body.exercise_id = catalogExercise.id;
+    req.body.exercise = catalogExercise.name;
+    req.exercise = catalogExercise;
+    next();
+  } catch (error) {
+    console.error('Resolve exercise error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error resolving exercise',
+      error: error.message
+    });
+  }
+};
+
+// Resolve the exercise of every entry in req.body.logs, loading the catalog once.
+// Unresolved entries, and entries whose shape doesn't fit the exercise type, are reported together with their index.
+const resolveExercises = async (req, res, next) => {
+  try {
+    const catalog = await ExerciseController.getExerciseCatalog();
+    const catalogById = new Map(catalog.map(exercise => [exercise.id, exercise]));
+    const errors = [];
+
+    req.body.logs.forEach((log, index) => {
+      if (log.exercise_id) {
+        const catalogExercise = catalogById.get(log.exercise_id);
+
+        if (!catalogExercise) {
+          errors.push({ index, message: 'Exercise not found', suggestions: [] });
+          return;
+        }
+
+        log.exercise = catalogExercise.name;
+      } else {
+        const { exercise: catalogExercise, suggestions } = ExerciseMatcher.match(log.exercise, catalog);
+
+        if (!catalogExercise) {
+          errors.push({
+            index,
+            message: `Exercise "${log.exercise}" does not match any exercise in the catalog`,
+            suggestions
+          });
+          return;
+        }
+
+        log.exercise_id = catalogExercise.id;
+        log.exercise = catalogExercise.name;
+      }
+
+      const shapeError = GymLogUtils.getLogShapeError(
+        log,
+        isTimedExerciseType(catalogById.get(log.exercise_id).exercise_type)
+      );
+
+      if (shapeError) {
+        errors.push({ index, message: shapeError, suggestions: [] });
+      }
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some exercises do not match the catalog',
+        errors
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Resolve exercises error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error resolving exercises',
+      error: error.message
+    });
+  }
+};
+
+// Check that a new gym log has the shape its resolved exercise needs: sets for strength exercises,
+// duration_seconds for cardio, endurance and mobility exercises. Runs after resolveExercise.
+const validateLogShape = (req, res, next) => {
+  const shapeError = GymLogUtils.getLogShapeError(
+    req.body,
+    isTimedExerciseType(req.exercise && req.exercise.exercise_type)
+  );
+
+  if (shapeError) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      details: [shapeError]
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  resolveExercise,
+  resolveExercises,
+  validateLogShape
+};
@@ -1,16 +1,73 @@
 const Joi = require('joi');
 const { BODY_PARTS, EXERCISE_TYPES, DIFFICULTY_LEVELS } = require('../constants/exercise');
+const {
+  SET_TYPES,
+  RPE_MIN,
+  RPE_MAX,
+  RECORD_TYPES,
+  ONE_REP_MAX_FORMULAS,
+  STATS_PERIODS,
+  STATS_GROUP_BY,
+  GYM_LOG_SORT_FIELDS,
+  SORT_ORDERS,
+  MAX_PAGE_LIMIT,
+  EXPORT_FORMATS,
+  IMPORT_SOURCES,
+  MAX_BULK_GYM_LOGS,
+  WEEKLY_TRAINING_GOAL_MIN,
+  WEEKLY_TRAINING_GOAL_MAX
+} = require('../constants/gymLog');
+const { WEIGHT_UNITS } = require('../constants/units');
+const { SYNC_ENTITY_TYPES, MAX_SYNC_PUSH_CHANGES } = require('../constants/sync');
+const { PROGRESSION_RULES } = require('../constants/progression');
+const {
+  EXERCISE_GROUP_TYPES,
+  EXERCISE_GROUP_SIZES,
+  MAX_GROUP_ROUNDS,
+  MAX_GROUP_REST
+} = require('../constants/exerciseGroup');
+const {
+  DAYS_PER_WEEK,
+  MAX_PROGRAM_WEEKS,
+  MIN_MODIFIER_PERCENT,
+  MAX_MODIFIER_PERCENT
+} = require('../constants/program');
+const { WEEKDAYS } = require('../constants/schedule');
+const {
+  RATING_MIN,
+  RATING_MAX,
+  MAX_REVIEW_LENGTH,
+  WORKOUT_PLAN_SORT_FIELDS
+} = require('../constants/planRating');
+const {
+  BODY_MEASUREMENT_FIELDS,
+  BODY_METRICS,
+  MIN_MOVING_AVERAGE_DAYS,
+  MAX_MOVING_AVERAGE_DAYS
+} = require('../constants/bodyMetrics');
+const {
+  TARGET_RPE_STEP,
+  TARGET_RIR_MIN,
+  TARGET_RIR_MAX,
+  PERCENT_1RM_MIN,
+  PERCENT_1RM_MAX,
+  TEMPO_PATTERN
+} = require('../constants/prescription');
 
 // User validation schemas
 const userSchema = Joi.object({
   name: Joi.string().min(2).max(100).required(),
   email: Joi.string().email().required(),
-  password: Joi.string().min(6).max(100).required()
+  password: Joi.string().min(6).max(100).required(),
+  weight_unit: Joi.string().valid(...WEIGHT_UNITS).optional(),
+  weekly_training_goal: Joi.number().integer().min(WEEKLY_TRAINING_GOAL_MIN).max(WEEKLY_TRAINING_GOAL_MAX).optional()
 });
 
 const userUpdateSchema = Joi.object({
   name: Joi.string().min(2).max(100),
-  email: Joi.string().email()
+  email: Joi.string().email(),
+  weight_unit: Joi.string().valid(...WEIGHT_UNITS),
+  weekly_training_goal: Joi.number().integer().min(WEEKLY_TRAINING_GOAL_MIN).max(WEEKLY_TRAINING_GOAL_MAX)
 }).min(1);
 
 const loginSchema = Joi.object({
@@ -19,23 +76,250 @@ const loginSchema = Joi.object({
 });
 
 // Gym log validation schemas
-const gymLogSchema = Joi.object({
-  exercise: Joi.string().min(2).max(100).required(),
-  sets: Joi.number().integer().min(1).max(100).required(),
+const gymLogSetSchema = Joi.object({
   reps: Joi.number().integer().min(1).max(1000).required(),
   weight: Joi.number().min(0).max(10000).required(),
+  set_type: Joi.string().valid(...SET_TYPES).optional(),
+  rpe: Joi.number().min(RPE_MIN).max(RPE_MAX).precision(1).allow(null).optional()
+});
+
+// Sets are either a count (with flat reps/weight) or an array of individual sets
+const gymLogSetsSchema = Joi.alternatives().try(
+  Joi.number().integer().min(1).max(100),
+  Joi.array().items(gymLogSetSchema).min(1).max(100)
+);
+
+// Fields of timed logs (cardio, endurance and mobility exercises)
+const gymLogTimedKeys = {
+  duration_seconds: Joi.number().integer().min(1).max(86400), // Up to 24 hours
+  distance_km: Joi.number().min(0).max(1000),
+  average_heart_rate: Joi.number().integer().min(30).max(250),
+  calories: Joi.number().integer().min(0).max(20000),
+  incline_percent: Joi.number().min(-10).max(40)
+};
+
+// Exercises are given by catalog id or by a name resolved against the catalog.
+// Which shape is required (sets, or duration_seconds for timed exercises) depends on the exercise type,
+// checked once the exercise is resolved (see validateLogShape).
+const gymLogSchema = Joi.object({
+  exercise: Joi.string().min(2).max(100),
+  exercise_id: Joi.string(),
+  sets: gymLogSetsSchema,
+  reps: Joi.when('sets', {
+    is: Joi.number().required(),
+    then: Joi.number().integer().min(1).max(1000).required(),
+    otherwise: Joi.forbidden()
+  }),
+  weight: Joi.when('sets', {
+    is: Joi.number().required(),
+    then: Joi.number().min(0).max(10000).required(),
+    otherwise: Joi.forbidden()
+  }),
+  ...gymLogTimedKeys,
+  weight_unit: Joi.string().valid(...WEIGHT_UNITS).optional(), // Defaults to the user's preferred unit
   notes: Joi.string().max(500).allow(''),
   user_id: Joi.string().uuid().required()
-});
+}).or('exercise', 'exercise_id');
 
+// An update changes at least one field of the log; weight_unit only comes with the weights it is the unit of
 const gymLogUpdateSchema = Joi.object({
   exercise: Joi.string().min(2).max(100),
-  sets: Joi.number().integer().min(1).max(100),
-  reps: Joi.number().integer().min(1).max(1000),
-  weight: Joi.number().min(0).max(10000),
+  exercise_id: Joi.string(),
+  sets: gymLogSetsSchema,
+  reps: Joi.when('sets', {
+    is: Joi.array().required(),
+    then: Joi.forbidden(),
+    otherwise: Joi.number().integer().min(1).max(1000)
+  }),
+  weight: Joi.when('sets', {
+    is: Joi.array().required(),
+    then: Joi.forbidden(),
+    otherwise: Joi.number().min(0).max(10000)
+  }),
+  ...gymLogTimedKeys,
+  weight_unit: Joi.when('weight', {
+    is: Joi.exist(),
+    then: Joi.string().valid(...WEIGHT_UNITS),
+    otherwise: Joi.when('sets', {
+      is: Joi.array().required(),
+      then: Joi.string().valid(...WEIGHT_UNITS),
+      otherwise: Joi.forbidden()
+    })
+  }),
+  notes: Joi.string().max(500).allow('')
+}).or('exercise', 'exercise_id', 'sets', 'reps', 'weight', ...Object.keys(gymLogTimedKeys), 'notes');
+
+// Listing uses cursor pagination unless a page number is given
+const gymLogQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(MAX_PAGE_LIMIT).optional(),
+  cursor: Joi.string().max(1000).optional(),
+  page: Joi.number().integer().min(1).optional(),
+  user_id: Joi.string().uuid().optional(),
+  exercise: Joi.string().max(100).optional(),
+  exercise_id: Joi.string().optional(),
+  session_id: Joi.string().uuid().optional(),
+  from: Joi.date().iso().optional(),
+  to: Joi.when('from', {
+    is: Joi.exist(),
+    then: Joi.date().iso().min(Joi.ref('from')),
+    otherwise: Joi.date().iso()
+  }),
+  min_weight: Joi.number().min(0).optional(),
+  max_weight: Joi.when('min_weight', {
+    is: Joi.exist(),
+    then: Joi.number().min(Joi.ref('min_weight')),
+    otherwise: Joi.number().min(0)
+  }),
+  min_reps: Joi.number().integer().min(1).optional(),
+  max_reps: Joi.when('min_reps', {
+    is: Joi.exist(),
+    then: Joi.number().integer().min(Joi.ref('min_reps')),
+    otherwise: Joi.number().integer().min(1)
+  }),
+  weight_unit: Joi.string().valid(...WEIGHT_UNITS).optional(), // Unit of the weight filters and the response
+  sort_by: Joi.when('session_id', {
+    is: Joi.exist(),
+    then: Joi.string().valid(...GYM_LOG_SORT_FIELDS),
+    otherwise: Joi.string().valid(...GYM_LOG_SORT_FIELDS.filter(field => field !== 'session_order'))
+  }),
+  order: Joi.string().valid(...SORT_ORDERS).optional()
+}).oxor('cursor', 'page');
+
+const gymLogExportQuerySchema = Joi.object({
+  format: Joi.string().valid(...EXPORT_FORMATS).optional(),
+  from: Joi.date().iso().optional(),
+  to: Joi.when('from', {
+    is: Joi.exist(),
+    then: Joi.date().iso().min(Joi.ref('from')),
+    otherwise: Joi.date().iso()
+  }),
+  weight_unit: Joi.string().valid(...WEIGHT_UNITS).optional()
+});
+
+const gymLogImportSchema = Joi.object({
+  source: Joi.string().valid(...IMPORT_SOURCES).required(),
+  csv: Joi.string().required(), // File content, limited by the JSON body size limit
+  dry_run: Joi.boolean().optional(), // Defaults to true
+  weight_unit: Joi.string().valid(...WEIGHT_UNITS).optional(), // Unit of weight columns without one, defaults to the user's preferred unit
+  exercise_map: Joi.object().pattern(Joi.string(), Joi.string()).optional(),
+  skip_unmatched: Joi.boolean().optional(),
+  skip_duplicates: Joi.boolean().optional()
+});
+
+const personalRecordQuerySchema = Joi.object({
+  exercise: Joi.string().min(2).max(100).optional(),
+  record_type: Joi.string().valid(...RECORD_TYPES).optional()
+});
+
+const progressQuerySchema = Joi.object({
+  exercise: Joi.string().min(2).max(100).required(),
+  from: Joi.date().iso().optional(),
+  to: Joi.when('from', {
+    is: Joi.exist(),
+    then: Joi.date().iso().min(Joi.ref('from')),
+    otherwise: Joi.date().iso()
+  }),
+  formula: Joi.string().valid(...ONE_REP_MAX_FORMULAS).optional()
+});
+
+const gymLogStatsQuerySchema = Joi.object({
+  period: Joi.string().valid(...STATS_PERIODS).optional(),
+  from: Joi.when('period', {
+    is: 'custom',
+    then: Joi.date().iso().required(),
+    otherwise: Joi.forbidden()
+  }),
+  to: Joi.when('period', {
+    is: 'custom',
+    then: Joi.date().iso().min(Joi.ref('from')).optional(),
+    otherwise: Joi.forbidden()
+  }),
+  group_by: Joi.string().valid(...STATS_GROUP_BY).optional()
+});
+
+const trainingCalendarQuerySchema = Joi.object({
+  year: Joi.number().integer().min(1970).max(9999).optional() // Defaults to the current year
+});
+
+// Gym logs appended to a session belong to the session owner
+// Every entry of a bulk create is checked against gymLogSchema separately (see validateGymLogBulk)
+const gymLogBulkSchema = Joi.object({
+  logs: Joi.array().items(Joi.object()).min(1).max(MAX_BULK_GYM_LOGS).required()
+});
+
+const sessionGymLogSchema = gymLogSchema.fork('user_id', (schema) => schema.forbidden());
+
+// Workout session validation schemas
+const workoutSessionSchema = Joi.object({
+  title: Joi.string().max(255).allow('').optional(),
+  notes: Joi.string().max(2000).allow('').optional(),
+  started_at: Joi.date().iso().optional()
+});
+
+const workoutSessionUpdateSchema = Joi.object({
+  title: Joi.string().max(255).allow(''),
+  notes: Joi.string().max(2000).allow(''),
+  started_at: Joi.date().iso(),
+  ended_at: Joi.date().iso()
+}).min(1);
+
+const workoutSessionFinishSchema = Joi.object({
+  ended_at: Joi.date().iso().optional(),
+  notes: Joi.string().max(2000).allow('').optional()
+});
+
+// Active sessions have not ended yet
+const workoutSessionQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).optional(),
+  limit: Joi.number().integer().min(1).max(MAX_PAGE_LIMIT).optional(),
+  status: Joi.string().valid('active', 'completed').optional()
+});
+
+// Body metric validation schemas
+// Bodyweight is given in weight_unit (default: the user's preferred unit), measurements in cm
+const bodyMetricKeys = {
+  bodyweight: Joi.number().min(20).max(1000),
+  body_fat_percent: Joi.number().min(1).max(75),
+  ...Object.fromEntries(BODY_MEASUREMENT_FIELDS.map(field => [field, Joi.number().min(1).max(300)]))
+};
+
+const bodyMetricSchema = Joi.object({
+  measured_at: Joi.date().iso().optional(), // Defaults to now
+  ...bodyMetricKeys,
+  weight_unit: Joi.string().valid(...WEIGHT_UNITS).optional(),
+  notes: Joi.string().max(500).allow('').optional()
+}).or(...BODY_METRICS);
+
+// Metrics set to null are removed from the entry
+const bodyMetricUpdateSchema = Joi.object({
+  measured_at: Joi.date().iso(),
+  ...Object.fromEntries(Object.entries(bodyMetricKeys).map(([field, schema]) => [field, schema.allow(null)])),
+  weight_unit: Joi.string().valid(...WEIGHT_UNITS),
   notes: Joi.string().max(500).allow('')
 }).min(1);
 
+const bodyMetricQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).optional(),
+  limit: Joi.number().integer().min(1).max(MAX_PAGE_LIMIT).optional(),
+  from: Joi.date().iso().optional(),
+  to: Joi.when('from', {
+    is: Joi.exist(),
+    then: Joi.date().iso().min(Joi.ref('from')),
+    otherwise: Joi.date().iso()
+  })
+});
+
+const bodyMetricTrendQuerySchema = Joi.object({
+  metric: Joi.string().valid(...BODY_METRICS).optional(), // Defaults to bodyweight
+  from: Joi.date().iso().optional(),
+  to: Joi.when('from', {
+    is: Joi.exist(),
+    then: Joi.date().iso().min(Joi.ref('from')),
+    otherwise: Joi.date().iso()
+  }),
+  window: Joi.number().integer().min(MIN_MOVING_AVERAGE_DAYS).max(MAX_MOVING_AVERAGE_DAYS).optional() // Moving averages only
+});
+
 // Exercise validation schemas
 const exerciseSchema = Joi.object({
   id: Joi.string().required(),
@@ -57,16 +341,81 @@ const exerciseUpdateSchema = Joi.object({
 }).min(1);
 
 // Workout Plan validation schemas
+// Progression settings; a plan exercise without them follows its plan. Increments are in the weight unit.
+const progressionKeys = {
+  progression_rule: Joi.string().valid(...PROGRESSION_RULES),
+  weight_increment: Joi.number().min(0.25).max(50)
+};
+
+// Effort and load targets; RPE and RIR are alternatives, as are a fixed weight and a percentage of the 1RM
+const prescriptionKeys = {
+  target_rpe: Joi.number().min(RPE_MIN).max(RPE_MAX).multiple(TARGET_RPE_STEP),
+  target_rir: Joi.number().integer().min(TARGET_RIR_MIN).max(TARGET_RIR_MAX),
+  percent_1rm: Joi.number().min(PERCENT_1RM_MIN).max(PERCENT_1RM_MAX).precision(2)
+};
+
+// Targets of one set; fields left out follow the plan exercise
+const setPrescriptionSchema = Joi.object({
+  reps: Joi.number().integer().min(1).max(1000),
+  max_reps: Joi.when('reps', {
+    is: Joi.exist(),
+    then: Joi.number().integer().min(Joi.ref('reps')).max(1000),
+    otherwise: Joi.number().integer().min(1).max(1000)
+  }),
+  weight: Joi.number().min(0).max(10000),
+  ...prescriptionKeys
+}).oxor('target_rpe', 'target_rir').oxor('weight', 'percent_1rm');
+
 const workoutPlanExerciseSchema = Joi.object({
   exercise_id: Joi.string().required(),
   sets: Joi.number().integer().min(1).max(50).required(),
   reps: Joi.number().integer().min(1).max(1000).required(),
+  max_reps: Joi.number().integer().min(Joi.ref('reps')).max(1000).optional(), // Top of the rep range
   weight: Joi.number().min(0).max(10000).optional(),
   rest_time: Joi.number().integer().min(0).max(3600).optional(), // max 1 hour rest
   notes: Joi.string().max(500).allow('').optional(),
-  order_index: Joi.number().integer().min(1).optional()
+  order_index: Joi.number().integer().min(1).optional(),
+  ...progressionKeys,
+  ...prescriptionKeys,
+  tempo: Joi.string().pattern(TEMPO_PATTERN).optional(), // e.g. 3-1-X-0
+  set_prescriptions: Joi.array().items(setPrescriptionSchema).length(Joi.ref('sets')).optional() // One per set
+}).oxor('target_rpe', 'target_rir').oxor('weight', 'percent_1rm');
+
+// An exercise added to an existing plan joins one of its groups through group_id; weights are in weight_unit
+const workoutPlanExerciseAddSchema = workoutPlanExerciseSchema.keys({
+  group_id: Joi.string().uuid().optional(),
+  weight_unit: Joi.string().valid(...WEIGHT_UNITS).optional() // Defaults to the user's preferred unit
 });
 
+// Exercise groups; exercises are ordered by their position, and their sets are per round.
+// Each group type holds its own number of exercises, and straight sets are done in one round.
+const exerciseGroupKeys = {
+  group_type: Joi.string().valid(...EXERCISE_GROUP_TYPES),
+  rounds: Joi.number().integer().min(1).max(MAX_GROUP_ROUNDS),
+  rest_between_rounds: Joi.number().integer().min(0).max(MAX_GROUP_REST), // Seconds
+  notes: Joi.string().max(500).allow('')
+};
+
+const groupExercisesSchema = (type) => {
+  const { min, max } = EXERCISE_GROUP_SIZES[type];
+  const schema = Joi.array().items(workoutPlanExerciseSchema.keys({ order_index: Joi.forbidden() })).min(min);
+  return max ? schema.max(max) : schema;
+};
+
+const workoutPlanExerciseGroupSchema = Joi.object({
+  ...exerciseGroupKeys,
+  group_type: exerciseGroupKeys.group_type.required(),
+  rounds: Joi.when('group_type', {
+    is: 'straight_sets',
+    then: Joi.number().valid(1),
+    otherwise: exerciseGroupKeys.rounds
+  }).optional(), // Defaults to 1
+  exercises: Joi.when('group_type', {
+    switch: EXERCISE_GROUP_TYPES.map(type => ({ is: type, then: groupExercisesSchema(type) }))
+  }).required()
+});
+
+// Plans take their exercises as a flat list, or in groups
 const workoutPlanSchema = Joi.object({
   name: Joi.string().min(2).max(255).required(),
   description: Joi.string().max(2000).allow('').optional(),
@@ -74,8 +423,11 @@ const workoutPlanSchema = Joi.object({
   difficulty_level: Joi.string().valid(...DIFFICULTY_LEVELS).optional(),
   estimated_duration: Joi.number().integer().min(5).max(300).optional(), // 5 minutes to 5 hours
   is_public: Joi.boolean().default(false),
-  exercises: Joi.array().items(workoutPlanExerciseSchema).min(1).required()
-});
+  weight_unit: Joi.string().valid(...WEIGHT_UNITS).optional(), // Unit of exercise weights, defaults to the user's preferred unit
+  ...progressionKeys,
+  exercises: Joi.array().items(workoutPlanExerciseSchema).min(1),
+  groups: Joi.array().items(workoutPlanExerciseGroupSchema).min(1)
+}).xor('exercises', 'groups');
 
 const workoutPlanUpdateSchema = Joi.object({
   name: Joi.string().min(2).max(255),
@@ -84,18 +436,199 @@ const workoutPlanUpdateSchema = Joi.object({
   difficulty_level: Joi.string().valid(...DIFFICULTY_LEVELS),
   estimated_duration: Joi.number().integer().min(5).max(300),
   is_public: Joi.boolean(),
-  exercises: Joi.array().items(workoutPlanExerciseSchema).min(1)
-}).min(1);
+  weight_unit: Joi.string().valid(...WEIGHT_UNITS),
+  ...progressionKeys,
+  exercises: Joi.array().items(workoutPlanExerciseSchema).min(1),
+  groups: Joi.array().items(workoutPlanExerciseGroupSchema).min(1)
+}).min(1).oxor('exercises', 'groups');
+
+// Listing filters; favorited limits the list to the user's favorite plans
+const workoutPlanQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).optional(),
+  limit: Joi.number().integer().min(1).max(MAX_PAGE_LIMIT).optional(),
+  muscle_type: Joi.string().valid(...BODY_PARTS).optional(),
+  difficulty_level: Joi.string().valid(...DIFFICULTY_LEVELS).optional(),
+  created_by: Joi.string().uuid().optional(),
+  is_public: Joi.boolean().optional(),
+  favorited: Joi.boolean().optional(),
+  search: Joi.string().max(100).allow('').optional(),
+  sort_by: Joi.string().valid(...WORKOUT_PLAN_SORT_FIELDS).optional(), // Defaults to created_at
+  order: Joi.string().valid(...SORT_ORDERS).optional() // Defaults to desc
+});
+
+// One rating per user and plan; rating again replaces it
+const workoutPlanRatingSchema = Joi.object({
+  rating: Joi.number().integer().min(RATING_MIN).max(RATING_MAX).required(),
+  review: Joi.string().max(MAX_REVIEW_LENGTH).allow('', null).optional()
+});
+
+const workoutPlanRatingQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).optional(),
+  limit: Joi.number().integer().min(1).max(MAX_PAGE_LIMIT).optional()
+});
+
+// A fork keeps the original's name unless given one, and starts private
+const workoutPlanForkSchema = Joi.object({
+  name: Joi.string().min(2).max(255).optional()
+});
+
+// Version numbers to compare; the newer one defaults to the latest version, the older one to the version before it
+const workoutPlanVersionDiffQuerySchema = Joi.object({
+  from: Joi.number().integer().min(1).optional(),
+  to: Joi.number().integer().min(1).optional()
+});
+
+// Keys set to null are cleared, so they do not count against their alternative
+const isNotNull = value => value !== undefined && value !== null;
 
+// progression_rule, weight_increment and max_reps accept null to follow the plan again;
+// the prescription fields accept null to clear them
 const workoutPlanExerciseUpdateSchema = Joi.object({
   sets: Joi.number().integer().min(1).max(50),
   reps: Joi.number().integer().min(1).max(1000),
+  max_reps: Joi.when('reps', {
+    is: Joi.exist(),
+    then: Joi.number().integer().min(Joi.ref('reps')).max(1000).allow(null),
+    otherwise: Joi.number().integer().min(1).max(1000).allow(null)
+  }),
+  progression_rule: progressionKeys.progression_rule.allow(null),
+  weight_increment: progressionKeys.weight_increment.allow(null),
   weight: Joi.number().min(0).max(10000),
   rest_time: Joi.number().integer().min(0).max(3600),
   notes: Joi.string().max(500).allow(''),
-  order_index: Joi.number().integer().min(1)
+  order_index: Joi.number().integer().min(1),
+  group_id: Joi.string().uuid().allow(null), // null takes the exercise out of its group
+  target_rpe: prescriptionKeys.target_rpe.allow(null),
+  target_rir: prescriptionKeys.target_rir.allow(null),
+  percent_1rm: prescriptionKeys.percent_1rm.allow(null),
+  tempo: Joi.string().pattern(TEMPO_PATTERN).allow(null),
+  set_prescriptions: Joi.when('sets', {
+    is: Joi.exist(),
+    then: Joi.array().items(setPrescriptionSchema).length(Joi.ref('sets')).allow(null),
+    otherwise: Joi.array().items(setPrescriptionSchema).min(1).max(50).allow(null)
+  }),
+  weight_unit: Joi.string().valid(...WEIGHT_UNITS)
+}).min(1)
+  .oxor('target_rpe', 'target_rir', { isPresent: isNotNull })
+  .oxor('weight', 'percent_1rm', { isPresent: isNotNull });
+
+const exerciseGroupUpdateSchema = Joi.object({
+  ...exerciseGroupKeys,
+  rest_between_rounds: exerciseGroupKeys.rest_between_rounds.allow(null),
+  notes: exerciseGroupKeys.notes.allow(null)
+}).min(1);
+
+// Training program validation schemas
+// Days point at workout plans; weeks without a modifier use the defaults, deload weeks lighter ones
+const programDaySchema = Joi.object({
+  day_number: Joi.number().integer().min(1).max(DAYS_PER_WEEK).required(),
+  workout_plan_id: Joi.string().uuid().required(),
+  name: Joi.string().max(255).allow('').optional()
+});
+
+const programWeekSchema = Joi.object({
+  week_number: Joi.number().integer().min(1).max(MAX_PROGRAM_WEEKS).optional(), // Defaults to the position in weeks
+  name: Joi.string().max(255).allow('').optional(),
+  is_deload: Joi.boolean().optional(),
+  weight_percent: Joi.number().min(MIN_MODIFIER_PERCENT).max(MAX_MODIFIER_PERCENT).optional(),
+  sets_percent: Joi.number().min(MIN_MODIFIER_PERCENT).max(MAX_MODIFIER_PERCENT).optional(),
+  reps_adjustment: Joi.number().integer().min(-20).max(20).optional(),
+  days: Joi.array().items(programDaySchema).max(DAYS_PER_WEEK).unique('day_number').required()
+});
+
+const programSchema = Joi.object({
+  name: Joi.string().min(2).max(255).required(),
+  description: Joi.string().max(2000).allow('').optional(),
+  difficulty_level: Joi.string().valid(...DIFFICULTY_LEVELS).optional(),
+  is_public: Joi.boolean().default(false),
+  weeks: Joi.array().items(programWeekSchema).min(1).max(MAX_PROGRAM_WEEKS).unique('week_number', { ignoreUndefined: true }).required()
+});
+
+const programUpdateSchema = Joi.object({
+  name: Joi.string().min(2).max(255),
+  description: Joi.string().max(2000).allow(''),
+  difficulty_level: Joi.string().valid(...DIFFICULTY_LEVELS),
+  is_public: Joi.boolean(),
+  weeks: Joi.array().items(programWeekSchema).min(1).max(MAX_PROGRAM_WEEKS).unique('week_number', { ignoreUndefined: true })
+}).min(1);
+
+const programEnrollmentSchema = Joi.object({
+  start_date: Joi.date().iso().optional() // Defaults to today
+});
+
+const programTodayQuerySchema = Joi.object({
+  date: Joi.date().iso().optional() // Defaults to today
+});
+
+// Workout schedule validation schemas
+// Weekdays are ISO weekdays (1 = Monday ... 7 = Sunday); without weekdays a schedule is a one-off workout
+const scheduleTimePattern = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+const scheduleSchema = Joi.object({
+  workout_plan_id: Joi.string().uuid().required(),
+  start_date: Joi.date().iso().required(),
+  end_date: Joi.date().iso().min(Joi.ref('start_date')).allow(null).optional(),
+  weekdays: Joi.array().items(Joi.number().integer().valid(...WEEKDAYS)).unique().optional(),
+  start_time: Joi.string().pattern(scheduleTimePattern).allow(null).optional(), // HH:MM local time, null for all day
+  duration_minutes: Joi.number().integer().min(5).max(600).allow(null).optional(),
+  notes: Joi.string().max(1000).allow('').optional()
+});
+
+const scheduleUpdateSchema = Joi.object({
+  workout_plan_id: Joi.string().uuid(),
+  start_date: Joi.date().iso(),
+  end_date: Joi.date().iso().allow(null),
+  weekdays: Joi.array().items(Joi.number().integer().valid(...WEEKDAYS)).unique(),
+  start_time: Joi.string().pattern(scheduleTimePattern).allow(null),
+  duration_minutes: Joi.number().integer().min(5).max(600).allow(null),
+  notes: Joi.string().max(1000).allow('')
 }).min(1);
 
+const scheduleOccurrenceQuerySchema = Joi.object({
+  from: Joi.date().iso().optional(), // Defaults to two weeks ago
+  to: Joi.date().iso().min(Joi.ref('from')).optional() // Defaults to two weeks ahead
+});
+
+// Sync validation schemas
+// Every pushed change carries the id assigned on the device and the time it was made there
+const syncChangeKeys = {
+  id: Joi.string().uuid().required(),
+  updated_at: Joi.date().iso().required(),
+  deleted: Joi.boolean().valid(false).optional()
+};
+
+const syncDeletionSchema = Joi.object({
+  id: Joi.string().uuid().required(),
+  updated_at: Joi.date().iso().required(),
+  deleted: Joi.boolean().valid(true).required()
+});
+
+// Changes are full records; every entry is checked against the schema of its type separately (see validateSync)
+const syncChangeSchemas = {
+  workout_sessions: Joi.object({
+    ...syncChangeKeys,
+    title: Joi.string().max(255).allow('', null).optional(),
+    notes: Joi.string().max(2000).allow('', null).optional(),
+    started_at: Joi.date().iso().required(),
+    ended_at: Joi.date().iso().min(Joi.ref('started_at')).allow(null).optional()
+  }),
+  gym_logs: sessionGymLogSchema.keys({
+    ...syncChangeKeys,
+    session_id: Joi.string().uuid().allow(null).optional(),
+    session_order: Joi.number().integer().min(1).allow(null).optional(),
+    created_at: Joi.date().iso().optional()
+  }),
+  workout_plans: workoutPlanSchema.keys(syncChangeKeys)
+};
+
+const syncSchema = Joi.object({
+  sync_token: Joi.string().max(2000).allow(null).optional(), // Omitted on the first sync
+  weight_unit: Joi.string().valid(...WEIGHT_UNITS).optional(), // Unit of pushed and pulled weights, defaults to the user's preferred unit
+  changes: Joi.object(Object.fromEntries(
+    SYNC_ENTITY_TYPES.map(type => [type, Joi.array().items(Joi.object()).optional()])
+  )).optional()
+});
+
 // Validation middleware functions
 const validateUser = (req, res, next) => {
   const { error } = userSchema.validate(req.body);
@@ -145,6 +678,35 @@ const validateGymLog = (req, res, next) => {
   next();
 };
 
+// Reports the validation errors of each entry with its index, so clients can point at the failing logs
+const validateGymLogBulk = (req, res, next) => {
+  const { error } = gymLogBulkSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+
+  const errors = req.body.logs
+    .map((log, index) => ({ index, error: gymLogSchema.validate(log).error }))
+    .filter(result => result.error)
+    .map(({ index, error: itemError }) => ({
+      index,
+      details: itemError.details.map(detail => detail.message)
+    }));
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors
+    });
+  }
+  next();
+};
+
 const validateGymLogUpdate = (req, res, next) => {
   const { error } = gymLogUpdateSchema.validate(req.body);
   if (error) {
@@ -157,6 +719,240 @@ const validateGymLogUpdate = (req, res, next) => {
   next();
 };
 
+const validateGymLogQuery = (req, res, next) => {
+  const { error } = gymLogQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  next();
+};
+
+const validateGymLogExportQuery = (req, res, next) => {
+  const { error } = gymLogExportQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  next();
+};
+
+const validateGymLogImport = (req, res, next) => {
+  const { error } = gymLogImportSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  next();
+};
+
+const validatePersonalRecordQuery = (req, res, next) => {
+  const { error } = personalRecordQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  next();
+};
+
+const validateProgressQuery = (req, res, next) => {
+  const { error } = progressQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  next();
+};
+
+const validateGymLogStatsQuery = (req, res, next) => {
+  const { error } = gymLogStatsQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  next();
+};
+
+const validateTrainingCalendarQuery = (req, res, next) => {
+  const { error } = trainingCalendarQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  next();
+};
+
+const validateSessionGymLog = (req, res, next) => {
+  const { error } = sessionGymLogSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  next();
+};
+
+const validateWorkoutSession = (req, res, next) => {
+  const { error } = workoutSessionSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  next();
+};
+
+const validateWorkoutSessionUpdate = (req, res, next) => {
+  const { error } = workoutSessionUpdateSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  next();
+};
+
+const validateWorkoutSessionFinish = (req, res, next) => {
+  const { error } = workoutSessionFinishSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  next();
+};
+
+const validateWorkoutSessionQuery = (req, res, next) => {
+  const { error } = workoutSessionQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  next();
+};
+
+// Reports the validation errors of each change with its type, index and id
+const validateSync = (req, res, next) => {
+  const { error } = syncSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+
+  const { changes = {} } = req.body || {};
+  const changeCount = SYNC_ENTITY_TYPES.reduce((total, type) => total + (changes[type] || []).length, 0);
+
+  if (changeCount > MAX_SYNC_PUSH_CHANGES) {
+    return res.status(400).json({
+      success: false,
+      message: `A sync can push at most ${MAX_SYNC_PUSH_CHANGES} changes; push the rest in the next sync`
+    });
+  }
+
+  const errors = SYNC_ENTITY_TYPES.flatMap(type => (changes[type] || [])
+    .map((change, index) => {
+      const schema = change.deleted === true ? syncDeletionSchema : syncChangeSchemas[type];
+      return { type, index, id: change.id, error: schema.validate(change).error };
+    })
+    .filter(result => result.error)
+    .map(({ error: itemError, ...result }) => ({
+      ...result,
+      details: itemError.details.map(detail => detail.message)
+    })));
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors
+    });
+  }
+  next();
+};
+
+const validateBodyMetric = (req, res, next) => {
+  const { error } = bodyMetricSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  next();
+};
+
+const validateBodyMetricUpdate = (req, res, next) => {
+  const { error } = bodyMetricUpdateSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  next();
+};
+
+const validateBodyMetricQuery = (req, res, next) => {
+  const { error } = bodyMetricQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  next();
+};
+
+const validateBodyMetricTrendQuery = (req, res, next) => {
+  const { error } = bodyMetricTrendQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  next();
+};
+
 const validateExercise = (req, res, next) => {
   const { error } = exerciseSchema.validate(req.body);
   if (error) {
@@ -205,6 +1001,18 @@ const validateWorkoutPlanUpdate = (req, res, next) => {
   next();
 };
 
+const validateWorkoutPlanExercise = (req, res, next) => {
+  const { error } = workoutPlanExerciseAddSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  next();
+};
+
 const validateWorkoutPlanExerciseUpdate = (req, res, next) => {
   const { error } = workoutPlanExerciseUpdateSchema.validate(req.body);
   if (error) {
@@ -217,15 +1025,203 @@ const validateWorkoutPlanExerciseUpdate = (req, res, next) => {
   next();
 };
 
+const validateExerciseGroupUpdate = (req, res, next) => {
+  const { error } = exerciseGroupUpdateSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  next();
+};
+
+const validateWorkoutPlanQuery = (req, res, next) => {
+  const { error } = workoutPlanQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  next();
+};
+
+const validateWorkoutPlanRating = (req, res, next) => {
+  const { error } = workoutPlanRatingSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  next();
+};
+
+const validateWorkoutPlanRatingQuery = (req, res, next) => {
+  const { error } = workoutPlanRatingQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  next();
+};
+
+const validateWorkoutPlanFork = (req, res, next) => {
+  const { error } = workoutPlanForkSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  next();
+};
+
+const validateWorkoutPlanVersionDiffQuery = (req, res, next) => {
+  const { error } = workoutPlanVersionDiffQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  next();
+};
+
+const validateProgram = (req, res, next) => {
+  const { error } = programSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  next();
+};
+
+const validateProgramUpdate = (req, res, next) => {
+  const { error } = programUpdateSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  next();
+};
+
+const validateProgramEnrollment = (req, res, next) => {
+  const { error } = programEnrollmentSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  next();
+};
+
+const validateProgramTodayQuery = (req, res, next) => {
+  const { error } = programTodayQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  next();
+};
+
+const validateSchedule = (req, res, next) => {
+  const { error } = scheduleSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  next();
+};
+
+const validateScheduleUpdate = (req, res, next) => {
+  const { error } = scheduleUpdateSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  next();
+};
+
+const validateScheduleOccurrenceQuery = (req, res, next) => {
+  const { error } = scheduleOccurrenceQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+  next();
+};
+
 module.exports = {
   validateUser,
   validateUserUpdate,
   validateLogin,
   validateGymLog,
   validateGymLogUpdate,
+  validateGymLogBulk,
+  validateGymLogQuery,
+  validateGymLogExportQuery,
+  validateGymLogImport,
+  validatePersonalRecordQuery,
+  validateProgressQuery,
+  validateGymLogStatsQuery,
+  validateTrainingCalendarQuery,
+  validateSessionGymLog,
+  validateWorkoutSession,
+  validateWorkoutSessionUpdate,
+  validateWorkoutSessionFinish,
+  validateWorkoutSessionQuery,
+  validateSync,
+  validateBodyMetric,
+  validateBodyMetricUpdate,
+  validateBodyMetricQuery,
+  validateBodyMetricTrendQuery,
   validateExercise,
   validateExerciseUpdate,
   validateWorkoutPlan,
   validateWorkoutPlanUpdate,
-  validateWorkoutPlanExerciseUpdate
+  validateWorkoutPlanExercise,
+  validateWorkoutPlanExerciseUpdate,
+  validateExerciseGroupUpdate,
+  validateWorkoutPlanQuery,
+  validateWorkoutPlanRating,
+  validateWorkoutPlanRatingQuery,
+  validateWorkoutPlanFork,
+  validateWorkoutPlanVersionDiffQuery,
+  validateProgram,
+  validateProgramUpdate,
+  validateProgramEnrollment,
+  validateProgramTodayQuery,
+  validateSchedule,
+  validateScheduleUpdate,
+  validateScheduleOccurrenceQuery
 };
\ No newline at end of file
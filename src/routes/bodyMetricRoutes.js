@@ -0,0 +1,29 @@
+const express = require('express');
+const BodyMetricController = require('../controllers/bodyMetricController');
+const {
+  validateBodyMetric,
+  validateBodyMetricUpdate,
+  validateBodyMetricQuery,
+  validateBodyMetricTrendQuery
+} = require('../middleware/validation');
+const { authenticate } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Body metric CRUD routes
+router.post('/', validateBodyMetric, BodyMetricController.createBodyMetric);
+router.get('/', validateBodyMetricQuery, BodyMetricController.getAllBodyMetrics);
+
+// Trend routes
+router.get('/trend', validateBodyMetricTrendQuery, BodyMetricController.getBodyMetricTrend);
+router.get('/moving-average', validateBodyMetricTrendQuery, BodyMetricController.getBodyMetricMovingAverage);
+
+// Routes by id come after the fixed paths above
+router.get('/:id', BodyMetricController.getBodyMetricById);
+router.put('/:id', validateBodyMetricUpdate, BodyMetricController.updateBodyMetric);
+router.delete('/:id', BodyMetricController.deleteBodyMetric);
+
+module.exports = router;
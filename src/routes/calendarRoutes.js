@@ -0,0 +1,9 @@
+const express = require('express');
+const ScheduleController = require('../controllers/scheduleController');
+
+const router = express.Router();
+
+// Calendar apps cannot send a JWT; the secret token in the URL identifies the user instead
+router.get('/:token.ics', ScheduleController.getCalendarFeed);
+
+module.exports = router;
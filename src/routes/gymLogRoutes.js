@@ -1,6 +1,19 @@
 const express = require('express');
 const GymLogController = require('../controllers/gymLogController');
-const { validateGymLog, validateGymLogUpdate } = require('../middleware/validation');
+const ImportController = require('../controllers/importController');
+const {
+  validateGymLog,
+  validateGymLogUpdate,
+  validateGymLogBulk,
+  validateGymLogQuery,
+  validateGymLogExportQuery,
+  validateGymLogImport,
+  validatePersonalRecordQuery,
+  validateProgressQuery,
+  validateGymLogStatsQuery,
+  validateTrainingCalendarQuery
+} = require('../middleware/validation');
+const { resolveExercise, resolveExercises, validateLogShape } = require('../middleware/exerciseResolution');
 const { authenticate } = require('../middleware/auth');
 
 const router = express.Router();
@@ -9,13 +22,26 @@ const router = express.Router();
 router.use(authenticate);
 
 // CRUD routes
-router.post('/', validateGymLog, GymLogController.createGymLog);
-router.get('/', GymLogController.getAllGymLogs);
+router.post('/', validateGymLog, resolveExercise, validateLogShape, GymLogController.createGymLog);
+router.get('/', validateGymLogQuery, GymLogController.getAllGymLogs);
+router.post('/bulk', validateGymLogBulk, resolveExercises, GymLogController.createGymLogs);
+
+// Import and export routes
+router.post('/import', validateGymLogImport, ImportController.importGymLogs);
+router.get('/export', validateGymLogExportQuery, GymLogController.exportGymLogs);
+
+// Records, progress, calendar and recovery routes
+router.get('/prs', validatePersonalRecordQuery, GymLogController.getPersonalRecords);
+router.get('/progress', validateProgressQuery, GymLogController.getExerciseProgress);
+router.get('/calendar', validateTrainingCalendarQuery, GymLogController.getTrainingCalendar);
+router.get('/recovery', GymLogController.getMuscleRecovery);
+
+// Routes by id come after the fixed paths above
 router.get('/:id', GymLogController.getGymLogById);
-router.put('/:id', validateGymLogUpdate, GymLogController.updateGymLog);
+router.put('/:id', validateGymLogUpdate, resolveExercise, GymLogController.updateGymLog);
 router.delete('/:id', GymLogController.deleteGymLog);
 
 // Statistics route
-router.get('/stats/:user_id', GymLogController.getGymLogStats);
+router.get('/stats/:user_id', validateGymLogStatsQuery, GymLogController.getGymLogStats);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,31 @@
+const express = require('express');
+const ProgramController = require('../controllers/programController');
+const {
+  validateProgram,
+  validateProgramUpdate,
+  validateProgramEnrollment,
+  validateProgramTodayQuery
+} = require('../middleware/validation');
+const { authenticate } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Training program CRUD routes
+router.post('/', validateProgram, ProgramController.createProgram);
+router.get('/', ProgramController.getAllPrograms);
+
+// Today's workout of the current user's program comes before the routes by id
+router.get('/today', validateProgramTodayQuery, ProgramController.getTodayWorkout);
+
+router.get('/:id', ProgramController.getProgramById);
+router.put('/:id', validateProgramUpdate, ProgramController.updateProgram);
+router.delete('/:id', ProgramController.deleteProgram);
+
+// Enrollment routes
+router.post('/:id/enroll', validateProgramEnrollment, ProgramController.enrollInProgram);
+router.delete('/:id/enroll', ProgramController.leaveProgram);
+
+module.exports = router;
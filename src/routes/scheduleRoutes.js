@@ -0,0 +1,28 @@
+const express = require('express');
+const ScheduleController = require('../controllers/scheduleController');
+const {
+  validateSchedule,
+  validateScheduleUpdate,
+  validateScheduleOccurrenceQuery
+} = require('../middleware/validation');
+const { authenticate } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Workout schedule CRUD routes
+router.post('/', validateSchedule, ScheduleController.createSchedule);
+router.get('/', ScheduleController.getAllSchedules);
+
+// Occurrences and the calendar feed come before the routes by id
+router.get('/occurrences', validateScheduleOccurrenceQuery, ScheduleController.getOccurrences);
+router.post('/feed', ScheduleController.createCalendarFeed);
+router.delete('/feed', ScheduleController.revokeCalendarFeed);
+
+router.get('/:id', ScheduleController.getScheduleById);
+router.put('/:id', validateScheduleUpdate, ScheduleController.updateSchedule);
+router.delete('/:id', ScheduleController.deleteSchedule);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const SessionController = require('../controllers/sessionController');
+const {
+  validateWorkoutSession,
+  validateWorkoutSessionUpdate,
+  validateWorkoutSessionFinish,
+  validateWorkoutSessionQuery,
+  validateSessionGymLog
+} = require('../middleware/validation');
+const { resolveExercise, validateLogShape } = require('../middleware/exerciseResolution');
+const { authenticate } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Workout Session CRUD routes
+router.post('/', validateWorkoutSession, SessionController.startSession);
+router.get('/', validateWorkoutSessionQuery, SessionController.getAllSessions);
+router.get('/:id', SessionController.getSessionById);
+router.get('/:id/adherence', SessionController.getSessionAdherence);
+router.put('/:id', validateWorkoutSessionUpdate, SessionController.updateSession);
+router.delete('/:id', SessionController.deleteSession);
+
+// Live session routes
+router.post('/:id/logs', validateSessionGymLog, resolveExercise, validateLogShape, SessionController.addLogToSession);
+router.post('/:id/finish', validateWorkoutSessionFinish, SessionController.finishSession);
+
+module.exports = router;
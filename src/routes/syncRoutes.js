@@ -0,0 +1,14 @@
+const express = require('express');
+const SyncController = require('../controllers/syncController');
+const { validateSync } = require('../middleware/validation');
+const { authenticate } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Offline sync route: push local changes and pull server changes in one request
+router.post('/', validateSync, SyncController.sync);
+
+module.exports = router;
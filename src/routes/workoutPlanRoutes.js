@@ -1,9 +1,18 @@
 const express = require('express');
 const WorkoutPlanController = require('../controllers/workoutPlanController');
+const PlanRatingController = require('../controllers/planRatingController');
 const { 
   validateWorkoutPlan, 
   validateWorkoutPlanUpdate, 
-  validateWorkoutPlanExerciseUpdate 
+  validateWorkoutPlanExercise,
+  validateWorkoutPlanExerciseUpdate,
+  validateExerciseGroupUpdate,
+  validateWorkoutPlanQuery,
+  validateWorkoutPlanRating,
+  validateWorkoutPlanRatingQuery,
+  validateWorkoutPlanFork,
+  validateWorkoutPlanVersionDiffQuery,
+  validateWorkoutSession
 } = require('../middleware/validation');
 const { authenticate } = require('../middleware/auth');
 
@@ -14,15 +23,38 @@ router.use(authenticate);
 
 // Workout Plan CRUD routes
 router.post('/', validateWorkoutPlan, WorkoutPlanController.createWorkoutPlan);
-router.get('/', WorkoutPlanController.getAllWorkoutPlans);
+router.get('/', validateWorkoutPlanQuery, WorkoutPlanController.getAllWorkoutPlans);
 router.get('/stats', WorkoutPlanController.getWorkoutPlanStats);
 router.get('/:id', WorkoutPlanController.getWorkoutPlanById);
 router.put('/:id', validateWorkoutPlanUpdate, WorkoutPlanController.updateWorkoutPlan);
 router.delete('/:id', WorkoutPlanController.deleteWorkoutPlan);
 
+// Copy a plan into the current user's account
+router.post('/:id/fork', validateWorkoutPlanFork, WorkoutPlanController.forkWorkoutPlan);
+
+// Ratings, reviews and favorites
+router.get('/:id/ratings', validateWorkoutPlanRatingQuery, PlanRatingController.getWorkoutPlanRatings);
+router.put('/:id/rating', validateWorkoutPlanRating, PlanRatingController.rateWorkoutPlan);
+router.delete('/:id/rating', PlanRatingController.deleteWorkoutPlanRating);
+router.post('/:id/favorite', PlanRatingController.favoriteWorkoutPlan);
+router.delete('/:id/favorite', PlanRatingController.unfavoriteWorkoutPlan);
+
+// Version history routes; the diff comes before the routes by version number
+router.get('/:id/versions', WorkoutPlanController.getWorkoutPlanVersions);
+router.get('/:id/versions/diff', validateWorkoutPlanVersionDiffQuery, WorkoutPlanController.diffWorkoutPlanVersions);
+router.get('/:id/versions/:version', WorkoutPlanController.getWorkoutPlanVersion);
+router.post('/:id/versions/:version/restore', WorkoutPlanController.restoreWorkoutPlanVersion);
+
+// Workouts started from a plan
+router.post('/:id/start', validateWorkoutSession, WorkoutPlanController.startWorkoutPlan);
+router.get('/:id/adherence', WorkoutPlanController.getWorkoutPlanAdherence);
+
 // Workout Plan Exercise management routes
-router.post('/:planId/exercises', WorkoutPlanController.addExerciseToWorkoutPlan);
+router.post('/:planId/exercises', validateWorkoutPlanExercise, WorkoutPlanController.addExerciseToWorkoutPlan);
 router.put('/:planId/exercises/:exerciseId', validateWorkoutPlanExerciseUpdate, WorkoutPlanController.updateExerciseInWorkoutPlan);
 router.delete('/:planId/exercises/:exerciseId', WorkoutPlanController.removeExerciseFromWorkoutPlan);
 
+// Supersets, giant sets and circuits; groups are created with the plan and joined through group_id
+router.put('/:planId/groups/:groupId', validateExerciseGroupUpdate, WorkoutPlanController.updateExerciseGroup);
+
 module.exports = router;
\ No newline at end of file
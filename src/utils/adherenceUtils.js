@@ -0,0 +1,161 @@
+const round = (value) => Math.round(value * 100) / 100;
+
+const average = (values) => (values.length > 0
+  ? round(values.reduce((total, value) => total + value, 0) / values.length)
+  : null);
+
+/**
+ * Adherence utility functions comparing what was logged in a session with what its plan targeted.
+ * Completion counts working sets against the planned sets; load deviation compares the working volume
+ * with sets x reps x weight of the plan, for planned exercises with a target weight.
+ */
+class AdherenceUtils {
+  /**
+   * Compare the logs of one planned exercise with its targets
+   * @param {Object} planned - Planned exercise with sets, reps and optional weight (kg)
+   * @param {Array} logs - Gym logs linked to it, formatted with GymLogUtils.formatGymLogResponse
+   * @returns {Object} - Targets, actuals, status, completion and load deviation
+   */
+  static compareExercise(planned, logs) {
+    const timed = logs.some(log => log.duration_seconds !== null && log.duration_seconds !== undefined);
+    const workSets = logs.flatMap(log => log.sets).filter(set => set.set_type !== 'warmup');
+    const targetWeight = planned.weight === null || planned.weight === undefined ? null : Number(planned.weight);
+
+    // Timed logs have no sets; any timed log completes the exercise
+    const setsCompleted = timed ? planned.sets : workSets.length;
+    const setsOnTarget = timed
+      ? planned.sets
+      : workSets.filter(set => set.reps >= planned.reps && (targetWeight === null || set.weight >= targetWeight)).length;
+    const totalReps = workSets.reduce((total, set) => total + set.reps, 0);
+    const actualVolume = workSets.reduce((total, set) => total + set.reps * set.weight, 0);
+    const averageWeight = totalReps > 0 ? actualVolume / totalReps : null;
+    const plannedVolume = targetWeight !== null ? planned.sets * planned.reps * targetWeight : null;
+    const measured = !timed && workSets.length > 0 && plannedVolume !== null;
+
+    let status = 'missed';
+    if (setsCompleted >= planned.sets) {
+      status = 'completed';
+    } else if (setsCompleted > 0) {
+      status = 'partial';
+    }
+
+    return {
+      planned_exercise_id: planned.id,
+      exercise_id: planned.exercise_id,
+      exercise_name: planned.exercise_name || null,
+      order_index: planned.order_index,
+      target_sets: planned.sets,
+      target_reps: planned.reps,
+      target_weight: targetWeight,
+      logs: logs.length,
+      sets_completed: setsCompleted,
+      sets_on_target: Math.min(setsOnTarget, planned.sets),
+      status,
+      completion_percentage: round((Math.min(setsCompleted, planned.sets) / planned.sets) * 100),
+      average_weight: averageWeight !== null ? round(averageWeight) : null,
+      weight_deviation: measured && averageWeight !== null ? round(averageWeight - targetWeight) : null,
+      planned_volume: plannedVolume !== null ? round(plannedVolume) : null,
+      actual_volume: timed ? null : round(actualVolume),
+      load_deviation_percentage: measured && plannedVolume > 0
+        ? round(((actualVolume - plannedVolume) / plannedVolume) * 100)
+        : null
+    };
+  }
+
+  /**
+   * Build the adherence report of a session started from a plan
+   * @param {Object} session - Session with id, workout_plan_id, started_at and ended_at
+   * @param {Array} plannedExercises - The session's planned exercises
+   * @param {Array} logs - The session's gym logs, formatted, with planned_exercise_id
+   * @returns {Object} - Session completion, missed exercises, load deviation and per-exercise comparison
+   */
+  static calculateSessionAdherence(session, plannedExercises, logs) {
+    const exercises = [...plannedExercises]
+      .sort((a, b) => a.order_index - b.order_index)
+      .map(planned => AdherenceUtils.compareExercise(
+        planned,
+        logs.filter(log => log.planned_exercise_id === planned.id)
+      ));
+
+    const plannedSets = exercises.reduce((total, exercise) => total + exercise.target_sets, 0);
+    const completedSets = exercises.reduce(
+      (total, exercise) => total + Math.min(exercise.sets_completed, exercise.target_sets),
+      0
+    );
+    const measured = exercises.filter(exercise => exercise.load_deviation_percentage !== null);
+    const plannedVolume = measured.reduce((total, exercise) => total + exercise.planned_volume, 0);
+    const actualVolume = measured.reduce((total, exercise) => total + exercise.actual_volume, 0);
+
+    return {
+      session_id: session.id,
+      workout_plan_id: session.workout_plan_id || null,
+      started_at: session.started_at,
+      status: session.ended_at ? 'completed' : 'active',
+      completion_percentage: plannedSets > 0 ? round((completedSets / plannedSets) * 100) : null,
+      exercises_planned: exercises.length,
+      exercises_completed: exercises.filter(exercise => exercise.status === 'completed').length,
+      missed_exercises: exercises
+        .filter(exercise => exercise.status === 'missed')
+        .map(({ planned_exercise_id, exercise_id, exercise_name }) => ({
+          planned_exercise_id,
+          exercise_id,
+          exercise_name
+        })),
+      unplanned_logs: logs.filter(log => !log.planned_exercise_id).length,
+      load_deviation_percentage: plannedVolume > 0
+        ? round(((actualVolume - plannedVolume) / plannedVolume) * 100)
+        : null,
+      exercises
+    };
+  }
+
+  /**
+   * Summarize the adherence of several sessions of one or more plans
+   * @param {Array} reports - Outputs of calculateSessionAdherence
+   * @returns {Object} - Averages over the sessions and, per exercise, how often it was missed
+   */
+  static summarizeAdherence(reports) {
+    const completions = reports
+      .map(report => report.completion_percentage)
+      .filter(value => value !== null);
+    const deviations = reports
+      .map(report => report.load_deviation_percentage)
+      .filter(value => value !== null);
+
+    const byExercise = new Map();
+    reports.forEach(report => {
+      report.exercises.forEach(exercise => {
+        const entry = byExercise.get(exercise.exercise_id) || {
+          exercise_id: exercise.exercise_id,
+          exercise_name: exercise.exercise_name,
+          sessions: 0,
+          missed: 0,
+          completions: [],
+          deviations: []
+        };
+
+        entry.sessions += 1;
+        if (exercise.status === 'missed') entry.missed += 1;
+        entry.completions.push(exercise.completion_percentage);
+        if (exercise.load_deviation_percentage !== null) entry.deviations.push(exercise.load_deviation_percentage);
+
+        byExercise.set(exercise.exercise_id, entry);
+      });
+    });
+
+    return {
+      sessions: reports.length,
+      fully_completed_sessions: reports.filter(report => report.completion_percentage === 100).length,
+      average_completion_percentage: average(completions),
+      average_load_deviation_percentage: average(deviations),
+      exercises: [...byExercise.values()].map(({ completions: exerciseCompletions, deviations: exerciseDeviations, ...entry }) => ({
+        ...entry,
+        miss_rate: round((entry.missed / entry.sessions) * 100),
+        average_completion_percentage: average(exerciseCompletions),
+        average_load_deviation_percentage: average(exerciseDeviations)
+      }))
+    };
+  }
+}
+
+module.exports = AdherenceUtils;
@@ -0,0 +1,124 @@
+/**
+ * Analytics utility functions for statistics periods and training streaks
+ */
+class AnalyticsUtils {
+  /**
+   * Resolve a statistics period into a date range and bucket size.
+   * - week: last 7 days, grouped by day
+   * - month: last 30 days, grouped by week
+   * - year: last 365 days, grouped by month
+   * - custom: from/to as given, grouped by day up to 31 days, by week up to 26 weeks, else by month
+   * @param {Object} params - Period parameters from the query string
+   * @param {Date} now - Reference time
+   * @returns {Object} - Period type, from and to as ISO strings, and group_by
+   */
+  static resolveStatsPeriod({ period = 'week', from, to, group_by }, now = new Date()) {
+    const days = { week: 7, month: 30, year: 365 };
+    const defaultGroupBy = { week: 'day', month: 'week', year: 'month' };
+
+    let rangeStart;
+    let rangeEnd;
+    let groupBy = group_by;
+
+    if (period === 'custom') {
+      rangeStart = new Date(from);
+      rangeEnd = to ? new Date(to) : now;
+
+      if (!groupBy) {
+        const spanDays = (rangeEnd - rangeStart) / (24 * 60 * 60 * 1000);
+        groupBy = spanDays <= 31 ? 'day' : spanDays <= 182 ? 'week' : 'month';
+      }
+    } else {
+      rangeEnd = now;
+      rangeStart = new Date(now);
+      rangeStart.setDate(rangeStart.getDate() - days[period]);
+      groupBy = groupBy || defaultGroupBy[period];
+    }
+
+    return {
+      type: period,
+      from: rangeStart.toISOString(),
+      to: rangeEnd.toISOString(),
+      group_by: groupBy
+    };
+  }
+
+  /**
+   * Get the date range of a calendar year in UTC
+   * @param {number} year - Calendar year
+   * @returns {Object} - from (inclusive) and to (exclusive) as ISO strings
+   */
+  static getYearRange(year) {
+    return {
+      from: new Date(Date.UTC(year, 0, 1)).toISOString(),
+      to: new Date(Date.UTC(year + 1, 0, 1)).toISOString()
+    };
+  }
+
+  /**
+   * Get the Monday starting the week of a date, in UTC
+   * @param {Date} date - Any time in the week
+   * @returns {string} - Week start as YYYY-MM-DD
+   */
+  static getWeekStart(date) {
+    const weekStart = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    weekStart.setUTCDate(weekStart.getUTCDate() - ((weekStart.getUTCDay() + 6) % 7));
+    return weekStart.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Calculate training streaks in weeks. A week counts when it has at least `goal` training days.
+   * The current week is still in progress: it extends the current streak once it reaches the goal,
+   * and doesn't break it before.
+   * @param {Array} weeks - Training days per week ({ weekStart: 'YYYY-MM-DD', trainingDays }), any order
+   * @param {number} goal - Training days per week needed for the week to count
+   * @param {Date} now - Reference time
+   * @returns {Object} - Current and longest streak in weeks, and progress of the current week
+   */
+  static calculateStreaks(weeks, goal, now = new Date()) {
+    const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+    const daysByWeek = new Map(weeks.map(week => [String(week.weekStart).slice(0, 10), week.trainingDays]));
+    const isGoalMet = (weekStart) => (daysByWeek.get(weekStart) || 0) >= goal;
+    const previousWeek = (weekStart) => new Date(Date.parse(weekStart) - WEEK_MS).toISOString().slice(0, 10);
+
+    // Longest run of consecutive weeks meeting the goal
+    const goalWeeks = [...daysByWeek.keys()].filter(isGoalMet).sort();
+    let longest = { weeks: 0, from: null, to: null };
+    let run = null;
+
+    goalWeeks.forEach(weekStart => {
+      run = run && run.to === previousWeek(weekStart)
+        ? { ...run, weeks: run.weeks + 1, to: weekStart }
+        : { weeks: 1, from: weekStart, to: weekStart };
+
+      if (run.weeks > longest.weeks) {
+        longest = run;
+      }
+    });
+
+    // Current run, counted back from this week (or last week while this week is short of the goal)
+    const currentWeek = AnalyticsUtils.getWeekStart(now);
+    let weekStart = isGoalMet(currentWeek) ? currentWeek : previousWeek(currentWeek);
+    let current = 0;
+
+    while (isGoalMet(weekStart)) {
+      current += 1;
+      weekStart = previousWeek(weekStart);
+    }
+
+    return {
+      weekly_training_goal: goal,
+      current_weeks: current,
+      longest_weeks: longest.weeks,
+      longest_from: longest.from,
+      longest_to: longest.to,
+      current_week: {
+        week_start: currentWeek,
+        training_days: daysByWeek.get(currentWeek) || 0,
+        goal_met: isGoalMet(currentWeek)
+      }
+    };
+  }
+}
+
+module.exports = AnalyticsUtils;
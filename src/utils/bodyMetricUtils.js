@@ -0,0 +1,151 @@
+const { BODY_METRICS, BODY_MEASUREMENT_FIELDS } = require('../constants/bodyMetrics');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Body metric utility functions for entries, daily series, moving averages and trends.
+ * A series has one value per calendar day (UTC): the last entry of the day that records the metric.
+ */
+class BodyMetricUtils {
+  /**
+   * Format a body metric entry for API response. Decimal columns arrive as strings.
+   * @param {Object} entry - Raw body metric entry from database
+   * @returns {Object} - Entry with numeric metrics
+   */
+  static formatBodyMetricResponse(entry) {
+    if (!entry) return null;
+
+    const formatted = { ...entry };
+    BODY_METRICS.forEach(metric => {
+      if (formatted[metric] !== undefined && formatted[metric] !== null) {
+        formatted[metric] = Number(formatted[metric]);
+      }
+    });
+
+    return formatted;
+  }
+
+  /**
+   * Unit a metric is reported in
+   * @param {string} metric - Metric from BODY_METRICS
+   * @param {string} weightUnit - Weight unit of the response
+   * @returns {string} - Weight unit, "percent" or "cm"
+   */
+  static getMetricUnit(metric, weightUnit) {
+    if (metric === 'bodyweight') return weightUnit;
+    return BODY_MEASUREMENT_FIELDS.includes(metric) ? 'cm' : 'percent';
+  }
+
+  /**
+   * Build the daily series of one metric
+   * @param {Array} entries - Formatted entries in any order
+   * @param {string} metric - Metric from BODY_METRICS
+   * @returns {Array} - { date, value } ordered by date, days without the metric left out
+   */
+  static buildDailySeries(entries, metric) {
+    const days = new Map();
+
+    [...entries]
+      .filter(entry => entry[metric] !== null && entry[metric] !== undefined)
+      .sort((a, b) => new Date(a.measured_at) - new Date(b.measured_at))
+      .forEach(entry => {
+        days.set(new Date(entry.measured_at).toISOString().slice(0, 10), Number(entry[metric]));
+      });
+
+    return [...days.entries()]
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+      .map(([date, value]) => ({ date, value }));
+  }
+
+  /**
+   * Add a trailing moving average to a daily series. Days without an entry are skipped, so each
+   * average covers the entries of the last windowDays calendar days.
+   * @param {Array} series - Output of buildDailySeries
+   * @param {number} windowDays - Days covered by each average, including the day itself
+   * @returns {Array} - { date, value, moving_average, window_entries } per day of the series
+   */
+  static calculateMovingAverage(series, windowDays) {
+    return series.map((point, index) => {
+      const windowStart = Date.parse(point.date) - (windowDays - 1) * DAY_MS;
+      const window = series
+        .slice(0, index + 1)
+        .filter(candidate => Date.parse(candidate.date) >= windowStart);
+
+      return {
+        date: point.date,
+        value: point.value,
+        moving_average: round(window.reduce((total, candidate) => total + candidate.value, 0) / window.length),
+        window_entries: window.length
+      };
+    });
+  }
+
+  /**
+   * Summarize the trend of a daily series. The weekly rate is the slope of a least-squares line
+   * through the series, so a single outlier moves it less than the first-to-last change.
+   * @param {Array} series - Output of buildDailySeries
+   * @returns {Object} - Start, end, change, weekly rate and range of the series
+   */
+  static calculateTrend(series) {
+    if (series.length === 0) {
+      return {
+        entries: 0,
+        start_date: null,
+        end_date: null,
+        start_value: null,
+        end_value: null,
+        change: null,
+        change_percentage: null,
+        weekly_rate: null,
+        min: null,
+        max: null,
+        average: null
+      };
+    }
+
+    const first = series[0];
+    const last = series[series.length - 1];
+    const values = series.map(point => point.value);
+
+    const xs = series.map(point => (Date.parse(point.date) - Date.parse(first.date)) / DAY_MS);
+    const meanX = xs.reduce((total, x) => total + x, 0) / xs.length;
+    const meanY = values.reduce((total, value) => total + value, 0) / values.length;
+    const covariance = xs.reduce((total, x, index) => total + (x - meanX) * (values[index] - meanY), 0);
+    const variance = xs.reduce((total, x) => total + (x - meanX) ** 2, 0);
+
+    return {
+      entries: series.length,
+      start_date: first.date,
+      end_date: last.date,
+      start_value: first.value,
+      end_value: last.value,
+      change: round(last.value - first.value),
+      change_percentage: first.value ? round(((last.value - first.value) / first.value) * 100) : 0,
+      weekly_rate: variance > 0 ? round((covariance / variance) * 7) : 0,
+      min: Math.min(...values),
+      max: Math.max(...values),
+      average: round(meanY)
+    };
+  }
+
+  /**
+   * Get the value of a daily series on a date: the latest value on or before it
+   * @param {Array} series - Output of buildDailySeries
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @returns {number|null} - Value, null before the first entry
+   */
+  static getValueOn(series, date) {
+    let value = null;
+
+    for (const point of series) {
+      if (point.date > date) break;
+      value = point.value;
+    }
+
+    return value;
+  }
+}
+
+module.exports = BodyMetricUtils;
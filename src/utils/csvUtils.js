@@ -0,0 +1,99 @@
+/**
+ * CSV utility functions for reading uploaded spreadsheets
+ */
+class CsvUtils {
+  /**
+   * Detect the delimiter of a CSV file from its header line.
+   * Some spreadsheet locales export with semicolons instead of commas.
+   * @param {string} text - CSV content
+   * @returns {string} - ',' or ';'
+   */
+  static detectDelimiter(text) {
+    const headerLine = text.slice(0, text.search(/\r?\n|$/));
+    const count = (char) => headerLine.split(char).length - 1;
+
+    return count(';') > count(',') ? ';' : ',';
+  }
+
+  /**
+   * Normalize a header cell to a snake_case key, e.g. "Exercise Name" to "exercise_name"
+   * @param {string} header - Header cell
+   * @returns {string} - Normalized key
+   */
+  static normalizeHeader(header) {
+    return String(header)
+      .trim()
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '');
+  }
+
+  /**
+   * Parse CSV content (RFC 4180: quoted cells, doubled quotes, line breaks inside quotes)
+   * @param {string} text - CSV content
+   * @returns {Object} - Normalized headers and rows keyed by header, each with its line number
+   */
+  static parse(text) {
+    const content = String(text || '').replace(/^\uFEFF/, '');
+    const delimiter = CsvUtils.detectDelimiter(content);
+    const records = [];
+
+    let record = [];
+    let cell = '';
+    let inQuotes = false;
+    let line = 1;
+    let recordLine = 1;
+
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+
+      if (inQuotes) {
+        if (char === '"' && content[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          if (char === '\n') line++;
+          cell += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        record.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && content[i + 1] === '\n') i++;
+        record.push(cell);
+        records.push({ line: recordLine, cells: record });
+        record = [];
+        cell = '';
+        line++;
+        recordLine = line;
+      } else {
+        cell += char;
+      }
+    }
+
+    if (cell !== '' || record.length > 0) {
+      record.push(cell);
+      records.push({ line: recordLine, cells: record });
+    }
+
+    const nonEmpty = records.filter(({ cells }) => cells.some(value => value.trim() !== ''));
+
+    if (nonEmpty.length === 0) {
+      return { headers: [], rows: [] };
+    }
+
+    const headers = nonEmpty[0].cells.map(CsvUtils.normalizeHeader);
+    const rows = nonEmpty.slice(1).map(({ line: rowLine, cells }) => headers.reduce((row, header, index) => {
+      row[header] = cells[index] !== undefined ? cells[index].trim() : '';
+      return row;
+    }, { line: rowLine }));
+
+    return { headers, rows };
+  }
+}
+
+module.exports = CsvUtils;
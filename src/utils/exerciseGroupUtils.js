@@ -0,0 +1,98 @@
+const { DEFAULT_EXERCISE_GROUP_TYPE } = require('../constants/exerciseGroup');
+
+const GROUP_FIELDS = ['id', 'group_type', 'rounds', 'rest_between_rounds', 'notes'];
+
+// Label of the group at a position: A...Z, then AA, AB...
+const toLetters = (index) => {
+  let label = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    label = String.fromCharCode(65 + ((n - 1) % 26)) + label;
+  }
+  return label;
+};
+
+/**
+ * Exercise group utility functions for workout plans whose exercises are grouped into straight sets,
+ * supersets, giant sets and circuits. Groups are ordered by their first exercise; exercises without a
+ * group are straight sets on their own.
+ */
+class ExerciseGroupUtils {
+  /**
+   * Get the sets of a plan exercise over all rounds of its group
+   * @param {Object} exercise - Plan exercise with sets
+   * @param {Object} [group] - Its group with rounds, none for an exercise on its own
+   * @returns {number} - Total sets
+   */
+  static getTotalSets(exercise, group) {
+    return exercise.sets * (group ? group.rounds : 1);
+  }
+
+  /**
+   * Flatten groups of exercises from a request into groups and plan exercises, in order
+   * @param {Array} groups - Groups, each with its exercises
+   * @returns {Object} - groups without their exercises, and exercises with the position of their group
+   *                     (group_index) and their position in the plan (order_index)
+   */
+  static flattenGroups(groups) {
+    let orderIndex = 0;
+
+    return {
+      groups: groups.map(({ exercises, ...group }) => group),
+      exercises: groups.flatMap(({ exercises }, groupIndex) => exercises.map(exercise => ({
+        ...exercise,
+        group_index: groupIndex,
+        order_index: ++orderIndex
+      })))
+    };
+  }
+
+  /**
+   * Nest plan exercises in their groups and label them the way lifters write plans: A1/A2 for the
+   * exercises of a superset, B for an exercise on its own
+   * @param {Array} exercises - Plan exercises with group_id, ordered by order_index
+   * @param {Array} groups - Group rows of the plan
+   * @returns {Array} - Groups in order with their label and exercises; an exercise on its own gets
+   *                    a straight-sets group without an ID
+   */
+  static nestExercises(exercises, groups) {
+    const groupsById = new Map(groups.map(group => [group.id, group]));
+    const nested = new Map();
+
+    exercises.forEach(exercise => {
+      const group = exercise.group_id ? groupsById.get(exercise.group_id) : null;
+
+      if (group && nested.has(group.id)) {
+        nested.get(group.id).exercises.push(exercise);
+        return;
+      }
+
+      const entry = group
+        ? { ...Object.fromEntries(GROUP_FIELDS.map(field => [field, group[field]])), exercises: [exercise] }
+        : {
+          id: null,
+          group_type: DEFAULT_EXERCISE_GROUP_TYPE,
+          rounds: 1,
+          rest_between_rounds: null,
+          notes: null,
+          exercises: [exercise]
+        };
+
+      nested.set(group ? group.id : exercise.id, entry);
+    });
+
+    return [...nested.values()].map((group, index) => {
+      const label = toLetters(index);
+
+      return {
+        label,
+        ...group,
+        exercises: group.exercises.map((exercise, position) => ({
+          ...exercise,
+          label: group.exercises.length > 1 ? `${label}${position + 1}` : label
+        }))
+      };
+    });
+  }
+}
+
+module.exports = ExerciseGroupUtils;
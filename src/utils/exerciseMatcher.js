@@ -0,0 +1,110 @@
+/**
+ * Exercise matcher for resolving free-text exercise names against the exercise catalog
+ */
+class ExerciseMatcher {
+  /**
+   * Normalize an exercise name for comparison:
+   * lowercase, punctuation to spaces, collapsed whitespace and singular tokens
+   * @param {string} name - Exercise name
+   * @returns {string} - Normalized name
+   */
+  static normalizeName(name) {
+    return String(name || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim()
+      .split(' ')
+      .filter(Boolean)
+      .map(token => (token.length > 2 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token))
+      .join(' ');
+  }
+
+  /**
+   * Levenshtein edit distance between two strings
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @returns {number} - Edit distance
+   */
+  static editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      }
+
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  /**
+   * Similarity score between two exercise names, from 0 (unrelated) to 1 (same exercise).
+   * Combines edit distance on the names without spaces with token overlap,
+   * so both typos ("bench pres") and partial names ("bench") score well.
+   * @param {string} query - Name to resolve
+   * @param {string} candidate - Catalog exercise name
+   * @returns {number} - Similarity score rounded to three decimals
+   */
+  static similarity(query, candidate) {
+    const a = ExerciseMatcher.normalizeName(query);
+    const b = ExerciseMatcher.normalizeName(candidate);
+
+    if (!a || !b) return 0;
+
+    const compactA = a.replace(/ /g, '');
+    const compactB = b.replace(/ /g, '');
+
+    if (compactA === compactB) return 1;
+
+    const editScore = 1 - ExerciseMatcher.editDistance(compactA, compactB) / Math.max(compactA.length, compactB.length);
+
+    const tokensA = new Set(a.split(' '));
+    const tokensB = new Set(b.split(' '));
+    const shared = [...tokensA].filter(token => tokensB.has(token)).length;
+    const jaccard = shared / new Set([...tokensA, ...tokensB]).size;
+
+    // Every token of the query appears in the candidate, e.g. "bench" in "bench press"
+    const containmentScore = shared === tokensA.size ? 0.75 + 0.25 * jaccard : 0;
+
+    return Math.round(Math.max(editScore, containmentScore, jaccard) * 1000) / 1000;
+  }
+
+  /**
+   * Find the best catalog match for a name. The best candidate only matches when it clearly beats
+   * the runner-up: "press" scores the same for Bench Press, Overhead Press and Leg Press, so it
+   * matches none of them and returns them as suggestions.
+   * @param {string} name - Name to resolve
+   * @param {Array} catalog - Catalog exercises with id and name
+   * @param {Object} options - Matching options
+   * @param {number} options.threshold - Minimum score for a match
+   * @param {number} options.margin - Minimum lead of the best score over the runner-up for a match
+   * @param {number} options.suggestionCount - Number of suggestions to return
+   * @returns {Object} - Matched exercise (or null), its score and the best suggestions
+   */
+  static match(name, catalog, { threshold = 0.8, margin = 0.04, suggestionCount = 3 } = {}) {
+    const ranked = catalog
+      .map(exercise => ({ exercise, score: ExerciseMatcher.similarity(name, exercise.name) }))
+      .filter(candidate => candidate.score > 0)
+      .sort((a, b) => b.score - a.score);
+
+    const [best, runnerUp] = ranked;
+    const isClearBest = Boolean(best) && (!runnerUp || best.score - runnerUp.score >= margin);
+
+    return {
+      exercise: isClearBest && best.score >= threshold ? best.exercise : null,
+      score: best ? best.score : 0,
+      suggestions: ranked.slice(0, suggestionCount).map(candidate => ({
+        id: candidate.exercise.id,
+        name: candidate.exercise.name,
+        score: candidate.score
+      }))
+    };
+  }
+}
+
+module.exports = ExerciseMatcher;
@@ -0,0 +1,113 @@
+// CSV columns, one row per set (one row per timed log, with empty set columns)
+const CSV_COLUMNS = [
+  'date',
+  'gym_log_id',
+  'session_id',
+  'exercise',
+  'exercise_id',
+  'body_part',
+  'exercise_type',
+  'set_number',
+  'set_type',
+  'reps',
+  'weight',
+  'weight_unit',
+  'rpe',
+  'duration_seconds',
+  'distance_km',
+  'pace_seconds_per_km',
+  'average_heart_rate',
+  'calories',
+  'incline_percent',
+  'notes'
+];
+
+/**
+ * Export utility functions for writing training history as CSV or JSON
+ */
+class ExportUtils {
+  /**
+   * Escape a value for a CSV cell.
+   * Text starting with a formula character is prefixed with a quote so spreadsheets don't evaluate it.
+   * @param {*} value - Cell value
+   * @returns {string} - Escaped cell
+   */
+  static escapeCsvValue(value) {
+    if (value === null || value === undefined) return '';
+
+    let text = String(value);
+
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Format one CSV line
+   * @param {Array} values - Cell values in column order
+   * @returns {string} - CSV line ending with CRLF
+   */
+  static formatCsvRow(values) {
+    return `${values.map(value => ExportUtils.escapeCsvValue(value)).join(',')}\r\n`;
+  }
+
+  /**
+   * CSV header line
+   * @returns {string} - Header line
+   */
+  static getCsvHeader() {
+    return ExportUtils.formatCsvRow(CSV_COLUMNS);
+  }
+
+  /**
+   * Format a gym log as CSV lines, one per set. Timed logs have no sets and take one line.
+   * @param {Object} log - Gym log formatted with GymLogUtils.formatGymLogResponse and converted to the export unit
+   * @returns {string} - CSV lines
+   */
+  static formatGymLogCsv(log) {
+    const catalog = log.exercises || {};
+    const rows = log.sets.length > 0 ? log.sets : [{}];
+
+    return rows.map(set => ExportUtils.formatCsvRow([
+      log.created_at,
+      log.id,
+      log.session_id,
+      log.exercise,
+      log.exercise_id,
+      catalog.body_part,
+      catalog.exercise_type,
+      set.set_number,
+      set.set_type,
+      set.reps,
+      set.weight,
+      log.weight_unit,
+      set.rpe,
+      log.duration_seconds,
+      log.distance_km,
+      log.pace_seconds_per_km,
+      log.average_heart_rate,
+      log.calories,
+      log.incline_percent,
+      log.notes
+    ])).join('');
+  }
+
+  /**
+   * Format a gym log as an element of the exported JSON array
+   * @param {Object} log - Gym log formatted with GymLogUtils.formatGymLogResponse and converted to the export unit
+   * @returns {Object} - Gym log with catalog metadata at the top level
+   */
+  static formatGymLogJson(log) {
+    const { exercises: catalog, users, ...rest } = log;
+
+    return {
+      ...rest,
+      body_part: catalog ? catalog.body_part : null,
+      exercise_type: catalog ? catalog.exercise_type : null
+    };
+  }
+}
+
+module.exports = ExportUtils;
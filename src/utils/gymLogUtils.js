@@ -0,0 +1,199 @@
+const { DEFAULT_SET_TYPE, TIMED_LOG_FIELDS, STRENGTH_LOG_FIELDS } = require('../constants/gymLog');
+
+/**
+ * Gym log utility functions for set handling and data processing.
+ * Strength logs carry sets; timed logs (cardio, endurance and mobility exercises) carry a duration instead.
+ */
+class GymLogUtils {
+  /**
+   * Build individual set rows from a gym log payload.
+   * Accepts either an array of sets or the flat sets/reps/weight shape,
+   * which is expanded into identical working sets.
+   * @param {Object} payload - Gym log data from API request
+   * @returns {Array} - Set rows ordered by set_number
+   */
+  static buildSets({ sets, reps, weight }) {
+    if (Array.isArray(sets)) {
+      return sets.map((set, index) => ({
+        set_number: index + 1,
+        reps: set.reps,
+        weight: set.weight,
+        set_type: set.set_type || DEFAULT_SET_TYPE,
+        rpe: set.rpe !== undefined ? set.rpe : null
+      }));
+    }
+
+    return Array.from({ length: sets || 0 }, (_, index) => ({
+      set_number: index + 1,
+      reps,
+      weight,
+      set_type: DEFAULT_SET_TYPE,
+      rpe: null
+    }));
+  }
+
+  /**
+   * Summarize set rows into the flat sets/reps/weight columns kept on gym_logs.
+   * The summary describes the top set: the heaviest non-warmup set, with the most reps at that weight.
+   * @param {Array} sets - Set rows
+   * @returns {Object} - Flat summary with sets, reps and weight
+   */
+  static summarizeSets(sets) {
+    const workSets = sets.filter(set => set.set_type !== 'warmup');
+    const candidates = workSets.length > 0 ? workSets : sets;
+
+    const topSet = candidates.reduce((best, set) => {
+      if (!best) return set;
+      if (set.weight > best.weight) return set;
+      if (set.weight === best.weight && set.reps > best.reps) return set;
+      return best;
+    }, null);
+
+    return {
+      sets: sets.length,
+      reps: topSet ? topSet.reps : 0,
+      weight: topSet ? topSet.weight : 0
+    };
+  }
+
+  /**
+   * Build the columns stored on gym_logs from a log's set rows and timed fields.
+   * Timed logs have no sets, and NULL sets/reps/weight columns.
+   * @param {Array} setRows - Set rows from buildSets, empty for timed logs
+   * @param {Object} log - Gym log data with optional timed fields
+   * @returns {Object} - sets, reps, weight and TIMED_LOG_FIELDS columns
+   */
+  static buildLogColumns(setRows, log = {}) {
+    return {
+      ...(setRows.length > 0 ? GymLogUtils.summarizeSets(setRows) : { sets: null, reps: null, weight: null }),
+      ...Object.fromEntries(TIMED_LOG_FIELDS.map(field => [field, log[field] !== undefined ? log[field] : null]))
+    };
+  }
+
+  /**
+   * Check a gym log has the shape of its exercise type: timed exercises need a duration and no sets,
+   * other exercises need sets and no timed fields
+   * @param {Object} log - Gym log data (submitted fields, merged with stored ones for updates)
+   * @param {boolean} timed - Whether the exercise type is in TIMED_EXERCISE_TYPES
+   * @returns {string|null} - Error message, null when the shape is valid
+   */
+  static getLogShapeError(log, timed) {
+    const has = (field) => log[field] !== undefined && log[field] !== null;
+
+    if (timed) {
+      if (STRENGTH_LOG_FIELDS.some(has)) {
+        return 'Cardio, endurance and mobility exercises are logged with duration_seconds instead of sets, reps and weight';
+      }
+
+      return has('duration_seconds') ? null : '"duration_seconds" is required for cardio, endurance and mobility exercises';
+    }
+
+    const timedFields = TIMED_LOG_FIELDS.filter(has);
+
+    if (timedFields.length > 0) {
+      return `${timedFields.join(', ')} can only be logged for cardio, endurance and mobility exercises`;
+    }
+
+    return has('sets') ? null : '"sets" is required';
+  }
+
+  /**
+   * Calculate the pace of a timed log
+   * @param {number} durationSeconds - Duration in seconds
+   * @param {number} distanceKm - Distance in km
+   * @returns {number|null} - Seconds per km, null without a distance
+   */
+  static calculatePace(durationSeconds, distanceKm) {
+    if (!durationSeconds || !distanceKm || Number(distanceKm) <= 0) return null;
+    return Math.round(durationSeconds / Number(distanceKm));
+  }
+
+  /**
+   * Escape an exercise name for an exact, case-insensitive ilike match, so % and _ in it match themselves.
+   * The API reads * as %, and it cannot be escaped; it matches any one character instead.
+   * @param {string} name - Exercise name
+   * @returns {string} - ilike pattern
+   */
+  static escapeLikePattern(name) {
+    return String(name).replace(/[\\%_]/g, '\\$&').replace(/\*/g, '_');
+  }
+
+  /**
+   * Calculate total volume (reps x weight) for a list of sets, excluding warm-up sets
+   * @param {Array} sets - Set rows
+   * @returns {number} - Total volume
+   */
+  static calculateVolume(sets) {
+    return sets
+      .filter(set => set.set_type !== 'warmup')
+      .reduce((total, set) => total + (Number(set.reps) * Number(set.weight)), 0);
+  }
+
+  /**
+   * Prepare set rows for insertion into gym_log_sets
+   * @param {string} gymLogId - Parent gym log ID
+   * @param {Array} sets - Set rows
+   * @returns {Array} - Rows ready for database insertion
+   */
+  static formatSetsForDatabase(gymLogId, sets) {
+    const timestamp = new Date().toISOString();
+
+    return sets.map(set => ({
+      gym_log_id: gymLogId,
+      set_number: set.set_number,
+      reps: set.reps,
+      weight: set.weight,
+      set_type: set.set_type,
+      rpe: set.rpe,
+      created_at: timestamp,
+      updated_at: timestamp
+    }));
+  }
+
+  /**
+   * Format gym log data for API response.
+   * Logs without stored set rows (created before per-set logging) are expanded from their flat columns.
+   * Timed logs have no sets and get their pace.
+   * @param {Object} log - Raw gym log data from database, optionally with embedded gym_log_sets
+   * @returns {Object} - Formatted gym log with a sets array and totals
+   */
+  static formatGymLogResponse(log) {
+    if (!log) return null;
+
+    const { gym_log_sets: storedSets, ...rest } = log;
+
+    const sets = storedSets && storedSets.length > 0
+      ? [...storedSets]
+        .sort((a, b) => a.set_number - b.set_number)
+        .map(set => ({
+          set_number: set.set_number,
+          reps: set.reps,
+          weight: Number(set.weight),
+          set_type: set.set_type,
+          rpe: set.rpe !== null && set.rpe !== undefined ? Number(set.rpe) : null
+        }))
+      : GymLogUtils.buildSets({ sets: log.sets, reps: log.reps, weight: Number(log.weight) });
+
+    // Decimal columns arrive as strings
+    const toNumber = (value) => (value !== null && value !== undefined ? Number(value) : null);
+    const timedFields = rest.duration_seconds !== undefined && rest.duration_seconds !== null
+      ? {
+        distance_km: toNumber(rest.distance_km),
+        incline_percent: toNumber(rest.incline_percent),
+        pace_seconds_per_km: GymLogUtils.calculatePace(rest.duration_seconds, rest.distance_km)
+      }
+      : {};
+
+    return {
+      ...rest,
+      weight: rest.weight !== undefined && rest.weight !== null ? Number(rest.weight) : rest.weight,
+      ...timedFields,
+      sets,
+      set_count: sets.length,
+      total_reps: sets.reduce((total, set) => total + set.reps, 0),
+      total_volume: GymLogUtils.calculateVolume(sets)
+    };
+  }
+}
+
+module.exports = GymLogUtils;
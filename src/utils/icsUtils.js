@@ -0,0 +1,163 @@
+const { ICS_WEEKDAYS, DEFAULT_WORKOUT_DURATION_MINUTES } = require('../constants/schedule');
+const ScheduleUtils = require('./scheduleUtils');
+
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * iCalendar (RFC 5545) utility functions for publishing workout schedules as a calendar feed.
+ * Each schedule is one event; recurring schedules repeat weekly on their weekdays. Timed events use
+ * floating local times, so calendar apps show them at the scheduled time in the subscriber's time zone.
+ */
+class IcsUtils {
+  /**
+   * Escape a TEXT property value
+   * @param {string} value - Text to escape
+   * @returns {string} - Escaped text
+   */
+  static escapeText(value) {
+    return String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Fold a content line into lines of at most 75 octets, continued with a leading space
+   * @param {string} line - Content line
+   * @returns {string} - Folded line, CRLF separated
+   */
+  static foldLine(line) {
+    const parts = [];
+    let current = '';
+    let octets = 0;
+
+    for (const char of line) {
+      const size = Buffer.byteLength(char);
+      const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+      if (octets + size > limit) {
+        parts.push(current);
+        current = '';
+        octets = 0;
+      }
+
+      current += char;
+      octets += size;
+    }
+
+    parts.push(current);
+    return parts.join('\r\n ');
+  }
+
+  /**
+   * Format a date as an iCalendar DATE
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @returns {string} - YYYYMMDD
+   */
+  static formatDate(date) {
+    return date.replace(/-/g, '');
+  }
+
+  /**
+   * Format a local date and time as a floating iCalendar DATE-TIME
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @param {string} time - Time (HH:MM or HH:MM:SS)
+   * @param {number} [addMinutes=0] - Minutes to add, e.g. the duration for the end of an event
+   * @returns {string} - YYYYMMDDTHHMMSS
+   */
+  static formatLocalDateTime(date, time, addMinutes = 0) {
+    const [hours, minutes, seconds = '00'] = time.split(':');
+    const value = new Date(`${date}T${hours}:${minutes}:${seconds}Z`);
+    value.setUTCMinutes(value.getUTCMinutes() + addMinutes);
+
+    return value.toISOString().slice(0, 19).replace(/[-:]/g, '');
+  }
+
+  /**
+   * Format a timestamp as a UTC iCalendar DATE-TIME
+   * @param {string|Date} timestamp - Timestamp
+   * @returns {string} - YYYYMMDDTHHMMSSZ
+   */
+  static formatTimestamp(timestamp) {
+    return new Date(timestamp).toISOString().slice(0, 19).replace(/[-:]/g, '') + 'Z';
+  }
+
+  /**
+   * Build the VEVENT lines of a schedule
+   * @param {Object} schedule - Schedule with its workout_plans row (name, description, estimated_duration)
+   * @param {Object} options - domain for the event UID and stamp, the time the feed was generated
+   * @returns {Array} - Content lines, empty when the schedule never falls on a day
+   */
+  static buildEvent(schedule, { domain, stamp }) {
+    const firstDate = ScheduleUtils.getFirstOccurrence(schedule);
+
+    if (!firstDate) {
+      return [];
+    }
+
+    const plan = schedule.workout_plans || {};
+    const duration = schedule.duration_minutes || plan.estimated_duration || DEFAULT_WORKOUT_DURATION_MINUTES;
+    const description = [schedule.notes, plan.description].filter(Boolean).join('\n\n');
+    const lines = [
+      'BEGIN:VEVENT',
+      `UID:${schedule.id}@${domain}`,
+      `DTSTAMP:${IcsUtils.formatTimestamp(stamp)}`,
+      `LAST-MODIFIED:${IcsUtils.formatTimestamp(schedule.updated_at || schedule.created_at || stamp)}`
+    ];
+
+    if (schedule.start_time) {
+      lines.push(`DTSTART:${IcsUtils.formatLocalDateTime(firstDate, schedule.start_time)}`);
+      lines.push(`DTEND:${IcsUtils.formatLocalDateTime(firstDate, schedule.start_time, duration)}`);
+    } else {
+      lines.push(`DTSTART;VALUE=DATE:${IcsUtils.formatDate(firstDate)}`);
+      lines.push(`DTEND;VALUE=DATE:${IcsUtils.formatDate(ScheduleUtils.addDays(firstDate, 1))}`);
+    }
+
+    if (ScheduleUtils.isRecurring(schedule)) {
+      const byDay = [...schedule.weekdays].sort((a, b) => a - b).map(weekday => ICS_WEEKDAYS[weekday - 1]);
+      let rule = `RRULE:FREQ=WEEKLY;BYDAY=${byDay.join(',')}`;
+
+      // UNTIL takes the form of DTSTART: a date for all-day events, a floating time for timed ones
+      if (schedule.end_date) {
+        rule += schedule.start_time
+          ? `;UNTIL=${IcsUtils.formatLocalDateTime(schedule.end_date, '23:59:59')}`
+          : `;UNTIL=${IcsUtils.formatDate(schedule.end_date)}`;
+      }
+
+      lines.push(rule);
+    }
+
+    lines.push(`SUMMARY:${IcsUtils.escapeText(plan.name || 'Workout')}`);
+
+    if (description) {
+      lines.push(`DESCRIPTION:${IcsUtils.escapeText(description)}`);
+    }
+
+    lines.push('END:VEVENT');
+    return lines;
+  }
+
+  /**
+   * Build an iCalendar document of schedules
+   * @param {Array} schedules - Schedules with their workout_plans rows
+   * @param {Object} options - name of the calendar, domain for event UIDs, and optional stamp (default: now)
+   * @returns {string} - iCalendar document with folded CRLF lines
+   */
+  static buildCalendar(schedules, { name, domain, stamp = new Date() }) {
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//GymLog//Workout Schedules//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${IcsUtils.escapeText(name)}`,
+      ...schedules.flatMap(schedule => IcsUtils.buildEvent(schedule, { domain, stamp })),
+      'END:VCALENDAR'
+    ];
+
+    return lines.map(line => IcsUtils.foldLine(line)).join('\r\n') + '\r\n';
+  }
+}
+
+module.exports = IcsUtils;
@@ -0,0 +1,269 @@
+const { DEFAULT_SET_TYPE, RPE_MIN, RPE_MAX, isValidSetType } = require('../constants/gymLog');
+const { isValidWeightUnit } = require('../constants/units');
+const UnitUtils = require('./unitUtils');
+
+// Columns each source needs (normalized by CsvUtils.normalizeHeader); other columns are optional
+const REQUIRED_COLUMNS = {
+  strong: ['date', 'exercise_name', 'reps'],
+  hevy: ['start_time', 'exercise_title', 'reps'],
+  generic: ['date', 'exercise', 'reps', 'weight']
+};
+
+// Weight columns in order of preference, with the unit they hold (null: the import's unit)
+const WEIGHT_COLUMNS = [
+  ['weight_kg', 'kg'],
+  ['weight_lbs', 'lb'],
+  ['weight_lb', 'lb'],
+  ['weight', null]
+];
+
+// Set types written by other apps
+const SET_TYPE_ALIASES = {
+  w: 'warmup',
+  warmup: 'warmup',
+  warm_up: 'warmup',
+  d: 'drop',
+  drop: 'drop',
+  dropset: 'drop',
+  f: 'failure',
+  failure: 'failure',
+  normal: 'working',
+  working: 'working'
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const MAX_NOTES_LENGTH = 500;
+
+/**
+ * Import utility functions for reading other trackers' CSV exports into gym logs
+ */
+class ImportUtils {
+  /**
+   * Get the required columns missing from an import file
+   * @param {string} source - Import source from IMPORT_SOURCES
+   * @param {Array} headers - Normalized header names
+   * @returns {Array} - Missing column names, including a weight column
+   */
+  static getMissingColumns(source, headers) {
+    const missing = REQUIRED_COLUMNS[source].filter(column => !headers.includes(column));
+
+    if (!WEIGHT_COLUMNS.some(([column]) => headers.includes(column)) && !missing.includes('weight')) {
+      missing.push('weight');
+    }
+
+    return missing;
+  }
+
+  /**
+   * Parse a date from an export. Dates without a time zone are read as UTC.
+   * Accepts ISO dates ("2024-03-05", "2024-03-05 18:30:00") and Hevy dates ("5 Mar 2024, 18:30").
+   * @param {string} value - Date cell
+   * @returns {string|null} - ISO timestamp, null when invalid
+   */
+  static parseDate(value) {
+    const text = String(value || '').trim();
+    let date = null;
+
+    const hevyMatch = text.match(/^(\d{1,2}) ([a-z]{3})[a-z]* (\d{4}),? (\d{1,2}):(\d{2})$/i);
+
+    if (hevyMatch) {
+      const [, day, month, year, hours, minutes] = hevyMatch;
+      const monthIndex = MONTHS.indexOf(month.toLowerCase());
+
+      if (monthIndex !== -1) {
+        date = new Date(Date.UTC(Number(year), monthIndex, Number(day), Number(hours), Number(minutes)));
+      }
+    } else if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+      const iso = text.replace(' ', 'T');
+      const hasTimeZone = /(Z|[+-]\d{2}:?\d{2})$/i.test(iso);
+      const hasTime = iso.includes('T');
+
+      date = new Date(hasTime ? `${iso}${hasTimeZone ? '' : 'Z'}` : `${iso}T00:00:00Z`);
+    }
+
+    return date && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+  }
+
+  /**
+   * Parse a number cell, accepting decimal commas ("72,5")
+   * @param {string} value - Number cell
+   * @returns {number|null} - Number, null when empty
+   */
+  static parseNumber(value) {
+    const text = String(value === undefined || value === null ? '' : value).trim();
+    if (text === '') return null;
+
+    const number = Number(text.includes('.') ? text : text.replace(',', '.'));
+    return Number.isNaN(number) ? NaN : number;
+  }
+
+  /**
+   * Read the weight of a row in kg
+   * @param {Object} row - Parsed CSV row
+   * @param {string} unit - Unit of a plain weight column
+   * @returns {Object} - Weight in kg (NaN when invalid) and the unit it was recorded in
+   */
+  static readWeight(row, unit) {
+    const [column, columnUnit] = WEIGHT_COLUMNS.find(([name]) => row[name] !== undefined && row[name] !== '') || [];
+
+    if (!column) {
+      return { weight: 0, unit };
+    }
+
+    const recordedUnit = columnUnit || unit;
+    const weight = ImportUtils.parseNumber(row[column]);
+
+    return {
+      weight: weight === null || Number.isNaN(weight) || weight < 0 ? NaN : UnitUtils.toCanonical(weight, recordedUnit),
+      unit: recordedUnit
+    };
+  }
+
+  /**
+   * Map a set type from another app to SET_TYPES
+   * @param {string} value - Set type cell, e.g. "W" (Strong) or "dropset" (Hevy)
+   * @returns {string} - Set type
+   */
+  static readSetType(value) {
+    const key = String(value || '').trim().toLowerCase().replace(/[^a-z]+/g, '_');
+    const setType = SET_TYPE_ALIASES[key];
+
+    return setType && isValidSetType(setType) ? setType : DEFAULT_SET_TYPE;
+  }
+
+  /**
+   * Read one CSV row into a set with its workout and exercise
+   * @param {string} source - Import source from IMPORT_SOURCES
+   * @param {Object} row - Parsed CSV row
+   * @param {string} unit - Unit of plain weight columns
+   * @returns {Object} - Set, or an object with the reason the row is skipped
+   */
+  static readRow(source, row, unit) {
+    let fields;
+
+    switch (source) {
+      case 'strong':
+        fields = {
+          date: row.date,
+          workout: `${row.date}|${row.workout_name || ''}`,
+          exercise: row.exercise_name,
+          set_type: row.set_order,
+          notes: row.notes
+        };
+        break;
+      case 'hevy':
+        fields = {
+          date: row.start_time,
+          workout: `${row.start_time}|${row.title || ''}`,
+          exercise: row.exercise_title,
+          set_type: row.set_type,
+          notes: row.exercise_notes
+        };
+        break;
+      case 'generic':
+      default:
+        fields = {
+          date: row.date,
+          workout: row.gym_log_id || row.date,
+          exercise: row.exercise,
+          set_type: row.set_type,
+          notes: row.notes
+        };
+        break;
+    }
+
+    const created_at = ImportUtils.parseDate(fields.date);
+    const exercise = String(fields.exercise || '').trim();
+    const reps = ImportUtils.parseNumber(row.reps);
+    const rpe = ImportUtils.parseNumber(row.rpe);
+    const rowUnit = source === 'generic' && isValidWeightUnit(row.weight_unit) ? row.weight_unit : unit;
+    const { weight, unit: recordedUnit } = ImportUtils.readWeight(row, rowUnit);
+
+    if (!exercise) return { reason: 'Missing exercise name' };
+    if (!created_at) return { reason: `Invalid date "${fields.date || ''}"` };
+    if (reps === null || reps === 0) return { reason: 'No reps (cardio and timed sets are not imported)' };
+    if (!Number.isInteger(reps) || reps < 1 || reps > 1000) return { reason: `Invalid reps "${row.reps}"` };
+    if (Number.isNaN(weight) || weight > 10000) return { reason: 'Invalid weight' };
+
+    return {
+      workout: fields.workout,
+      exercise,
+      created_at,
+      recorded_unit: recordedUnit,
+      notes: fields.notes ? String(fields.notes).trim() : '',
+      set: {
+        reps,
+        weight,
+        set_type: ImportUtils.readSetType(fields.set_type),
+        ...(rpe !== null && rpe >= RPE_MIN && rpe <= RPE_MAX && { rpe })
+      }
+    };
+  }
+
+  /**
+   * Read CSV rows into gym logs: one log per exercise within each workout, with its sets in file order
+   * @param {string} source - Import source from IMPORT_SOURCES
+   * @param {Array} rows - Rows from CsvUtils.parse
+   * @param {string} unit - Unit of plain weight columns
+   * @returns {Object} - Gym logs (weights in kg) with their CSV lines, and the skipped rows with a reason
+   */
+  static buildLogs(source, rows, unit) {
+    const logs = new Map();
+    const skipped = [];
+
+    rows.forEach(row => {
+      const result = ImportUtils.readRow(source, row, unit);
+
+      if (result.reason) {
+        skipped.push({ line: row.line, reason: result.reason });
+        return;
+      }
+
+      const key = `${result.workout}|${result.exercise.toLowerCase()}`;
+
+      if (!logs.has(key)) {
+        logs.set(key, {
+          exercise: result.exercise,
+          created_at: result.created_at,
+          recorded_unit: result.recorded_unit,
+          notes: '',
+          sets: [],
+          lines: []
+        });
+      }
+
+      const log = logs.get(key);
+      log.sets.push(result.set);
+      log.lines.push(row.line);
+
+      if (result.notes && !log.notes) {
+        log.notes = result.notes.slice(0, MAX_NOTES_LENGTH);
+      }
+    });
+
+    return { logs: [...logs.values()], skipped };
+  }
+
+  /**
+   * Exercise name without the equipment qualifier Strong and Hevy append, e.g. "Bench Press (Barbell)"
+   * @param {string} name - Exercise name from the file
+   * @returns {string} - Name without a trailing parenthesized qualifier
+   */
+  static getBaseExerciseName(name) {
+    return String(name).replace(/\s*\([^)]*\)\s*$/, '').trim() || String(name);
+  }
+
+  /**
+   * Key identifying a gym log for duplicate detection: the exercise and the time it was logged
+   * @param {string} exercise - Catalog exercise id, or the exercise name of unlinked logs
+   * @param {string} createdAt - Timestamp (read as UTC without a time zone)
+   * @returns {string} - Duplicate key
+   */
+  static getDuplicateKey(exercise, createdAt) {
+    const timestamp = ImportUtils.parseDate(createdAt);
+    return `${String(exercise).toLowerCase()}|${timestamp}`;
+  }
+}
+
+module.exports = ImportUtils;
@@ -0,0 +1,161 @@
+const StrengthUtils = require('./strengthUtils');
+
+/**
+ * Personal record utility functions for detection and history
+ */
+class PersonalRecordUtils {
+  /**
+   * Get the current best value of each record type from stored records
+   * @param {Array} records - Stored personal records for one exercise
+   * @returns {Object} - Best values: max_weight, estimated_1rm, session_volume and reps by weight
+   */
+  static getCurrentBests(records) {
+    return records.reduce((bests, record) => {
+      const value = Number(record.value);
+
+      if (record.record_type === 'max_reps_at_weight') {
+        const weight = Number(record.weight);
+        bests.max_reps_at_weight[weight] = Math.max(bests.max_reps_at_weight[weight] || 0, value);
+      } else {
+        bests[record.record_type] = Math.max(bests[record.record_type] || 0, value);
+      }
+
+      return bests;
+    }, { max_weight: 0, estimated_1rm: 0, session_volume: 0, max_reps_at_weight: {} });
+  }
+
+  /**
+   * Best reps previously achieved at the given weight or heavier
+   * @param {Object} repsByWeight - Best reps keyed by weight
+   * @param {number} weight - Weight to compare at
+   * @returns {number} - Best reps, 0 if never lifted
+   */
+  static getBestRepsAtOrAbove(repsByWeight, weight) {
+    return Object.entries(repsByWeight)
+      .filter(([recordWeight]) => Number(recordWeight) >= weight)
+      .reduce((best, [, reps]) => Math.max(best, reps), 0);
+  }
+
+  /**
+   * Detect records set by a gym log's sets. Warm-up sets never count.
+   * @param {Object} params - Detection input
+   * @param {Array} params.sets - Sets of the gym log
+   * @param {Array} params.previousRecords - Stored records for the exercise, excluding this log
+   * @param {number} params.sessionVolume - Volume of the exercise in the log's session (or the log alone)
+   * @returns {Array} - New records with record_type, value, weight, reps and previous_value
+   */
+  static detectRecords({ sets, previousRecords, sessionVolume }) {
+    const workSets = sets.filter(set => set.set_type !== 'warmup');
+    if (workSets.length === 0) return [];
+
+    const bests = PersonalRecordUtils.getCurrentBests(previousRecords);
+    const records = [];
+
+    // Heaviest weight
+    const heaviestSet = workSets.reduce((best, set) => {
+      if (set.weight > best.weight) return set;
+      if (set.weight === best.weight && set.reps > best.reps) return set;
+      return best;
+    });
+
+    if (heaviestSet.weight > bests.max_weight) {
+      records.push({
+        record_type: 'max_weight',
+        value: heaviestSet.weight,
+        weight: heaviestSet.weight,
+        reps: heaviestSet.reps,
+        previous_value: bests.max_weight || null
+      });
+    }
+
+    // Most reps at a weight, beating every previous effort at that weight or heavier
+    const bestRepsByWeight = workSets.reduce((acc, set) => {
+      acc[set.weight] = Math.max(acc[set.weight] || 0, set.reps);
+      return acc;
+    }, {});
+
+    Object.entries(bestRepsByWeight).forEach(([weight, reps]) => {
+      const previousReps = PersonalRecordUtils.getBestRepsAtOrAbove(bests.max_reps_at_weight, Number(weight));
+
+      if (reps > previousReps) {
+        records.push({
+          record_type: 'max_reps_at_weight',
+          value: reps,
+          weight: Number(weight),
+          reps,
+          previous_value: bests.max_reps_at_weight[Number(weight)] || null
+        });
+      }
+    });
+
+    // Best estimated one-rep max
+    const bestEstimate = workSets.reduce((best, set) => {
+      const estimate = StrengthUtils.estimateOneRepMax(set.weight, set.reps);
+      return estimate > best.value ? { value: estimate, set } : best;
+    }, { value: 0, set: null });
+
+    if (bestEstimate.value > bests.estimated_1rm) {
+      records.push({
+        record_type: 'estimated_1rm',
+        value: bestEstimate.value,
+        weight: bestEstimate.set.weight,
+        reps: bestEstimate.set.reps,
+        previous_value: bests.estimated_1rm || null
+      });
+    }
+
+    // Best session volume
+    if (sessionVolume > bests.session_volume) {
+      records.push({
+        record_type: 'session_volume',
+        value: sessionVolume,
+        weight: null,
+        reps: null,
+        previous_value: bests.session_volume || null
+      });
+    }
+
+    return records;
+  }
+
+  /**
+   * Group stored records into current records with the timeline of how each was beaten
+   * @param {Array} records - Stored personal records ordered by achieved_at ascending
+   * @returns {Array} - One entry per exercise and record type (and weight for rep records)
+   */
+  static buildRecordHistory(records) {
+    const groups = records.reduce((acc, record) => {
+      const weightKey = record.record_type === 'max_reps_at_weight' ? Number(record.weight) : null;
+      const key = `${record.exercise}|${record.record_type}|${weightKey}`;
+
+      if (!acc[key]) {
+        acc[key] = {
+          exercise: record.exercise,
+          record_type: record.record_type,
+          weight: weightKey,
+          history: []
+        };
+      }
+
+      acc[key].history.push({
+        id: record.id,
+        value: Number(record.value),
+        previous_value: record.previous_value !== null ? Number(record.previous_value) : null,
+        weight: record.weight !== null ? Number(record.weight) : null,
+        reps: record.reps,
+        gym_log_id: record.gym_log_id,
+        session_id: record.session_id,
+        achieved_at: record.achieved_at
+      });
+
+      return acc;
+    }, {});
+
+    return Object.values(groups).map(group => ({
+      ...group,
+      current: group.history[group.history.length - 1]
+    }));
+  }
+}
+
+module.exports = PersonalRecordUtils;
@@ -0,0 +1,150 @@
+const {
+  VERSIONED_PLAN_FIELDS,
+  VERSIONED_GROUP_FIELDS,
+  VERSIONED_EXERCISE_FIELDS,
+  VERSIONED_WEIGHT_FIELDS,
+  VERSIONED_DECIMAL_FIELDS
+} = require('../constants/planVersion');
+const UnitUtils = require('./unitUtils');
+const PrescriptionUtils = require('./prescriptionUtils');
+
+const NUMERIC_FIELDS = [...VERSIONED_WEIGHT_FIELDS, ...VERSIONED_DECIMAL_FIELDS];
+
+const normalizeValue = (field, value) => {
+  if (value === undefined || value === null) return null;
+  return NUMERIC_FIELDS.includes(field) ? Number(value) : value;
+};
+
+const pickFields = (source, fields) => Object.fromEntries(
+  fields.map(field => [field, normalizeValue(field, source[field])])
+);
+
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const diffFields = (from, to, fields) => fields
+  .filter(field => !isSameValue(from[field], to[field]))
+  .map(field => ({ field, from: from[field], to: to[field] }));
+
+/**
+ * Workout plan version utility functions for building, comparing and converting plan snapshots.
+ * A snapshot holds the versioned plan fields, its exercise groups, and its exercises ordered by order_index,
+ * weights in kg. Exercises point to their group by its position in groups, and are matched across versions
+ * by exercise_id, which is unique within a plan.
+ */
+class PlanVersionUtils {
+  /**
+   * Build a snapshot with its fields in a fixed order, from a plan row or a stored snapshot
+   * @param {Object} plan - Snapshot with groups and exercises, or plan row with embedded
+   *                        workout_plan_exercises and workout_plan_exercise_groups
+   * @returns {Object} - Snapshot of the plan's content
+   */
+  static buildSnapshot(plan) {
+    const exercises = [...(plan.exercises || plan.workout_plan_exercises || [])]
+      .sort((a, b) => a.order_index - b.order_index);
+    let groups = plan.groups || [];
+    let getGroupIndex = exercise => exercise.group_index;
+
+    // Plan rows point to their group by ID
+    if (plan.workout_plan_exercise_groups) {
+      const groupsById = new Map(plan.workout_plan_exercise_groups.map(group => [group.id, group]));
+      const groupIds = [...new Set(exercises.map(exercise => exercise.group_id))].filter(id => groupsById.has(id));
+
+      groups = groupIds.map(id => groupsById.get(id));
+      getGroupIndex = exercise => (groupIds.includes(exercise.group_id) ? groupIds.indexOf(exercise.group_id) : null);
+    }
+
+    return {
+      ...pickFields(plan, VERSIONED_PLAN_FIELDS),
+      groups: groups.map(group => pickFields(group, VERSIONED_GROUP_FIELDS)),
+      exercises: exercises.map(exercise => ({
+        exercise_id: exercise.exercise_id,
+        ...pickFields({ ...exercise, group_index: getGroupIndex(exercise) }, VERSIONED_EXERCISE_FIELDS)
+      }))
+    };
+  }
+
+  /**
+   * Check whether two snapshots hold the same content
+   * @param {Object} a - Snapshot
+   * @param {Object} b - Snapshot
+   * @returns {boolean}
+   */
+  static isSameSnapshot(a, b) {
+    return isSameValue(PlanVersionUtils.buildSnapshot(a), PlanVersionUtils.buildSnapshot(b));
+  }
+
+  /**
+   * Compare two snapshots
+   * @param {Object} from - Older snapshot
+   * @param {Object} to - Newer snapshot
+   * @param {Object} [exerciseNames={}] - Exercise names keyed by exercise ID
+   * @returns {Object} - Changed plan fields and groups, and the exercises added, removed and changed
+   */
+  static diffSnapshots(from, to, exerciseNames = {}) {
+    const fromSnapshot = PlanVersionUtils.buildSnapshot(from);
+    const toSnapshot = PlanVersionUtils.buildSnapshot(to);
+    const fromExercises = new Map(fromSnapshot.exercises.map(exercise => [exercise.exercise_id, exercise]));
+    const toExercises = new Map(toSnapshot.exercises.map(exercise => [exercise.exercise_id, exercise]));
+    const withName = exercise => ({ ...exercise, exercise_name: exerciseNames[exercise.exercise_id] || null });
+
+    const exercisesChanged = toSnapshot.exercises
+      .filter(exercise => fromExercises.has(exercise.exercise_id))
+      .map(exercise => ({
+        exercise_id: exercise.exercise_id,
+        exercise_name: exerciseNames[exercise.exercise_id] || null,
+        changes: diffFields(fromExercises.get(exercise.exercise_id), exercise, VERSIONED_EXERCISE_FIELDS)
+      }))
+      .filter(exercise => exercise.changes.length > 0);
+
+    const planChanges = diffFields(fromSnapshot, toSnapshot, [...VERSIONED_PLAN_FIELDS, 'groups']);
+    const exercisesAdded = toSnapshot.exercises.filter(exercise => !fromExercises.has(exercise.exercise_id)).map(withName);
+    const exercisesRemoved = fromSnapshot.exercises.filter(exercise => !toExercises.has(exercise.exercise_id)).map(withName);
+
+    return {
+      has_changes: planChanges.length + exercisesAdded.length + exercisesRemoved.length + exercisesChanged.length > 0,
+      plan_changes: planChanges,
+      exercises_added: exercisesAdded,
+      exercises_removed: exercisesRemoved,
+      exercises_changed: exercisesChanged
+    };
+  }
+
+  /**
+   * Convert the weights of a snapshot from kg to the given unit
+   * @param {Object} snapshot - Snapshot
+   * @param {string} unit - Target unit
+   * @returns {Object} - Snapshot with converted weights
+   */
+  static convertSnapshot(snapshot, unit) {
+    const normalized = PlanVersionUtils.buildSnapshot(snapshot);
+
+    return {
+      ...UnitUtils.convertFields(normalized, VERSIONED_WEIGHT_FIELDS, unit),
+      exercises: normalized.exercises.map(exercise => ({
+        ...UnitUtils.convertFields(exercise, VERSIONED_WEIGHT_FIELDS, unit),
+        set_prescriptions: PrescriptionUtils.setsFromCanonical(exercise.set_prescriptions, unit)
+      }))
+    };
+  }
+
+  /**
+   * Format a version row for responses, weights in the given unit
+   * @param {Object} version - Version row with its snapshot
+   * @param {string} unit - Target unit
+   * @param {Object} [options] - includeSnapshot to return the snapshot, otherwise only its exercise count
+   * @returns {Object} - Formatted version
+   */
+  static formatVersion(version, unit, { includeSnapshot = false } = {}) {
+    const { snapshot, ...rest } = version;
+
+    return {
+      ...rest,
+      name: snapshot.name,
+      exercise_count: (snapshot.exercises || []).length,
+      ...(includeSnapshot && { snapshot: PlanVersionUtils.convertSnapshot(snapshot, unit) }),
+      weight_unit: unit
+    };
+  }
+}
+
+module.exports = PlanVersionUtils;
@@ -0,0 +1,104 @@
+const { DEFAULT_ONE_REP_MAX_FORMULA } = require('../constants/gymLog');
+const { LOAD_ROUNDING } = require('../constants/prescription');
+const { CANONICAL_WEIGHT_UNIT } = require('../constants/units');
+const StrengthUtils = require('./strengthUtils');
+const UnitUtils = require('./unitUtils');
+
+const isSet = (value) => value !== null && value !== undefined;
+
+/**
+ * Set prescription utility functions for plan exercises prescribed with rep ranges, RPE or RIR targets,
+ * percentage-of-1RM loads, tempo and per-set targets. Percentage loads are resolved against the user's
+ * estimated one-rep max and rounded to what can be loaded on a bar.
+ */
+class PrescriptionUtils {
+  /**
+   * Check whether a plan exercise loads any set as a percentage of the one-rep max
+   * @param {Object} exercise - Plan exercise with percent_1rm and set_prescriptions
+   * @returns {boolean}
+   */
+  static usesPercentage(exercise) {
+    return isSet(exercise.percent_1rm)
+      || (exercise.set_prescriptions || []).some(set => isSet(set.percent_1rm));
+  }
+
+  /**
+   * Estimate a one-rep max from recent gym logs: the best estimate over their sets. Warm-up sets never count.
+   * @param {Array} logs - Gym logs of one exercise, formatted with GymLogUtils.formatGymLogResponse
+   * @param {string} formula - Formula name from ONE_REP_MAX_FORMULAS
+   * @returns {number|null} - Estimated one-rep max, null without any set to estimate it from
+   */
+  static getEstimatedOneRepMax(logs, formula = DEFAULT_ONE_REP_MAX_FORMULA) {
+    const best = logs
+      .flatMap(log => log.sets)
+      .filter(set => set.set_type !== 'warmup')
+      .reduce((max, set) => Math.max(max, StrengthUtils.estimateOneRepMax(set.weight, set.reps, formula)), 0);
+
+    return best > 0 ? best : null;
+  }
+
+  /**
+   * Resolve a percentage of a one-rep max to a load, rounded to the nearest load increment of the unit
+   * @param {number|null} oneRepMax - Estimated one-rep max in the given unit
+   * @param {number} percent - Percentage of the one-rep max
+   * @param {string} unit - Weight unit of the one-rep max and the load
+   * @returns {number|null} - Load in the given unit, null without a one-rep max
+   */
+  static resolvePercentage(oneRepMax, percent, unit = CANONICAL_WEIGHT_UNIT) {
+    if (!isSet(oneRepMax) || !isSet(percent)) return null;
+
+    const step = LOAD_ROUNDING[unit] || LOAD_ROUNDING[CANONICAL_WEIGHT_UNIT];
+    return UnitUtils.round(Math.round((oneRepMax * Number(percent) / 100) / step) * step);
+  }
+
+  /**
+   * Resolve the load of a plan exercise and each of its prescribed sets. A set without its own weight or
+   * percentage takes the exercise's load.
+   * @param {Object} exercise - Formatted plan exercise, weights in the given unit
+   * @param {number|null} oneRepMax - The user's estimated one-rep max of the exercise, in the given unit
+   * @param {string} unit - Weight unit
+   * @returns {Object} - Exercise with estimated_1rm and resolved_weight, and resolved_weight on each set
+   */
+  static resolveExercise(exercise, oneRepMax, unit = CANONICAL_WEIGHT_UNIT) {
+    const resolveLoad = ({ weight, percent_1rm: percent }, fallback) => {
+      if (isSet(weight)) return weight;
+      if (isSet(percent)) return PrescriptionUtils.resolvePercentage(oneRepMax, percent, unit);
+      return fallback;
+    };
+
+    const resolvedWeight = resolveLoad(exercise, null);
+
+    return {
+      ...exercise,
+      estimated_1rm: PrescriptionUtils.usesPercentage(exercise) && isSet(oneRepMax) ? UnitUtils.round(oneRepMax) : null,
+      resolved_weight: resolvedWeight,
+      set_prescriptions: exercise.set_prescriptions
+        ? exercise.set_prescriptions.map(set => ({ ...set, resolved_weight: resolveLoad(set, resolvedWeight) }))
+        : null
+    };
+  }
+
+  /**
+   * Convert the weights of per-set prescriptions in the given unit to the canonical storage unit (kg)
+   * @param {Array|null} sets - Set prescriptions
+   * @param {string} unit - Unit of the weights
+   * @returns {Array|null} - Set prescriptions with weights in kg
+   */
+  static setsToCanonical(sets, unit) {
+    if (!sets) return sets;
+    return sets.map(set => (isSet(set.weight) ? { ...set, weight: UnitUtils.toCanonical(set.weight, unit) } : set));
+  }
+
+  /**
+   * Convert the weights of per-set prescriptions from kg to the given unit
+   * @param {Array|null} sets - Set prescriptions, weights in kg
+   * @param {string} unit - Target unit
+   * @returns {Array|null} - Set prescriptions with weights in the target unit
+   */
+  static setsFromCanonical(sets, unit) {
+    if (!sets) return sets;
+    return sets.map(set => (isSet(set.weight) ? { ...set, weight: UnitUtils.fromCanonical(set.weight, unit) } : set));
+  }
+}
+
+module.exports = PrescriptionUtils;
@@ -0,0 +1,145 @@
+const {
+  DAYS_PER_WEEK,
+  DEFAULT_WEIGHT_PERCENT,
+  DEFAULT_SETS_PERCENT,
+  DEFAULT_REPS_ADJUSTMENT,
+  DEFAULT_DELOAD_WEIGHT_PERCENT,
+  DEFAULT_DELOAD_SETS_PERCENT
+} = require('../constants/program');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Training program utility functions for placing a date in a program and applying week modifiers.
+ * Weeks and days are counted from the enrollment's start date, so day 1 is the start date's weekday.
+ */
+class ProgramUtils {
+  /**
+   * Format a program with its weeks and days ordered, from the nested database rows
+   * @param {Object} program - Program with embedded training_program_weeks and their training_program_days
+   * @returns {Object} - Program with weeks, each with its days and numeric modifiers
+   */
+  static formatProgram(program) {
+    if (!program) return null;
+
+    const { training_program_weeks: weeks = [], ...rest } = program;
+
+    return {
+      ...rest,
+      total_weeks: (weeks || []).length,
+      weeks: [...(weeks || [])]
+        .sort((a, b) => a.week_number - b.week_number)
+        .map(week => ProgramUtils.formatWeek(week))
+    };
+  }
+
+  /**
+   * Format a program week with its ordered days
+   * @param {Object} week - Week with embedded training_program_days, each optionally with its workout_plans row
+   * @returns {Object} - Week with numeric modifiers and its days
+   */
+  static formatWeek(week) {
+    const { training_program_days: days = [], ...rest } = week;
+
+    return {
+      ...rest,
+      weight_percent: Number(week.weight_percent),
+      sets_percent: Number(week.sets_percent),
+      days: [...(days || [])]
+        .sort((a, b) => a.day_number - b.day_number)
+        .map(({ workout_plans: plan, ...day }) => ({
+          ...day,
+          workout_plan_name: plan ? plan.name : null
+        }))
+    };
+  }
+
+  /**
+   * Get the modifiers of a week from its input, filling in the defaults. Deload weeks default to lighter modifiers.
+   * @param {Object} week - Week input with optional is_deload, weight_percent, sets_percent and reps_adjustment
+   * @returns {Object} - is_deload, weight_percent, sets_percent and reps_adjustment
+   */
+  static resolveModifiers(week) {
+    const isDeload = Boolean(week.is_deload);
+    const pick = (value, fallback) => (value !== undefined && value !== null ? value : fallback);
+
+    return {
+      is_deload: isDeload,
+      weight_percent: pick(week.weight_percent, isDeload ? DEFAULT_DELOAD_WEIGHT_PERCENT : DEFAULT_WEIGHT_PERCENT),
+      sets_percent: pick(week.sets_percent, isDeload ? DEFAULT_DELOAD_SETS_PERCENT : DEFAULT_SETS_PERCENT),
+      reps_adjustment: pick(week.reps_adjustment, DEFAULT_REPS_ADJUSTMENT)
+    };
+  }
+
+  /**
+   * Place a date in a program followed from a start date
+   * @param {string} startDate - Enrollment start date (YYYY-MM-DD)
+   * @param {string} date - Date to place (YYYY-MM-DD)
+   * @returns {Object} - days_since_start, week_number and day_number (1-7); negative days before the start
+   */
+  static getProgramDay(startDate, date) {
+    const daysSinceStart = Math.round((Date.parse(date) - Date.parse(startDate)) / DAY_MS);
+
+    return {
+      days_since_start: daysSinceStart,
+      week_number: Math.floor(daysSinceStart / DAYS_PER_WEEK) + 1,
+      day_number: (((daysSinceStart % DAYS_PER_WEEK) + DAYS_PER_WEEK) % DAYS_PER_WEEK) + 1
+    };
+  }
+
+  /**
+   * Fit per-set prescriptions to a number of sets: drop the last sets, or repeat the last set
+   * @param {Array} sets - Set prescriptions
+   * @param {number} count - Number of sets
+   * @returns {Array} - count set prescriptions
+   */
+  static resizeSets(sets, count) {
+    return Array.from({ length: count }, (_, index) => sets[Math.min(index, sets.length - 1)]);
+  }
+
+  /**
+   * Apply a week's modifiers to the exercises of a workout plan. weight_percent scales fixed weights and
+   * percentages of the 1RM, of the exercise and of each prescribed set; the prescribed sets follow the new sets.
+   * @param {Array} exercises - Plan exercises with sets, reps and optional weight, percent_1rm and set_prescriptions
+   * @param {Object} modifiers - Output of resolveModifiers
+   * @returns {Array} - Exercises with modified targets and the plan's own as planned_sets, planned_reps,
+   *                    planned_weight and planned_percent_1rm
+   */
+  static applyModifiers(exercises, modifiers) {
+    const scaleLoad = (value) => (value !== null && value !== undefined
+      ? round((value * modifiers.weight_percent) / 100)
+      : value);
+    const adjustReps = (reps) => (reps ? Math.max(1, reps + modifiers.reps_adjustment) : reps);
+    const adjustSet = (set) => ({
+      ...set,
+      ...(set.reps !== undefined && { reps: adjustReps(set.reps) }),
+      ...(set.max_reps !== undefined && { max_reps: adjustReps(set.max_reps) }),
+      ...(set.weight !== undefined && { weight: scaleLoad(set.weight) }),
+      ...(set.percent_1rm !== undefined && { percent_1rm: scaleLoad(set.percent_1rm) })
+    });
+
+    return exercises.map(exercise => {
+      const sets = Math.max(1, Math.round((exercise.sets * modifiers.sets_percent) / 100));
+
+      return {
+        ...exercise,
+        sets,
+        reps: Math.max(1, exercise.reps + modifiers.reps_adjustment),
+        max_reps: adjustReps(exercise.max_reps),
+        weight: scaleLoad(exercise.weight),
+        percent_1rm: scaleLoad(exercise.percent_1rm),
+        set_prescriptions: exercise.set_prescriptions
+          ? ProgramUtils.resizeSets(exercise.set_prescriptions, sets).map(adjustSet)
+          : exercise.set_prescriptions,
+        planned_sets: exercise.sets,
+        planned_reps: exercise.reps,
+        planned_weight: exercise.weight,
+        planned_percent_1rm: exercise.percent_1rm
+      };
+    });
+  }
+}
+
+module.exports = ProgramUtils;
@@ -0,0 +1,129 @@
+const {
+  DEFAULT_PROGRESSION_RULE,
+  DEFAULT_WEIGHT_INCREMENT,
+  DEFAULT_REP_RANGE,
+  DELOAD_AFTER_MISSES,
+  DELOAD_PERCENT
+} = require('../constants/progression');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Progression utility functions for suggesting the next session's weight and reps of a plan exercise.
+ * Suggestions compare the most recent gym logs of the exercise with the plan's target sets and reps.
+ */
+class ProgressionUtils {
+  /**
+   * Summarize how a gym log was performed at its heaviest working weight
+   * @param {Object} log - Gym log formatted with GymLogUtils.formatGymLogResponse
+   * @returns {Object|null} - date, weight, and reps of each set at that weight; null without working sets
+   */
+  static getPerformance(log) {
+    const workSets = log.sets.filter(set => set.set_type !== 'warmup');
+
+    if (workSets.length === 0) {
+      return null;
+    }
+
+    const weight = Math.max(...workSets.map(set => set.weight));
+
+    return {
+      date: log.created_at,
+      weight,
+      reps: workSets.filter(set => set.weight === weight).map(set => set.reps)
+    };
+  }
+
+  /**
+   * Whether a performance completed the target: at least `sets` sets of at least `reps` reps
+   * @param {Object} performance - Output of getPerformance
+   * @param {number} sets - Target sets
+   * @param {number} reps - Target reps per set
+   * @returns {boolean} - Whether the target was hit
+   */
+  static hitTarget(performance, sets, reps) {
+    return performance.reps.filter(setReps => setReps >= reps).length >= sets;
+  }
+
+  /**
+   * Count the sessions in a row, newest first, that missed the target at the newest session's weight
+   * @param {Array} performances - Outputs of getPerformance, newest first
+   * @param {number} sets - Target sets
+   * @param {number} reps - Target reps per set
+   * @returns {number} - Consecutive misses
+   */
+  static countMisses(performances, sets, reps) {
+    let misses = 0;
+
+    for (const performance of performances) {
+      if (performance.weight !== performances[0].weight || ProgressionUtils.hitTarget(performance, sets, reps)) {
+        break;
+      }
+      misses += 1;
+    }
+
+    return misses;
+  }
+
+  /**
+   * Suggest the weight and reps of a plan exercise for the next session
+   * @param {Object} params - Suggestion input
+   * @param {Object} params.target - Plan exercise with sets, reps, optional max_reps and weight (kg)
+   * @param {string} params.rule - Progression rule from PROGRESSION_RULES
+   * @param {number} params.increment - Weight added when progressing (kg)
+   * @param {Array} params.logs - The user's gym logs of the exercise, formatted, newest first
+   * @returns {Object} - Suggested sets, reps and weight (kg) with the rule, the reason and the last performance
+   */
+  static suggest({ target, rule = DEFAULT_PROGRESSION_RULE, increment = DEFAULT_WEIGHT_INCREMENT, logs }) {
+    const performances = logs
+      .map(log => ProgressionUtils.getPerformance(log))
+      .filter(Boolean);
+    const last = performances[0];
+    const minReps = target.reps;
+    const maxReps = target.max_reps || target.reps + DEFAULT_REP_RANGE;
+
+    const suggestion = (weight, reps, reason) => ({
+      rule,
+      sets: target.sets,
+      reps,
+      weight: weight !== null && weight !== undefined ? round(weight) : null,
+      reason,
+      target_hit: last ? ProgressionUtils.hitTarget(last, target.sets, minReps) : null,
+      last_performance: last || null
+    });
+
+    if (rule === 'none') {
+      return suggestion(target.weight, minReps, 'plan');
+    }
+
+    if (!last) {
+      return suggestion(target.weight, minReps, 'no_history');
+    }
+
+    // Repeated misses at the same weight deload to the nearest increment below
+    if (ProgressionUtils.countMisses(performances, target.sets, minReps) >= DELOAD_AFTER_MISSES) {
+      const deloaded = last.weight * (1 - DELOAD_PERCENT / 100);
+      return suggestion(increment > 0 ? Math.floor(deloaded / increment) * increment : deloaded, minReps, 'deload');
+    }
+
+    if (rule === 'linear') {
+      return ProgressionUtils.hitTarget(last, target.sets, minReps)
+        ? suggestion(last.weight + increment, minReps, 'increase_weight')
+        : suggestion(last.weight, minReps, 'repeat');
+    }
+
+    // Double progression: every target set at max_reps adds weight, otherwise the weakest set gains a rep
+    if (ProgressionUtils.hitTarget(last, target.sets, maxReps)) {
+      return suggestion(last.weight + increment, minReps, 'increase_weight');
+    }
+
+    if (!ProgressionUtils.hitTarget(last, target.sets, minReps)) {
+      return suggestion(last.weight, minReps, 'repeat');
+    }
+
+    const targetSetReps = [...last.reps].sort((a, b) => b - a).slice(0, target.sets);
+    return suggestion(last.weight, Math.min(maxReps, Math.min(...targetSetReps) + 1), 'increase_reps');
+  }
+}
+
+module.exports = ProgressionUtils;
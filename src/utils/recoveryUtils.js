@@ -0,0 +1,173 @@
+const {
+  RECOVERY_BODY_PARTS,
+  RECOVERY_HOURS,
+  REFERENCE_SESSION_SETS,
+  MIN_RECOVERY_SCALE,
+  MAX_RECOVERY_SCALE,
+  REFERENCE_RPE,
+  MIN_RPE_FACTOR,
+  MAX_RPE_FACTOR,
+  FULL_BODY_SPILLOVER,
+  RECOVERY_READY_PERCENT,
+  RECOVERY_FATIGUED_PERCENT
+} = require('../constants/recovery');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Recovery utility functions for estimating how recovered each body part is.
+ *
+ * Every gym log leaves fatigue on the body part of its exercise. A log of REFERENCE_SESSION_SETS hard sets
+ * leaves 100% fatigue that wears off linearly over the body part's RECOVERY_HOURS; smaller sessions leave
+ * less fatigue and wear off sooner, bigger ones take longer. Fatigue of several logs adds up.
+ */
+class RecoveryUtils {
+  /**
+   * How much a set counts towards fatigue: warm-ups don't, sets with RPE count by how close to failure they were
+   * @param {Object} set - Set with set_type and optional rpe
+   * @returns {number} - Hard-set equivalent of the set
+   */
+  static getSetFactor(set) {
+    if (set.set_type === 'warmup') return 0;
+    if (set.rpe === null || set.rpe === undefined) return 1;
+    return clamp(set.rpe / REFERENCE_RPE, MIN_RPE_FACTOR, MAX_RPE_FACTOR);
+  }
+
+  /**
+   * Get the training bouts a gym log leaves on each body part.
+   * Full-body exercises also tire every other body part, by FULL_BODY_SPILLOVER.
+   * @param {Object} log - Gym log formatted with GymLogUtils.formatGymLogResponse, with body_part from the catalog
+   * @returns {Array} - Bouts with body_part, trained_at, hard_sets, volume (kg) and whether they are spillover
+   */
+  static getBouts(log) {
+    if (!RECOVERY_BODY_PARTS.includes(log.body_part)) {
+      return [];
+    }
+
+    const hardSets = log.sets.reduce((total, set) => total + RecoveryUtils.getSetFactor(set), 0);
+    const bout = {
+      body_part: log.body_part,
+      trained_at: log.created_at,
+      hard_sets: hardSets,
+      volume: log.total_volume || 0,
+      spillover: false
+    };
+
+    if (log.body_part !== 'full-body') {
+      return [bout];
+    }
+
+    return [
+      bout,
+      ...RECOVERY_BODY_PARTS
+        .filter(bodyPart => bodyPart !== 'full-body')
+        .map(bodyPart => ({
+          ...bout,
+          body_part: bodyPart,
+          hard_sets: hardSets * FULL_BODY_SPILLOVER,
+          volume: 0,
+          spillover: true
+        }))
+    ];
+  }
+
+  /**
+   * Fatigue left by training bouts of one body part at a given time
+   * @param {string} bodyPart - Body part from RECOVERY_BODY_PARTS
+   * @param {Array} bouts - Bouts of the body part
+   * @param {number} at - Time in milliseconds
+   * @returns {number} - Fatigue percentage, 0 to 100
+   */
+  static calculateFatigue(bodyPart, bouts, at) {
+    const fatigue = bouts.reduce((total, bout) => {
+      const load = bout.hard_sets / REFERENCE_SESSION_SETS;
+      const recoveryHours = RECOVERY_HOURS[bodyPart] * clamp(load, MIN_RECOVERY_SCALE, MAX_RECOVERY_SCALE);
+      const hoursSince = Math.max(0, (at - new Date(bout.trained_at).getTime()) / HOUR_MS);
+
+      return total + Math.min(100, load * 100) * Math.max(0, 1 - hoursSince / recoveryHours);
+    }, 0);
+
+    return Math.min(100, fatigue);
+  }
+
+  /**
+   * Find when a body part reaches RECOVERY_READY_PERCENT. Fatigue only decreases, so a binary search
+   * between now and the end of the slowest bout finds it to the minute.
+   * @param {string} bodyPart - Body part from RECOVERY_BODY_PARTS
+   * @param {Array} bouts - Bouts of the body part
+   * @param {number} now - Current time in milliseconds
+   * @returns {number|null} - Time in milliseconds, null when the body part is ready now
+   */
+  static findReadyTime(bodyPart, bouts, now) {
+    const maxFatigue = 100 - RECOVERY_READY_PERCENT;
+
+    if (RecoveryUtils.calculateFatigue(bodyPart, bouts, now) <= maxFatigue) {
+      return null;
+    }
+
+    let low = now;
+    let high = now + RECOVERY_HOURS[bodyPart] * MAX_RECOVERY_SCALE * HOUR_MS;
+
+    while (high - low > 60 * 1000) {
+      const middle = (low + high) / 2;
+
+      if (RecoveryUtils.calculateFatigue(bodyPart, bouts, middle) <= maxFatigue) {
+        high = middle;
+      } else {
+        low = middle;
+      }
+    }
+
+    return Math.ceil(high / 60000) * 60000;
+  }
+
+  /**
+   * Estimate the recovery of every body part from recent gym logs
+   * @param {Array} logs - Recent gym logs formatted with GymLogUtils.formatGymLogResponse, with body_part
+   * @param {Date} now - Reference time
+   * @returns {Array} - Recovery of each body part in RECOVERY_BODY_PARTS, least recovered first
+   */
+  static estimateRecovery(logs, now = new Date()) {
+    const boutsByPart = new Map(RECOVERY_BODY_PARTS.map(bodyPart => [bodyPart, []]));
+
+    logs
+      .flatMap(log => RecoveryUtils.getBouts(log))
+      .filter(bout => new Date(bout.trained_at).getTime() <= now.getTime())
+      .forEach(bout => boutsByPart.get(bout.body_part).push(bout));
+
+    return RECOVERY_BODY_PARTS
+      .map(bodyPart => {
+        const bouts = boutsByPart.get(bodyPart);
+        const fatigue = RecoveryUtils.calculateFatigue(bodyPart, bouts, now.getTime());
+        const recoveryPercent = Math.round(100 - fatigue);
+        const readyTime = recoveryPercent >= RECOVERY_READY_PERCENT
+          ? null
+          : RecoveryUtils.findReadyTime(bodyPart, bouts, now.getTime());
+
+        // Training history counts the body part's own exercises only
+        const directBouts = bouts.filter(bout => !bout.spillover);
+        const lastTrainedAt = directBouts.reduce(
+          (latest, bout) => (!latest || new Date(bout.trained_at) > new Date(latest) ? bout.trained_at : latest),
+          null
+        );
+
+        return {
+          body_part: bodyPart,
+          recovery_percent: recoveryPercent,
+          status: recoveryPercent >= RECOVERY_READY_PERCENT
+            ? 'ready'
+            : recoveryPercent >= RECOVERY_FATIGUED_PERCENT ? 'recovering' : 'fatigued',
+          ready_at: readyTime ? new Date(readyTime).toISOString() : null,
+          next_training_date: new Date(readyTime || now.getTime()).toISOString().slice(0, 10),
+          last_trained_at: lastTrainedAt,
+          recent_sets: Math.round(directBouts.reduce((total, bout) => total + bout.hard_sets, 0) * 10) / 10,
+          recent_volume: directBouts.reduce((total, bout) => total + bout.volume, 0)
+        };
+      })
+      .sort((a, b) => a.recovery_percent - b.recovery_percent);
+  }
+}
+
+module.exports = RecoveryUtils;
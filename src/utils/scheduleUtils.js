@@ -0,0 +1,142 @@
+const { OCCURRENCE_STATUSES } = require('../constants/schedule');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Schedule utility functions for expanding workout schedules into dated occurrences.
+ * Dates are calendar days (YYYY-MM-DD) and weekdays are ISO weekdays, 1 = Monday ... 7 = Sunday.
+ * A schedule without weekdays is a one-off workout on its start date.
+ */
+class ScheduleUtils {
+  /**
+   * Add days to a date
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @param {number} days - Days to add, negative to go back
+   * @returns {string} - Date (YYYY-MM-DD)
+   */
+  static addDays(date, days) {
+    return new Date(Date.parse(date) + days * DAY_MS).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Get the ISO weekday of a date
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @returns {number} - 1 (Monday) to 7 (Sunday)
+   */
+  static getIsoWeekday(date) {
+    return ((new Date(date).getUTCDay() + 6) % 7) + 1;
+  }
+
+  /**
+   * Check whether a schedule repeats on weekdays
+   * @param {Object} schedule - Schedule with optional weekdays
+   * @returns {boolean}
+   */
+  static isRecurring(schedule) {
+    return Array.isArray(schedule.weekdays) && schedule.weekdays.length > 0;
+  }
+
+  /**
+   * Get the first day a schedule falls on
+   * @param {Object} schedule - Schedule with start_date, end_date and weekdays
+   * @returns {string|null} - Date (YYYY-MM-DD), null when no weekday falls before the end date
+   */
+  static getFirstOccurrence(schedule) {
+    const [first] = ScheduleUtils.getOccurrenceDates(
+      schedule,
+      schedule.start_date,
+      ScheduleUtils.addDays(schedule.start_date, 6)
+    );
+
+    return first || null;
+  }
+
+  /**
+   * Get the days a schedule falls on within a date range
+   * @param {Object} schedule - Schedule with start_date, end_date and weekdays
+   * @param {string} from - First day of the range (YYYY-MM-DD)
+   * @param {string} to - Last day of the range (YYYY-MM-DD)
+   * @returns {Array} - Dates (YYYY-MM-DD) in ascending order
+   */
+  static getOccurrenceDates(schedule, from, to) {
+    if (!ScheduleUtils.isRecurring(schedule)) {
+      return schedule.start_date >= from && schedule.start_date <= to ? [schedule.start_date] : [];
+    }
+
+    const first = schedule.start_date > from ? schedule.start_date : from;
+    const last = schedule.end_date && schedule.end_date < to ? schedule.end_date : to;
+    const dates = [];
+
+    for (let date = first; date <= last; date = ScheduleUtils.addDays(date, 1)) {
+      if (schedule.weekdays.includes(ScheduleUtils.getIsoWeekday(date))) {
+        dates.push(date);
+      }
+    }
+
+    return dates;
+  }
+
+  /**
+   * List the occurrences of schedules within a date range with their status. A session started from the
+   * scheduled plan that day completes an occurrence. Past days before a schedule was created are only
+   * listed when they were completed, so backdated schedules do not report missed workouts.
+   * @param {Array} schedules - Schedules, each optionally with its workout_plans row
+   * @param {Array} sessions - Sessions with id, workout_plan_id and started_at
+   * @param {Object} range - from, to and today (YYYY-MM-DD)
+   * @returns {Array} - Occurrences ordered by date and time
+   */
+  static buildOccurrences(schedules, sessions, { from, to, today }) {
+    const sessionsByDay = new Map();
+    sessions.forEach(session => {
+      const key = `${session.workout_plan_id}:${session.started_at.slice(0, 10)}`;
+      if (!sessionsByDay.has(key)) sessionsByDay.set(key, session);
+    });
+
+    const occurrences = schedules.flatMap(schedule => {
+      const createdOn = schedule.created_at ? schedule.created_at.slice(0, 10) : null;
+
+      return ScheduleUtils.getOccurrenceDates(schedule, from, to)
+        .map(date => {
+          const session = sessionsByDay.get(`${schedule.workout_plan_id}:${date}`);
+
+          let status = 'upcoming';
+          if (session) {
+            status = 'completed';
+          } else if (date < today) {
+            status = 'missed';
+          } else if (date === today) {
+            status = 'today';
+          }
+
+          return {
+            date,
+            start_time: schedule.start_time || null,
+            status,
+            schedule_id: schedule.id,
+            workout_plan_id: schedule.workout_plan_id,
+            workout_plan_name: schedule.workout_plans ? schedule.workout_plans.name : null,
+            session_id: session ? session.id : null
+          };
+        })
+        .filter(occurrence => !(occurrence.status === 'missed' && createdOn && occurrence.date < createdOn));
+    });
+
+    return occurrences.sort((a, b) => (
+      a.date.localeCompare(b.date) || (a.start_time || '').localeCompare(b.start_time || '')
+    ));
+  }
+
+  /**
+   * Count occurrences by status
+   * @param {Array} occurrences - Output of buildOccurrences
+   * @returns {Object} - completed, missed, today and upcoming counts
+   */
+  static summarizeOccurrences(occurrences) {
+    return occurrences.reduce((summary, occurrence) => ({
+      ...summary,
+      [occurrence.status]: summary[occurrence.status] + 1
+    }), Object.fromEntries(OCCURRENCE_STATUSES.map(status => [status, 0])));
+  }
+}
+
+module.exports = ScheduleUtils;
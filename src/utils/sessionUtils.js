@@ -0,0 +1,93 @@
+const GymLogUtils = require('./gymLogUtils');
+
+/**
+ * Workout session utility functions for totals and data processing
+ */
+class SessionUtils {
+  /**
+   * Calculate the duration of a session in seconds.
+   * Sessions still in progress are measured up to the current time.
+   * @param {Object} session - Session with started_at and optional ended_at
+   * @param {Date} now - Reference time for sessions in progress
+   * @returns {number} - Duration in seconds
+   */
+  static calculateDuration(session, now = new Date()) {
+    if (session.duration_seconds !== null && session.duration_seconds !== undefined) {
+      return session.duration_seconds;
+    }
+
+    const startedAt = new Date(session.started_at);
+    const endedAt = session.ended_at ? new Date(session.ended_at) : now;
+
+    return Math.max(0, Math.round((endedAt - startedAt) / 1000));
+  }
+
+  /**
+   * Calculate totals for a list of formatted gym logs
+   * @param {Array} logs - Gym logs formatted with GymLogUtils.formatGymLogResponse
+   * @returns {Object} - Log, set, rep and volume totals
+   */
+  static calculateTotals(logs) {
+    return logs.reduce((totals, log) => ({
+      log_count: totals.log_count + 1,
+      set_count: totals.set_count + log.set_count,
+      total_reps: totals.total_reps + log.total_reps,
+      total_volume: totals.total_volume + log.total_volume
+    }), { log_count: 0, set_count: 0, total_reps: 0, total_volume: 0 });
+  }
+
+  /**
+   * Format a planned exercise of a session started from a workout plan
+   * @param {Object} planned - Raw session_planned_exercises row, optionally with its embedded catalog exercise
+   * @returns {Object} - Planned exercise with its targets (weight in kg) and exercise details
+   */
+  static formatPlannedExercise(planned) {
+    const { exercises: exercise, ...rest } = planned;
+
+    return {
+      ...rest,
+      exercise_name: exercise ? exercise.name : null,
+      exercise_type: exercise ? exercise.exercise_type : null,
+      weight: planned.weight !== null && planned.weight !== undefined ? Number(planned.weight) : null
+    };
+  }
+
+  /**
+   * Format session data for API response
+   * @param {Object} session - Raw session data from database, optionally with embedded gym_logs,
+   *   session_planned_exercises and the workout_plan_versions row it was started from
+   * @param {Object} options - Formatting options
+   * @param {boolean} options.includeLogs - Whether to include the ordered gym logs and planned exercises
+   * @returns {Object} - Formatted session with status, duration and totals
+   */
+  static formatSessionResponse(session, { includeLogs = false } = {}) {
+    if (!session) return null;
+
+    const {
+      gym_logs: rawLogs = [],
+      session_planned_exercises: rawPlanned = [],
+      workout_plan_versions: planVersion,
+      ...rest
+    } = session;
+
+    const logs = (rawLogs || [])
+      .map(log => GymLogUtils.formatGymLogResponse(log))
+      .sort((a, b) => (a.session_order || 0) - (b.session_order || 0));
+
+    return {
+      ...rest,
+      status: session.ended_at ? 'completed' : 'active',
+      duration_seconds: SessionUtils.calculateDuration(session),
+      totals: SessionUtils.calculateTotals(logs),
+      ...(planVersion !== undefined && { workout_plan_version: planVersion ? planVersion.version_number : null }),
+      ...(includeLogs && {
+        planned_exercises: (rawPlanned || [])
+          .map(planned => SessionUtils.formatPlannedExercise(planned))
+          .sort((a, b) => a.order_index - b.order_index),
+        logs
+      })
+    };
+  }
+}
+
+module.exports = SessionUtils;
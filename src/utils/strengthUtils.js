@@ -0,0 +1,151 @@
+const { DEFAULT_ONE_REP_MAX_FORMULA } = require('../constants/gymLog');
+const GymLogUtils = require('./gymLogUtils');
+const BodyMetricUtils = require('./bodyMetricUtils');
+
+/**
+ * Strength utility functions for estimated maxes and progression
+ */
+class StrengthUtils {
+  /**
+   * Estimate a one-rep max from a set.
+   * - epley: weight x (1 + reps / 30)
+   * - brzycki: weight x 36 / (37 - reps), only defined below 37 reps
+   * - lombardi: weight x reps ^ 0.10
+   * @param {number} weight - Weight lifted
+   * @param {number} reps - Reps performed
+   * @param {string} formula - Formula name from ONE_REP_MAX_FORMULAS
+   * @returns {number} - Estimated one-rep max rounded to two decimals, 0 when it cannot be estimated
+   */
+  static estimateOneRepMax(weight, reps, formula = DEFAULT_ONE_REP_MAX_FORMULA) {
+    const load = Number(weight);
+    const repCount = Number(reps);
+
+    if (!load || !repCount) return 0;
+    if (repCount === 1) return load;
+
+    let estimate;
+
+    switch (formula) {
+      case 'brzycki':
+        if (repCount >= 37) return 0;
+        estimate = load * 36 / (37 - repCount);
+        break;
+      case 'lombardi':
+        estimate = load * Math.pow(repCount, 0.10);
+        break;
+      case 'epley':
+      default:
+        estimate = load * (1 + repCount / 30);
+        break;
+    }
+
+    return Math.round(estimate * 100) / 100;
+  }
+
+  /**
+   * Build per-day progression for one exercise.
+   * With a bodyweight series, each day also gets the bodyweight of that day and the relative strength:
+   * the best estimated 1RM divided by bodyweight. Bodyweight exercises lift the bodyweight plus any added weight.
+   * @param {Array} logs - Gym logs formatted with GymLogUtils.formatGymLogResponse
+   * @param {string} formula - Formula name from ONE_REP_MAX_FORMULAS
+   * @param {Object} options - Relative strength options
+   * @param {Array} options.bodyweights - Daily bodyweight series from BodyMetricUtils.buildDailySeries (kg)
+   * @param {boolean} options.bodyweightExercise - Whether the exercise is lifted with the bodyweight
+   * @returns {Array} - One entry per training day, ordered by date
+   */
+  static buildDailyProgress(logs, formula = DEFAULT_ONE_REP_MAX_FORMULA, { bodyweights, bodyweightExercise = false } = {}) {
+    const days = logs.reduce((acc, log) => {
+      // Timed logs have no sets to estimate strength from
+      if (log.sets.length === 0) {
+        return acc;
+      }
+
+      const date = new Date(log.created_at).toISOString().slice(0, 10);
+
+      if (!acc[date]) {
+        acc[date] = [];
+      }
+
+      acc[date].push(...log.sets);
+      return acc;
+    }, {});
+
+    return Object.keys(days).sort().map(date => {
+      const sets = days[date];
+      const workSets = sets.filter(set => set.set_type !== 'warmup');
+      const candidates = workSets.length > 0 ? workSets : sets;
+      const topSet = GymLogUtils.summarizeSets(candidates);
+      const bestOneRepMax = (extraLoad) => candidates.reduce(
+        (best, set) => Math.max(best, StrengthUtils.estimateOneRepMax(set.weight + extraLoad, set.reps, formula)),
+        0
+      );
+
+      const day = {
+        date,
+        estimated_1rm: bestOneRepMax(0),
+        top_set: {
+          weight: topSet.weight,
+          reps: topSet.reps
+        },
+        tonnage: GymLogUtils.calculateVolume(sets),
+        set_count: sets.length,
+        total_reps: sets.reduce((total, set) => total + set.reps, 0)
+      };
+
+      if (bodyweights) {
+        const bodyweight = BodyMetricUtils.getValueOn(bodyweights, date);
+
+        day.bodyweight = bodyweight;
+        day.relative_strength = bodyweight
+          ? Math.round((bestOneRepMax(bodyweightExercise ? bodyweight : 0) / bodyweight) * 100) / 100
+          : null;
+      }
+
+      return day;
+    });
+  }
+
+  /**
+   * Summarize a progression series
+   * @param {Array} days - Output of buildDailyProgress
+   * @returns {Object} - Best values and change between the first and last day (relative strength: days with a bodyweight)
+   */
+  static summarizeProgress(days) {
+    if (days.length === 0) {
+      return {
+        training_days: 0,
+        best_estimated_1rm: 0,
+        best_top_set_weight: 0,
+        total_tonnage: 0,
+        estimated_1rm_change: 0,
+        estimated_1rm_change_percentage: 0,
+        best_relative_strength: null,
+        relative_strength_change: null
+      };
+    }
+
+    const first = days[0];
+    const last = days[days.length - 1];
+    const change = Math.round((last.estimated_1rm - first.estimated_1rm) * 100) / 100;
+    const relativeDays = days.filter(day => day.relative_strength !== null && day.relative_strength !== undefined);
+
+    return {
+      training_days: days.length,
+      best_estimated_1rm: Math.max(...days.map(day => day.estimated_1rm)),
+      best_top_set_weight: Math.max(...days.map(day => day.top_set.weight)),
+      total_tonnage: days.reduce((total, day) => total + day.tonnage, 0),
+      estimated_1rm_change: change,
+      estimated_1rm_change_percentage: first.estimated_1rm
+        ? Math.round((change / first.estimated_1rm) * 10000) / 100
+        : 0,
+      best_relative_strength: relativeDays.length > 0
+        ? Math.max(...relativeDays.map(day => day.relative_strength))
+        : null,
+      relative_strength_change: relativeDays.length > 0
+        ? Math.round((relativeDays[relativeDays.length - 1].relative_strength - relativeDays[0].relative_strength) * 100) / 100
+        : null
+    };
+  }
+}
+
+module.exports = StrengthUtils;
@@ -0,0 +1,111 @@
+const { SYNC_SAFETY_WINDOW_SECONDS } = require('../constants/sync');
+const { encodeCursor, decodeCursor } = require('./validation');
+
+/**
+ * Sync utility functions for the offline sync protocol: tokens, timestamps and conflict resolution
+ */
+class SyncUtils {
+  /**
+   * Parse a timestamp to milliseconds. Database timestamps without a time zone are UTC.
+   * @param {string|Date} value - Timestamp
+   * @returns {number} - Milliseconds since the epoch, NaN when invalid
+   */
+  static parseTimestamp(value) {
+    if (value instanceof Date) return value.getTime();
+
+    const text = String(value || '');
+    const hasTimeZone = /(Z|[+-]\d{2}:?\d{2})$/i.test(text);
+
+    return new Date(hasTimeZone || !text.includes('T') ? text : `${text}Z`).getTime();
+  }
+
+  /**
+   * Get the time a pushed change was made, as stored on the record.
+   * Times ahead of the server clock are clamped to it so a fast device clock cannot win every conflict.
+   * @param {string} updatedAt - updated_at sent by the client
+   * @param {Date} now - Server time of the sync
+   * @returns {string} - ISO timestamp
+   */
+  static getChangeTime(updatedAt, now) {
+    return new Date(Math.min(SyncUtils.parseTimestamp(updatedAt), now.getTime())).toISOString();
+  }
+
+  /**
+   * Decide what to do with a pushed change (last writer wins on updated_at).
+   * - A new record is created, unless it was deleted on the server at or after the change.
+   * - An existing record is updated or deleted only when the change is newer than the server's updated_at.
+   * - Deleting a record the server doesn't have, or pushing the version the server has, is a no-op.
+   * @param {Object} params - Change and server state
+   * @param {Object} params.change - Pushed change with updated_at (already clamped) and deleted
+   * @param {Object} params.existing - Server record, null when it doesn't exist
+   * @param {Object} params.tombstone - Tombstone of the record, null when it was never deleted
+   * @returns {Object} - { action: 'create' | 'update' | 'delete' | 'none' } or { conflict: reason }
+   */
+  static resolveChange({ change, existing, tombstone }) {
+    const changeTime = SyncUtils.parseTimestamp(change.updated_at);
+
+    if (!existing) {
+      if (change.deleted) {
+        return { action: 'none' };
+      }
+
+      if (tombstone && SyncUtils.parseTimestamp(tombstone.deleted_at) >= changeTime) {
+        return { conflict: 'deleted_on_server' };
+      }
+
+      return { action: 'create' };
+    }
+
+    const serverTime = SyncUtils.parseTimestamp(existing.updated_at);
+
+    // The server already has this version: the client is retrying a sync that didn't reach it
+    if (serverTime === changeTime && !change.deleted) {
+      return { action: 'none' };
+    }
+
+    if (serverTime >= changeTime) {
+      return { conflict: 'server_newer' };
+    }
+
+    return { action: change.deleted ? 'delete' : 'update' };
+  }
+
+  /**
+   * Get the start of the safety window re-read before a caught-up position
+   * @param {string} syncedAt - synced_at of the position
+   * @returns {string} - ISO timestamp SYNC_SAFETY_WINDOW_SECONDS earlier
+   */
+  static getSafetyWindowStart(syncedAt) {
+    return new Date(SyncUtils.parseTimestamp(syncedAt) - SYNC_SAFETY_WINDOW_SECONDS * 1000).toISOString();
+  }
+
+  /**
+   * Encode a sync token from the last record read of each type
+   * @param {Object} positions - { [type]: { synced_at, id, caught_up } }
+   * @returns {string} - Opaque sync token
+   */
+  static encodeSyncToken(positions) {
+    return encodeCursor({ positions });
+  }
+
+  /**
+   * Decode a sync token
+   * @param {string} token - Sync token from a previous sync
+   * @returns {Object|null} - Positions by type, null when the token is invalid
+   */
+  static decodeSyncToken(token) {
+    const data = decodeCursor(token);
+
+    if (!data || !data.positions || typeof data.positions !== 'object') {
+      return null;
+    }
+
+    const valid = Object.values(data.positions).every(position => (
+      position && position.id && !Number.isNaN(SyncUtils.parseTimestamp(position.synced_at))
+    ));
+
+    return valid ? data.positions : null;
+  }
+}
+
+module.exports = SyncUtils;
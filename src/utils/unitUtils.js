@@ -0,0 +1,172 @@
+const { CANONICAL_WEIGHT_UNIT, KG_PER_LB } = require('../constants/units');
+
+/**
+ * Unit utility functions for converting weights between storage and the requester's unit
+ */
+class UnitUtils {
+  /**
+   * Get the weight unit preferred by a user
+   * @param {Object} user - Authenticated user (req.user)
+   * @returns {string} - Weight unit
+   */
+  static getPreferredUnit(user) {
+    return (user && user.weight_unit) || CANONICAL_WEIGHT_UNIT;
+  }
+
+  /**
+   * Round a weight to two decimals
+   * @param {number} value - Weight
+   * @returns {number} - Rounded weight
+   */
+  static round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Convert a weight in the given unit to the canonical storage unit (kg)
+   * @param {number} value - Weight in the given unit
+   * @param {string} unit - Unit of the value
+   * @returns {number} - Weight in kg
+   */
+  static toCanonical(value, unit) {
+    if (value === null || value === undefined) return value;
+    return unit === 'lb' ? UnitUtils.round(Number(value) * KG_PER_LB) : Number(value);
+  }
+
+  /**
+   * Convert a weight in the canonical storage unit (kg) to the given unit
+   * @param {number} value - Weight in kg
+   * @param {string} unit - Target unit
+   * @returns {number} - Weight in the target unit
+   */
+  static fromCanonical(value, unit) {
+    if (value === null || value === undefined) return value;
+    return unit === 'lb' ? UnitUtils.round(Number(value) / KG_PER_LB) : Number(value);
+  }
+
+  /**
+   * Convert the weights of submitted sets to the canonical storage unit (kg)
+   * @param {Array|number} sets - Sets array, or a set count which is returned unchanged
+   * @param {string} unit - Unit of the submitted weights
+   * @returns {Array|number} - Sets with weights in kg
+   */
+  static setsToCanonical(sets, unit) {
+    if (!Array.isArray(sets)) return sets;
+    return sets.map(set => ({ ...set, weight: UnitUtils.toCanonical(set.weight, unit) }));
+  }
+
+  /**
+   * Convert the weight fields of an object from kg to the given unit
+   * @param {Object} data - Object with weights in kg
+   * @param {Array} fields - Names of the weight fields
+   * @param {string} unit - Target unit
+   * @returns {Object} - Copy of the object with converted fields
+   */
+  static convertFields(data, fields, unit) {
+    if (!data) return data;
+
+    const converted = { ...data };
+    fields.forEach(field => {
+      if (converted[field] !== undefined) {
+        converted[field] = UnitUtils.fromCanonical(converted[field], unit);
+      }
+    });
+
+    return converted;
+  }
+
+  /**
+   * Convert a formatted gym log from kg to the given unit
+   * @param {Object} log - Gym log formatted with GymLogUtils.formatGymLogResponse
+   * @param {string} unit - Target unit
+   * @returns {Object} - Gym log with converted weights and its weight_unit
+   */
+  static convertGymLog(log, unit) {
+    if (!log) return log;
+
+    return {
+      ...UnitUtils.convertFields(log, ['weight', 'total_volume'], unit),
+      sets: (log.sets || []).map(set => UnitUtils.convertFields(set, ['weight'], unit)),
+      ...(log.personal_records && {
+        personal_records: log.personal_records.map(record => UnitUtils.convertPersonalRecord(record, unit))
+      }),
+      weight_unit: unit
+    };
+  }
+
+  /**
+   * Convert a formatted workout session from kg to the given unit
+   * @param {Object} session - Session formatted with SessionUtils.formatSessionResponse
+   * @param {string} unit - Target unit
+   * @returns {Object} - Session with converted totals, planned exercises, logs and its weight_unit
+   */
+  static convertSession(session, unit) {
+    if (!session) return session;
+
+    return {
+      ...session,
+      totals: UnitUtils.convertFields(session.totals, ['total_volume'], unit),
+      ...(session.planned_exercises && {
+        planned_exercises: session.planned_exercises.map(planned => UnitUtils.convertFields(planned, ['weight'], unit))
+      }),
+      ...(session.logs && { logs: session.logs.map(log => UnitUtils.convertGymLog(log, unit)) }),
+      weight_unit: unit
+    };
+  }
+
+  /**
+   * Convert a session adherence report (AdherenceUtils.calculateSessionAdherence) from kg to the given unit.
+   * Percentages keep their value.
+   * @param {Object} report - Session adherence report
+   * @param {string} unit - Target unit
+   * @returns {Object} - Report with converted weights and volumes
+   */
+  static convertAdherence(report, unit) {
+    if (!report) return report;
+
+    return {
+      ...report,
+      exercises: report.exercises.map(exercise => UnitUtils.convertFields(
+        exercise,
+        ['target_weight', 'average_weight', 'weight_deviation', 'planned_volume', 'actual_volume'],
+        unit
+      ))
+    };
+  }
+
+  /**
+   * Convert a personal record from kg to the given unit.
+   * Rep records keep their value; the other record types are weights or volumes.
+   * @param {Object} record - Personal record or history entry
+   * @param {string} unit - Target unit
+   * @returns {Object} - Record with converted weights
+   */
+  static convertPersonalRecord(record, unit) {
+    if (!record) return record;
+
+    const fields = record.record_type === 'max_reps_at_weight'
+      ? ['weight']
+      : ['value', 'previous_value', 'weight'];
+
+    return UnitUtils.convertFields(record, fields, unit);
+  }
+
+  /**
+   * Convert a record with its history (PersonalRecordUtils.buildRecordHistory) from kg to the given unit
+   * @param {Object} group - Record with current entry and history
+   * @param {string} unit - Target unit
+   * @returns {Object} - Record with converted weights
+   */
+  static convertRecordHistory(group, unit) {
+    const convertEntry = (entry) => UnitUtils.convertPersonalRecord({ ...entry, record_type: group.record_type }, unit);
+    const stripType = ({ record_type, ...entry }) => entry;
+
+    return {
+      ...UnitUtils.convertFields(group, ['weight'], unit),
+      history: group.history.map(entry => stripType(convertEntry(entry))),
+      current: stripType(convertEntry(group.current))
+    };
+  }
+}
+
+module.exports = UnitUtils;
@@ -79,6 +79,35 @@ const getPaginationData = (page, limit, total) => {
   };
 };
 
+// Cursor pagination helpers. Cursors are opaque base64url-encoded JSON.
+const encodeCursor = (data) => {
+  return Buffer.from(JSON.stringify(data)).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    const data = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return data && typeof data === 'object' ? data : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const getCursorPaginationData = (limit, total, { cursor = null, nextCursor = null } = {}) => {
+  const itemsPerPage = parseInt(limit) || 10;
+  const totalItems = parseInt(total) || 0;
+
+  return {
+    pagination: {
+      itemsPerPage,
+      totalItems,
+      hasNext: !!nextCursor,
+      hasPrev: !!cursor,
+      nextCursor
+    }
+  };
+};
+
 // Async handler wrapper to eliminate try-catch blocks
 const asyncHandler = (fn) => (req, res, next) => {
   Promise.resolve(fn(req, res, next)).catch(next);
@@ -133,6 +162,9 @@ module.exports = {
   successResponse,
   errorResponse,
   getPaginationData,
+  encodeCursor,
+  decodeCursor,
+  getCursorPaginationData,
   asyncHandler,
   generateRandomString,
   validatePasswordStrength